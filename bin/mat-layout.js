@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/**
+ * Mat Layout Editor - Command Line Tool
+ *
+ * Headless validation, rendering and normalization of layout.json files,
+ * for use in capture pipelines and CI where no browser is available.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { MatDocument } from '../src/document.js';
+import { ANGLE_CONVENTIONS } from '../src/geometry.js';
+import { validateLayout } from '../src/schema.js';
+import { renderLayoutSVG } from '../src/svg.js';
+import { PAPER_SIZES, renderLayoutPDF } from '../src/pdf.js';
+import { dpiToPxPerCm, setPNGDensity } from '../src/raster.js';
+
+const USAGE = `Usage: mat-layout <command> [options] <layout.json...>
+
+Commands:
+  validate      Check layouts against the schema (exit code 1 on errors)
+  render-svg    Render each layout to SVG
+  render-png    Render each layout to PNG
+  render-pdf    Render each layout to a tiled, print-to-scale PDF
+  normalize     Rewrite each layout in the editor's canonical JSON format
+
+Options:
+  -o, --output <path>   Output file, or '-' for stdout (single input only).
+                        Defaults to the input path with the new extension;
+                        normalize defaults to <name>.normalized.json
+  --scale <px/cm>       Render resolution in pixels per cm (default 10)
+  --dpi <dpi>           Render resolution in dots per inch (instead of --scale);
+                        PNGs record it in their pHYs chunk either way
+  --bleed <mm>          Extend the background this far beyond the mat edges
+  --transparent         Render without the mat background
+  --paper <size>        render-pdf: a4, letter, a3 or roll (default a4)
+  --roll-width <cm>     render-pdf: roll width when --paper roll (default 91.4)
+  --angles <convention> normalize: rewrite angles in screen, math, compass_hole
+                        or compass_player convention (default: keep the file's)
+  --strip-dimensions    normalize: leave dimension annotations out of the output
+  --fix                 Apply the validator's fixes instead of failing on errors
+  --strict              validate: treat warnings as errors
+  -q, --quiet           Only print errors
+  -h, --help            Show this help
+`;
+
+// =====================================================
+// Helpers
+// =====================================================
+
+class UsageError extends Error {}
+
+function printDiagnostics(file, { errors, warnings }, quiet) {
+  for (const d of errors) {
+    console.error(`${file}: error: ${d.path}${d.id ? ` (${d.id})` : ''}: ${d.message}${d.fix ? ` [fix: ${d.fix}]` : ''}`);
+  }
+  if (quiet) return;
+  for (const d of warnings) {
+    console.error(`${file}: warning: ${d.path}${d.id ? ` (${d.id})` : ''}: ${d.message}${d.fix ? ` [fix: ${d.fix}]` : ''}`);
+  }
+}
+
+async function readLayout(file) {
+  const text = await readFile(file, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file}: invalid JSON: ${err.message}`);
+  }
+}
+
+/**
+ * Read, validate and load a layout into a MatDocument.
+ * Returns null (after printing diagnostics) when the layout has errors and
+ * --fix was not given.
+ */
+async function loadDocument(file, options) {
+  const json = await readLayout(file);
+  const result = validateLayout(json);
+  printDiagnostics(file, result, options.quiet);
+
+  if (result.errors.length > 0 && !options.fix) {
+    console.error(`${file}: not processed, rerun with --fix to apply automatic fixes`);
+    return null;
+  }
+
+  const doc = new MatDocument();
+  doc.fromJSON(result.errors.length > 0 ? result.fixed : json);
+  return { doc, json };
+}
+
+function outputPath(file, options, extension) {
+  if (options.output) return options.output;
+  const parsed = path.parse(file);
+  return path.join(parsed.dir, `${parsed.name}${extension}`);
+}
+
+async function writeOutput(target, data) {
+  if (target === '-') {
+    process.stdout.write(data);
+    return;
+  }
+  await writeFile(target, data);
+}
+
+function svgOptions(options) {
+  return { scale: options.scale, background: !options.transparent, bleed_cm: options.bleed / 10 };
+}
+
+async function loadRasterizer() {
+  try {
+    const { Resvg } = await import('@resvg/resvg-js');
+    return Resvg;
+  } catch {
+    throw new Error('render-png requires the @resvg/resvg-js package (run npm install)');
+  }
+}
+
+// =====================================================
+// Commands
+// =====================================================
+
+const commands = {
+  async validate(files, options) {
+    let failed = false;
+    for (const file of files) {
+      const result = validateLayout(await readLayout(file));
+      printDiagnostics(file, result, options.quiet);
+
+      const hasProblems = result.errors.length > 0 || (options.strict && result.warnings.length > 0);
+      if (hasProblems) failed = true;
+      if (!options.quiet) {
+        console.log(`${file}: ${hasProblems ? 'INVALID' : 'OK'} (${result.errors.length} errors, ${result.warnings.length} warnings)`);
+      }
+    }
+    return failed ? 1 : 0;
+  },
+
+  async 'render-svg'(files, options) {
+    let failed = false;
+    for (const file of files) {
+      const loaded = await loadDocument(file, options);
+      if (!loaded) { failed = true; continue; }
+
+      const svg = renderLayoutSVG(loaded.doc, svgOptions(options));
+      const target = outputPath(file, options, '.svg');
+      await writeOutput(target, svg);
+      if (!options.quiet && target !== '-') console.log(`${file} -> ${target}`);
+    }
+    return failed ? 1 : 0;
+  },
+
+  async 'render-png'(files, options) {
+    const Resvg = await loadRasterizer();
+    let failed = false;
+    for (const file of files) {
+      const loaded = await loadDocument(file, options);
+      if (!loaded) { failed = true; continue; }
+
+      const svg = renderLayoutSVG(loaded.doc, svgOptions(options));
+      const png = setPNGDensity(new Resvg(svg, { fitTo: { mode: 'original' } }).render().asPng(), options.scale);
+      const target = outputPath(file, options, '.png');
+      await writeOutput(target, png);
+      if (!options.quiet && target !== '-') console.log(`${file} -> ${target}`);
+    }
+    return failed ? 1 : 0;
+  },
+
+  async 'render-pdf'(files, options) {
+    let failed = false;
+    for (const file of files) {
+      const loaded = await loadDocument(file, options);
+      if (!loaded) { failed = true; continue; }
+
+      const { bytes, plan, warnings } = renderLayoutPDF(loaded.doc, {
+        paper: options.paper,
+        rollWidth_mm: options.rollWidth * 10,
+        background: !options.transparent
+      });
+      for (const warning of warnings) console.error(`${file}: warning: ${warning}`);
+      const target = outputPath(file, options, '.pdf');
+      await writeOutput(target, bytes);
+      if (!options.quiet && target !== '-') console.log(`${file} -> ${target} (${plan.tiles.length} pages)`);
+    }
+    return failed ? 1 : 0;
+  },
+
+  async normalize(files, options) {
+    let failed = false;
+    for (const file of files) {
+      const loaded = await loadDocument(file, options);
+      if (!loaded) { failed = true; continue; }
+
+      if (options.angles) loaded.doc.mat.angleConvention = options.angles;
+      const normalized = loaded.doc.toJSON({ dimensions: !options['strip-dimensions'] });
+      // Keep the original save time so normalizing twice gives identical output
+      if (loaded.json.metadata?.savedAt) {
+        normalized.metadata.savedAt = loaded.json.metadata.savedAt;
+      }
+      const target = outputPath(file, options, '.normalized.json');
+      await writeOutput(target, `${JSON.stringify(normalized, null, 2)}\n`);
+      if (!options.quiet && target !== '-') console.log(`${file} -> ${target}`);
+    }
+    return failed ? 1 : 0;
+  }
+};
+
+// =====================================================
+// Entry Point
+// =====================================================
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      scale: { type: 'string' },
+      dpi: { type: 'string' },
+      bleed: { type: 'string', default: '0' },
+      transparent: { type: 'boolean', default: false },
+      paper: { type: 'string', default: 'a4' },
+      'roll-width': { type: 'string', default: '91.4' },
+      angles: { type: 'string' },
+      'strip-dimensions': { type: 'boolean', default: false },
+      fix: { type: 'boolean', default: false },
+      strict: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', short: 'q', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  const [command, ...files] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+  if (!commands[command]) {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  if (files.length === 0) {
+    throw new UsageError(`${command}: no input files`);
+  }
+  if (values.output && files.length > 1) {
+    throw new UsageError('--output can only be used with a single input file');
+  }
+
+  if (values.scale !== undefined && values.dpi !== undefined) {
+    throw new UsageError('--scale and --dpi cannot be used together');
+  }
+  const scale = values.dpi !== undefined ? dpiToPxPerCm(parseFloat(values.dpi)) : parseFloat(values.scale ?? '10');
+  if (!(scale > 0)) {
+    throw new UsageError(`${values.dpi !== undefined ? '--dpi' : '--scale'} must be a positive number`);
+  }
+  const bleed = parseFloat(values.bleed);
+  if (!(bleed >= 0)) {
+    throw new UsageError(`--bleed must be zero or a positive number, got "${values.bleed}"`);
+  }
+
+  if (values.paper !== 'roll' && !PAPER_SIZES[values.paper]) {
+    throw new UsageError(`--paper must be one of ${[...Object.keys(PAPER_SIZES), 'roll'].join(', ')}`);
+  }
+  const rollWidth = parseFloat(values['roll-width']);
+  if (!(rollWidth > 0)) {
+    throw new UsageError(`--roll-width must be a positive number, got "${values['roll-width']}"`);
+  }
+
+  if (values.angles !== undefined && !ANGLE_CONVENTIONS[values.angles]) {
+    throw new UsageError(`--angles must be one of ${Object.keys(ANGLE_CONVENTIONS).join(', ')}`);
+  }
+
+  return commands[command](files, { ...values, scale, bleed, rollWidth });
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(err => {
+    console.error(`mat-layout: ${err.message}`);
+    if (err instanceof UsageError || err.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(USAGE);
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
@@ -0,0 +1,1632 @@
+/**
+ * Mat Layout Editor - Document Model
+ *
+ * In-memory representation of a mat layout and its conversion to and from
+ * the PuttAnalyzer layout.json format. Free of DOM dependencies so it can
+ * also be used from Node (see bin/mat-layout.js).
+ */
+
+import { curveLength, curveSegments, dimensionParts, dimensionValue, sampleCurve, sortByZOrder } from './svg.js';
+import {
+  DEFAULT_ANGLE_CONVENTION, arcExtremes, boundsOf, distance, distanceToArc, distanceToPolyline, distanceToSegment,
+  fromConventionRotation, midAngle, midpoint, normalizeAngle, pointAlongPolyline, pointInBox, pointInCircle,
+  pointInPolygon, pointInSector, polarPoint, polylineLength, rotatePoint, sweepFromConvention, sweepOf,
+  sweepToConvention, toConventionRotation, unionBounds
+} from './geometry.js';
+
+// =====================================================
+// Scoring Zones
+// =====================================================
+
+// What a zone means to PuttAnalyzer when a ball stops in it
+export const ZONE_ROLES = ['target', 'start', 'penalty', 'bonus', 'out_of_bounds'];
+
+// Element types that enclose an area and can therefore act as scoring zones
+const SCORABLE_TYPES = new Set(['rect', 'polygon', 'sector', 'circle', 'marker']);
+
+export const isScorable = (element) => SCORABLE_TYPES.has(element.type);
+
+/**
+ * Clean up a scoring object ({ role, score, priority, tags }) from the UI or
+ * a loaded layout. Returns null when there is none. Higher priority wins
+ * where zones overlap.
+ */
+export function normalizeScoring(scoring) {
+  if (!scoring || typeof scoring !== 'object') return null;
+  return {
+    role: ZONE_ROLES.includes(scoring.role) ? scoring.role : 'target',
+    score: Number.isFinite(scoring.score) ? scoring.score : 0,
+    priority: Number.isFinite(scoring.priority) ? scoring.priority : 0,
+    tags: Array.isArray(scoring.tags)
+      ? [...new Set(scoring.tags.filter(t => typeof t === 'string').map(t => t.trim()).filter(Boolean))]
+      : []
+  };
+}
+
+// =====================================================
+// Dimensions
+// =====================================================
+
+// Distance between two points, a radius from a center, or the angle at a vertex
+const DIMENSION_KINDS = ['linear', 'radial', 'angular'];
+
+// The measured points a dimension is anchored to
+const dimensionPoints = (element) => [element.center_cm, element.from_cm, element.to_cm].filter(Boolean);
+
+// =====================================================
+// Alignment
+// =====================================================
+
+// Where each alignment lands on a bounds box: `at` runs from its min (0) to max (1) side
+export const ALIGN_EDGES = {
+  left: { axis: 'x', at: 0 },
+  center: { axis: 'x', at: 0.5 },
+  right: { axis: 'x', at: 1 },
+  top: { axis: 'y', at: 0 },
+  middle: { axis: 'y', at: 0.5 },
+  bottom: { axis: 'y', at: 1 }
+};
+
+function boxPosition(box, axis, at) {
+  const [min, max] = axis === 'x' ? [box.minX, box.maxX] : [box.minY, box.maxY];
+  return min + (max - min) * at;
+}
+
+// =====================================================
+// Mirroring
+// =====================================================
+
+// Left/right markers in ids, swapped when naming a mirrored copy (wedge_L1 -> wedge_R1)
+const SIDE_SWAP = { L: 'R', R: 'L', left: 'right', right: 'left', Left: 'Right', Right: 'Left' };
+const SIDE_PATTERN = /(^|[_-])(L|R|left|right|Left|Right)(?=\d|[_-]|$)/;
+
+// Shape fields compared as given; end points and vertices are compared as a set
+const SHAPE_FIELDS = [
+  'center_cm', 'radius_cm', 'innerRadius_cm', 'outerRadius_cm',
+  'x0_cm', 'y0_cm', 'x1_cm', 'y1_cm', 'pivot_cm', 'position_cm', 'offset_cm'
+];
+
+/**
+ * The numbers that fix an element's shape and place, in a fixed order, so
+ * two elements can be compared. Vertices and line ends are sorted because
+ * mirroring reverses their winding; sweeps are compared as start and span.
+ */
+function shapeSignature(element) {
+  const numbers = [];
+  const add = (value) => {
+    if (typeof value === 'number') numbers.push(value);
+    else if (value && typeof value === 'object') numbers.push(value.x, value.y);
+  };
+  SHAPE_FIELDS.forEach(field => add(element[field]));
+
+  const key = (p) => [Math.round(p.x * 100), Math.round(p.y * 100)];
+  const points = [element.from_cm, element.to_cm, ...(element.points_cm ?? [])].filter(Boolean)
+    .sort((a, b) => key(a)[0] - key(b)[0] || key(a)[1] - key(b)[1]);
+  points.forEach(add);
+
+  if (element.endAngle !== undefined) {
+    add(normalizeAngle(element.startAngle || 0));
+    add(sweepOf(element.startAngle || 0, element.endAngle));
+  }
+  if (element.type === 'rect' || element.type === 'text') add(normalizeAngle(element.rotation || 0));
+  return numbers;
+}
+
+export class MatDocument {
+  constructor() {
+    this.version = 'v1';
+    this.units = 'cm';
+    this.mat = {
+      width_cm: 50,
+      length_cm: 400,
+      color: '#1a4d2e',
+      angleConvention: DEFAULT_ANGLE_CONVENTION // How angles read in the panel and in saved files
+    };
+    this.elements = [];
+    this.groups = []; // Named layer groups: { id, name, hidden, locked }
+    this.selectedIds = [];
+    this.nextId = 1;
+    this.dirty = false;
+  }
+
+  // The primary selection is the most recently selected element. Single-element
+  // tools (handles, sector stacking, snapping) operate on it.
+  get selectedId() {
+    return this.selectedIds.length > 0 ? this.selectedIds[this.selectedIds.length - 1] : null;
+  }
+
+  set selectedId(id) {
+    this.selectedIds = id ? [id] : [];
+  }
+
+  isSelected(id) {
+    return this.selectedIds.includes(id);
+  }
+
+  toggleSelection(id) {
+    if (this.isSelected(id)) {
+      this.selectedIds = this.selectedIds.filter(s => s !== id);
+    } else {
+      this.selectedIds = [...this.selectedIds, id];
+    }
+  }
+
+  getSelectedElements() {
+    return this.selectedIds.map(id => this.getElementById(id)).filter(Boolean);
+  }
+
+  getNextZOrder() {
+    if (this.elements.length === 0) return 0;
+    return Math.max(...this.elements.map(e => e.zOrder || 0)) + 1;
+  }
+
+  getMinZOrder() {
+    if (this.elements.length === 0) return 0;
+    return Math.min(...this.elements.map(e => e.zOrder || 0)) - 1;
+  }
+
+  moveElementToFront(id) {
+    const element = this.getElementById(id);
+    if (element) {
+      element.zOrder = this.getNextZOrder();
+      this.dirty = true;
+      return true;
+    }
+    return false;
+  }
+
+  moveElementToBack(id) {
+    const element = this.getElementById(id);
+    if (element) {
+      element.zOrder = this.getMinZOrder();
+      this.dirty = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move elements to just above or below `target` in the stack, keeping
+   * their order among themselves. Every element's zOrder is renumbered from
+   * 0 upwards. Returns false when there is nothing to move.
+   */
+  restackElements(elements, target, place = 'above') {
+    const moving = new Set(elements);
+    if (moving.size === 0 || moving.has(target)) return false;
+
+    const stack = sortByZOrder(this.elements).filter(element => !moving.has(element));
+    const index = stack.indexOf(target) + (place === 'above' ? 1 : 0);
+    stack.splice(index, 0, ...sortByZOrder([...moving]));
+    stack.forEach((element, z) => {
+      element.zOrder = z;
+    });
+    this.dirty = true;
+    return true;
+  }
+
+  // =====================================================
+  // Layers
+  // =====================================================
+
+  // Elements are hidden or locked by their own flag or by their group's
+  isElementHidden(element) {
+    return Boolean(element.hidden || this.getGroup(element.group)?.hidden);
+  }
+
+  isElementLocked(element) {
+    return Boolean(element.locked || this.getGroup(element.group)?.locked);
+  }
+
+  // Elements that are drawn, in the editor and in exports
+  getVisibleElements() {
+    return this.elements.filter(element => !this.isElementHidden(element));
+  }
+
+  getGroup(id) {
+    return id ? this.groups.find(g => g.id === id) : undefined;
+  }
+
+  getGroupMembers(id) {
+    return this.elements.filter(element => element.group === id);
+  }
+
+  updateGroup(id, props) {
+    const group = this.getGroup(id);
+    if (group) {
+      Object.assign(group, props);
+      this.dirty = true;
+    }
+    return group;
+  }
+
+  /**
+   * Put elements in a new named group. Members are stacked together just
+   * below the topmost of them so the group reads as one block in the layers
+   * panel. Returns the group.
+   */
+  groupElements(elements, name) {
+    let n = this.groups.length + 1;
+    while (this.getGroup(`group_${n}`)) n++;
+    const group = { id: `group_${n}`, name: name || `Group ${n}`, hidden: false, locked: false };
+    this.groups.push(group);
+
+    const sorted = sortByZOrder(elements);
+    const top = sorted[sorted.length - 1];
+    this.restackElements(sorted.slice(0, -1), top, 'below');
+    this.setElementsGroup(elements, group.id);
+    return group;
+  }
+
+  // Move elements into a group, or out of any group when `id` is null
+  setElementsGroup(elements, id) {
+    for (const element of elements) {
+      if (id) element.group = id;
+      else delete element.group;
+    }
+    this.groups = this.groups.filter(g => this.getGroupMembers(g.id).length > 0);
+    this.dirty = true;
+  }
+
+  // Dissolve a group; its members stay where they are
+  ungroup(id) {
+    this.setElementsGroup(this.getGroupMembers(id), null);
+  }
+
+  createElement(type, props = {}) {
+    const id = props.id || `${type}_${this.nextId++}`;
+    let element;
+
+    switch (type) {
+      case 'rect':
+        element = {
+          id,
+          type: 'rect',
+          x0_cm: props.x0_cm ?? 0,
+          y0_cm: props.y0_cm ?? 0,
+          x1_cm: props.x1_cm ?? 20,
+          y1_cm: props.y1_cm ?? 20,
+          rotation: props.rotation ?? 0, // degrees about pivot_cm (null = rect center)
+          pivot_cm: props.pivot_cm ? { ...props.pivot_cm } : null,
+          fill: props.fill ?? 'rgba(74, 158, 255, 0.3)',
+          stroke: props.stroke ?? 'none',
+          strokeWidth: props.strokeWidth ?? 0
+        };
+        break;
+
+      case 'polygon':
+      case 'polyline':
+        // Closed polygons are filled areas; open polylines are strokes only
+        element = {
+          id,
+          type,
+          points_cm: (props.points_cm ?? [{ x: 0, y: 0 }, { x: 20, y: 0 }, { x: 10, y: 20 }]).map(p => ({ x: p.x, y: p.y })),
+          fill: props.fill ?? (type === 'polygon' ? 'rgba(74, 158, 255, 0.3)' : 'none'),
+          stroke: props.stroke ?? (type === 'polygon' ? 'none' : '#ffffff'),
+          strokeWidth: props.strokeWidth ?? (type === 'polygon' ? 0 : 1)
+        };
+        break;
+
+      case 'circle':
+      case 'hole':
+        element = {
+          id,
+          type: 'circle',
+          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
+          radius_cm: props.radius_cm ?? 2,
+          fill: props.fill ?? '#333333',
+          stroke: props.stroke ?? '#ffffff',
+          strokeWidth: props.strokeWidth ?? 1
+        };
+        break;
+
+      case 'marker':
+      case 'ball_marker':
+        element = {
+          id,
+          type: 'marker',
+          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 100 },
+          radius_cm: props.radius_cm ?? 0.75,
+          fill: props.fill ?? '#ffffff',
+          stroke: props.stroke ?? '#000000',
+          strokeWidth: props.strokeWidth ?? 0.5
+        };
+        break;
+
+      case 'line':
+        element = {
+          id,
+          type: 'line',
+          from_cm: props.from_cm ?? { x: 5, y: 10 },
+          to_cm: props.to_cm ?? { x: 45, y: 10 },
+          fill: props.fill ?? 'none',
+          stroke: props.stroke ?? '#ffffff',
+          strokeWidth: props.strokeWidth ?? 1,
+          lineStyle: props.lineStyle ?? 'solid' // solid, dashed, dotted
+        };
+        break;
+
+      case 'curve':
+        // points_cm holds [from, control, to] (quadratic), [from, c1, c2, to]
+        // (cubic) or the points a spline passes through
+        element = {
+          id,
+          type: 'curve',
+          curveType: props.curveType ?? 'cubic',
+          points_cm: (props.points_cm ?? [{ x: 5, y: 10 }, { x: 15, y: 0 }, { x: 35, y: 20 }, { x: 45, y: 10 }])
+            .map(p => ({ x: p.x, y: p.y })),
+          lineStyle: props.lineStyle ?? 'solid',
+          fill: props.fill ?? 'none',
+          stroke: props.stroke ?? '#ffffff',
+          strokeWidth: props.strokeWidth ?? 1
+        };
+        break;
+
+      case 'arc':
+        element = {
+          id,
+          type: 'arc',
+          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
+          radius_cm: props.radius_cm ?? 90,
+          startAngle: props.startAngle ?? 200,
+          endAngle: props.endAngle ?? 340,
+          fill: props.fill ?? 'none',
+          stroke: props.stroke ?? '#ffffff',
+          strokeWidth: props.strokeWidth ?? 1
+        };
+        break;
+
+      case 'text':
+        element = {
+          id,
+          type: 'text',
+          position_cm: props.position_cm ?? { x: this.mat.width_cm / 2, y: 100 },
+          text: props.text ?? 'Label',
+          fontFamily: props.fontFamily ?? 'Inter',
+          fontSize: props.fontSize ?? 3, // in cm
+          fontStyle: props.fontStyle ?? 'normal', // 'normal', 'bold', 'italic', 'bold-italic'
+          fill: props.fill ?? '#ffffff',
+          stroke: props.stroke ?? 'none',
+          strokeWidth: props.strokeWidth ?? 0,
+          textAnchor: props.textAnchor ?? 'middle', // 'start', 'middle', 'end'
+          rotation: props.rotation ?? 0
+        };
+        break;
+
+      case 'sector':
+        element = {
+          id,
+          type: 'sector',
+          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
+          innerRadius_cm: props.innerRadius_cm ?? 50,
+          outerRadius_cm: props.outerRadius_cm ?? 70,
+          startAngle: props.startAngle ?? 225,
+          endAngle: props.endAngle ?? 315,
+          fill: props.fill ?? 'rgba(255, 165, 0, 0.5)',
+          stroke: props.stroke ?? 'none',
+          strokeWidth: props.strokeWidth ?? 0
+        };
+        break;
+
+      case 'dimension': {
+        // Linear: from -> to. Radial: center -> a point on the edge.
+        // Angular: the angle at center between the legs to from and to.
+        const kind = DIMENSION_KINDS.includes(props.kind) ? props.kind : 'linear';
+        const copy = (p) => (p ? { x: p.x, y: p.y } : null);
+        element = {
+          id,
+          type: 'dimension',
+          kind,
+          center_cm: kind === 'linear' ? null : copy(props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 }),
+          from_cm: kind === 'radial' ? null : copy(props.from_cm ?? { x: 5, y: 10 }),
+          to_cm: copy(props.to_cm ?? { x: 45, y: 10 }),
+          offset_cm: props.offset_cm ?? 0, // Linear: line offset; angular: arc radius (0 = automatic)
+          fontSize: props.fontSize ?? 2.5, // in cm
+          fill: props.fill ?? 'none',
+          stroke: props.stroke ?? '#ffd33d',
+          strokeWidth: props.strokeWidth ?? 0.3
+        };
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown element type: ${type}`);
+    }
+
+    if (isScorable(element)) {
+      element.scoring = normalizeScoring(props.scoring);
+    }
+    element.zOrder = props.zOrder ?? this.getNextZOrder();
+    // Layers panel state, only stored when set
+    if (props.group) element.group = props.group;
+    if (props.hidden) element.hidden = true;
+    if (props.locked) element.locked = true;
+
+    this.elements.push(element);
+    this.dirty = true;
+    return element;
+  }
+
+  getElementById(id) {
+    return this.elements.find(e => e.id === id);
+  }
+
+  updateElement(id, props) {
+    const element = this.getElementById(id);
+    if (element) {
+      Object.assign(element, props);
+      this.dirty = true;
+    }
+    return element;
+  }
+
+  deleteElement(id) {
+    const index = this.elements.findIndex(e => e.id === id);
+    if (index !== -1) {
+      this.elements.splice(index, 1);
+      this.selectedIds = this.selectedIds.filter(s => s !== id);
+      this.dirty = true;
+      return true;
+    }
+    return false;
+  }
+
+  deleteElements(ids) {
+    return ids.filter(id => this.deleteElement(id)).length;
+  }
+
+  duplicateElement(id) {
+    const element = this.getElementById(id);
+    if (!element) return null;
+
+    const clone = JSON.parse(JSON.stringify(element));
+    clone.id = `${element.type}_${this.nextId++}`;
+
+    // Offset the duplicate slightly
+    this.translateElement(clone, 5, 5);
+
+    this.elements.push(clone);
+    this.dirty = true;
+    return clone;
+  }
+
+  duplicateElements(ids) {
+    // Duplicate in z-order so the copies stack the same way as the originals
+    const sorted = ids
+      .map(id => this.getElementById(id))
+      .filter(Boolean)
+      .sort((a, b) => (a.zOrder || 0) - (b.zOrder || 0));
+    return sorted.map(element => {
+      const clone = this.duplicateElement(element.id);
+      clone.zOrder = this.getNextZOrder();
+      return clone;
+    });
+  }
+
+  translateElement(element, dx, dy) {
+    if (element.type === 'dimension') {
+      for (const p of dimensionPoints(element)) {
+        p.x += dx;
+        p.y += dy;
+      }
+    } else if (element.center_cm) {
+      element.center_cm.x += dx;
+      element.center_cm.y += dy;
+    } else if (element.x0_cm !== undefined) {
+      element.x0_cm += dx;
+      element.y0_cm += dy;
+      element.x1_cm += dx;
+      element.y1_cm += dy;
+      if (element.pivot_cm) {
+        element.pivot_cm.x += dx;
+        element.pivot_cm.y += dy;
+      }
+    } else if (element.from_cm) {
+      element.from_cm.x += dx;
+      element.from_cm.y += dy;
+      element.to_cm.x += dx;
+      element.to_cm.y += dy;
+    } else if (element.position_cm) {
+      element.position_cm.x += dx;
+      element.position_cm.y += dy;
+    } else if (element.points_cm) {
+      for (const p of element.points_cm) {
+        p.x += dx;
+        p.y += dy;
+      }
+    }
+  }
+
+  // Uniformly scale an element about an origin point (used by group resize)
+  scaleElement(element, origin, factor) {
+    const scalePoint = (p) => {
+      p.x = origin.x + (p.x - origin.x) * factor;
+      p.y = origin.y + (p.y - origin.y) * factor;
+    };
+
+    if (element.x0_cm !== undefined) {
+      element.x0_cm = origin.x + (element.x0_cm - origin.x) * factor;
+      element.y0_cm = origin.y + (element.y0_cm - origin.y) * factor;
+      element.x1_cm = origin.x + (element.x1_cm - origin.x) * factor;
+      element.y1_cm = origin.y + (element.y1_cm - origin.y) * factor;
+      if (element.pivot_cm) scalePoint(element.pivot_cm);
+    }
+    if (element.center_cm) scalePoint(element.center_cm);
+    if (element.from_cm) scalePoint(element.from_cm);
+    if (element.to_cm) scalePoint(element.to_cm);
+    if (element.position_cm) scalePoint(element.position_cm);
+    if (element.points_cm) element.points_cm.forEach(scalePoint);
+    if (element.radius_cm !== undefined) element.radius_cm *= factor;
+    if (element.innerRadius_cm !== undefined) element.innerRadius_cm *= factor;
+    if (element.outerRadius_cm !== undefined) element.outerRadius_cm *= factor;
+    if (element.fontSize !== undefined) element.fontSize *= factor;
+  }
+
+  /**
+   * Rotate an element by `degrees` (clockwise on screen) about an origin
+   * point. Rects keep their unrotated box and accumulate `rotation`; arcs and
+   * sectors turn their start/end angles, keeping the angular span as stored.
+   */
+  rotateElement(element, origin, degrees) {
+    const turn = (p) => Object.assign(p, rotatePoint(p, origin, degrees));
+
+    switch (element.type) {
+      case 'rect': {
+        // Rotating about any origin is the same as moving the pivot there and
+        // rotating about the pivot, so shift the box along with the pivot
+        const pivot = this.getRectPivot(element);
+        const moved = rotatePoint(pivot, origin, degrees);
+        element.x0_cm += moved.x - pivot.x;
+        element.y0_cm += moved.y - pivot.y;
+        element.x1_cm += moved.x - pivot.x;
+        element.y1_cm += moved.y - pivot.y;
+        element.pivot_cm = element.pivot_cm ? moved : null;
+        element.rotation = normalizeAngle((element.rotation || 0) + degrees);
+        break;
+      }
+      case 'circle':
+      case 'marker':
+        turn(element.center_cm);
+        break;
+      case 'line':
+        turn(element.from_cm);
+        turn(element.to_cm);
+        break;
+      case 'polygon':
+      case 'polyline':
+      case 'curve':
+        element.points_cm.forEach(turn);
+        break;
+      case 'arc':
+      case 'sector': {
+        turn(element.center_cm);
+        const span = element.endAngle - element.startAngle;
+        element.startAngle = normalizeAngle(element.startAngle + degrees);
+        element.endAngle = element.startAngle + span;
+        break;
+      }
+      case 'text':
+        turn(element.position_cm);
+        element.rotation = normalizeAngle((element.rotation || 0) + degrees);
+        break;
+      case 'dimension':
+        dimensionPoints(element).forEach(turn);
+        break;
+    }
+  }
+
+  /**
+   * Mirror an element across the line x = position (axis 'x', swapping left
+   * and right) or y = position (axis 'y'). Sweeps still run clockwise, so
+   * arcs and sectors reflect and swap their end angles; rects and text turn
+   * the other way, and text stays readable.
+   */
+  mirrorElement(element, axis, position) {
+    const flip = (p) => { p[axis] = 2 * position - p[axis]; };
+    const reflect = (angle) => normalizeAngle(axis === 'x' ? 180 - angle : -angle);
+
+    switch (element.type) {
+      case 'rect': {
+        const [lo, hi] = axis === 'x' ? ['x0_cm', 'x1_cm'] : ['y0_cm', 'y1_cm'];
+        [element[lo], element[hi]] = [2 * position - element[hi], 2 * position - element[lo]];
+        if (element.pivot_cm) flip(element.pivot_cm);
+        if (element.rotation) element.rotation = normalizeAngle(-element.rotation);
+        break;
+      }
+      case 'circle':
+      case 'marker':
+        flip(element.center_cm);
+        break;
+      case 'line':
+        flip(element.from_cm);
+        flip(element.to_cm);
+        break;
+      case 'polygon':
+      case 'polyline':
+      case 'curve':
+        element.points_cm.forEach(flip);
+        break;
+      case 'arc':
+      case 'sector': {
+        flip(element.center_cm);
+        const sweep = sweepOf(element.startAngle || 0, element.endAngle);
+        element.startAngle = reflect(element.endAngle);
+        element.endAngle = element.startAngle + sweep;
+        break;
+      }
+      case 'text':
+        flip(element.position_cm);
+        if (element.rotation) element.rotation = normalizeAngle(-element.rotation);
+        break;
+      case 'dimension':
+        dimensionPoints(element).forEach(flip);
+        // Keep a linear dimension's offset on the mirrored side
+        if (element.kind === 'linear') element.offset_cm = -element.offset_cm || 0;
+        break;
+    }
+  }
+
+  // Whether `a` is `b` mirrored across the line (axis, position), to within 0.01
+  isMirrorOf(a, b, axis, position) {
+    if (a.type !== b.type) return false;
+    const mirrored = JSON.parse(JSON.stringify(b));
+    this.mirrorElement(mirrored, axis, position);
+    const expected = shapeSignature(mirrored);
+    const actual = shapeSignature(a);
+    return actual.length === expected.length && actual.every((v, i) => Math.abs(v - expected[i]) < 0.01);
+  }
+
+  // Another element that mirrors `element` across the line, or null
+  findMirrorTwin(element, axis, position) {
+    return this.elements.find(other => other !== element && this.isMirrorOf(other, element, axis, position)) ?? null;
+  }
+
+  // Id for a mirrored copy of `id`: its left/right marker swapped, else a _mirror suffix
+  mirroredId(id) {
+    const swapped = id.replace(SIDE_PATTERN, (match, separator, side) => separator + SIDE_SWAP[side]);
+    if (swapped !== id && !this.getElementById(swapped)) return swapped;
+    return this.getElementById(`${id}_mirror`) ? `${id}_mirror_${this.nextId++}` : `${id}_mirror`;
+  }
+
+  // Add a copy of `element` mirrored across the line, on the same layer
+  addMirroredTwin(element, axis, position) {
+    const twin = JSON.parse(JSON.stringify(element));
+    twin.id = this.mirroredId(element.id);
+    this.mirrorElement(twin, axis, position);
+    this.elements.push(twin);
+    this.dirty = true;
+    return twin;
+  }
+
+  // Insert a vertex halfway along the edge (or spline segment) that starts at `index`
+  insertVertex(element, index) {
+    const points = element.points_cm;
+    points.splice(index + 1, 0, this.getEdgeMidpoint(element, index));
+    return index + 1;
+  }
+
+  getEdgeMidpoint(element, index) {
+    if (element.type === 'curve') {
+      const [p0, c1, c2, p3] = curveSegments(element)[index];
+      return { x: (p0.x + 3 * c1.x + 3 * c2.x + p3.x) / 8, y: (p0.y + 3 * c1.y + 3 * c2.y + p3.y) / 8 };
+    }
+    const a = element.points_cm[index];
+    const b = element.points_cm[(index + 1) % element.points_cm.length];
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  }
+
+  // Remove a vertex unless that would leave too few for the shape.
+  // Bezier curves have a fixed number of points.
+  deleteVertex(element, index) {
+    if (element.type === 'curve' && element.curveType !== 'spline') return false;
+    const minimum = element.type === 'polygon' ? 3 : 2;
+    if (element.points_cm.length <= minimum) return false;
+    element.points_cm.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Switch a curve between quadratic, cubic and spline, keeping its end
+   * points and approximating its shape.
+   */
+  convertCurve(element, curveType) {
+    if (element.curveType === curveType) return;
+
+    // Cubic control points of the current shape as one segment, or the
+    // current spline's points sampled at its thirds
+    const segments = curveSegments(element);
+    const start = segments[0][0];
+    const end = segments[segments.length - 1][3];
+    let points;
+    if (curveType === 'spline') {
+      const samples = sampleCurve(element, 2);
+      points = [start, samples[Math.floor(samples.length / 2)], end];
+    } else if (segments.length === 1) {
+      const [, c1, c2] = segments[0];
+      points = curveType === 'cubic'
+        ? [start, c1, c2, end]
+        : [start, { x: (3 * (c1.x + c2.x) - start.x - end.x) / 4, y: (3 * (c1.y + c2.y) - start.y - end.y) / 4 }, end];
+    } else {
+      const samples = sampleCurve(element, 3);
+      const third = samples[Math.round(samples.length / 3)];
+      const twoThirds = samples[Math.round(samples.length * 2 / 3)];
+      points = curveType === 'cubic'
+        ? [start, third, twoThirds, end]
+        : [start, samples[Math.floor(samples.length / 2)], end];
+    }
+
+    element.curveType = curveType;
+    element.points_cm = points.map(p => ({ x: p.x, y: p.y }));
+  }
+
+  /**
+   * Pivot for rotating a set of elements: a lone rect's own pivot, the
+   * shared center when every element is centered on the same point (sector
+   * and arc fans), otherwise the center of their combined bounds.
+   */
+  getRotationPivot(elements) {
+    if (elements.length === 1 && elements[0].type === 'rect') {
+      return this.getRectPivot(elements[0]);
+    }
+
+    const centers = elements.map(e => e.center_cm);
+    if (centers.length > 0 && centers.every(c => c &&
+        Math.abs(c.x - centers[0].x) < 0.01 && Math.abs(c.y - centers[0].y) < 0.01)) {
+      return { ...centers[0] };
+    }
+
+    const bounds = unionBounds(elements.map(e => this.getElementBounds(e)));
+    if (!bounds) return { x: 0, y: 0 };
+    return { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+  }
+
+  // Point a rect rotates about: its explicit pivot, or the center of its box
+  getRectPivot(element) {
+    if (element.pivot_cm) return { ...element.pivot_cm };
+    return {
+      x: (element.x0_cm + element.x1_cm) / 2,
+      y: (element.y0_cm + element.y1_cm) / 2
+    };
+  }
+
+  /**
+   * Move a rect's pivot without moving the rect on screen: the unrotated box
+   * is shifted so that rotating it about the new pivot lands in the same place.
+   */
+  setRectPivot(element, pivot) {
+    const old = this.getRectPivot(element);
+    // t = R(-a)(old - new) + (new - old)
+    const shifted = rotatePoint(old, pivot, -(element.rotation || 0));
+    const tx = shifted.x - old.x;
+    const ty = shifted.y - old.y;
+    element.x0_cm += tx;
+    element.y0_cm += ty;
+    element.x1_cm += tx;
+    element.y1_cm += ty;
+    element.pivot_cm = { x: pivot.x, y: pivot.y };
+  }
+
+  /**
+   * Corners of a rect after rotation, in the order (x0,y0), (x1,y0),
+   * (x1,y1), (x0,y1).
+   */
+  getRectCorners(element) {
+    const pivot = this.getRectPivot(element);
+    return [
+      [element.x0_cm, element.y0_cm],
+      [element.x1_cm, element.y0_cm],
+      [element.x1_cm, element.y1_cm],
+      [element.x0_cm, element.y1_cm]
+    ].map(([x, y]) => rotatePoint({ x, y }, pivot, element.rotation || 0));
+  }
+
+  // Convert a mat point into a rect's unrotated frame
+  toRectLocal(element, point) {
+    return rotatePoint(point, this.getRectPivot(element), -(element.rotation || 0));
+  }
+
+  // Unrotated box of a rect, whichever corners x0/y0 and x1/y1 are
+  getRectBox(element) {
+    return {
+      minX: Math.min(element.x0_cm, element.x1_cm),
+      minY: Math.min(element.y0_cm, element.y1_cm),
+      maxX: Math.max(element.x0_cm, element.x1_cm),
+      maxY: Math.max(element.y0_cm, element.y1_cm)
+    };
+  }
+
+  // =====================================================
+  // Hit Testing
+  // =====================================================
+
+  /**
+   * Elements that count as zones for hit testing: the scoring zones when the
+   * layout defines any, otherwise every element that encloses an area.
+   * Hidden elements are left out.
+   */
+  getZones() {
+    const areas = this.getVisibleElements().filter(isScorable);
+    const scored = areas.filter(e => e.scoring);
+    return scored.length > 0 ? scored : areas;
+  }
+
+  // Exact containment test for area elements; points on the edge count as inside
+  containsPoint(element, point) {
+    switch (element.type) {
+      case 'rect':
+        return pointInBox(this.toRectLocal(element, point), this.getRectBox(element));
+      case 'circle':
+      case 'marker':
+        return pointInCircle(point, element.center_cm, element.radius_cm);
+      case 'sector':
+        return pointInSector(point, element.center_cm, element.innerRadius_cm, element.outerRadius_cm,
+          element.startAngle || 0, element.endAngle);
+      case 'polygon':
+        return pointInPolygon(point, element.points_cm);
+      default:
+        return false;
+    }
+  }
+
+  // Distance from a point to an element's outline (0 inside an area), in cm
+  distanceToElement(element, point) {
+    if (this.containsPoint(element, point)) return 0;
+    switch (element.type) {
+      case 'rect':
+        return distanceToPolyline(point, this.getRectCorners(element), true);
+      case 'circle':
+      case 'marker':
+        return distanceToArc(point, element.center_cm, element.radius_cm, 0, 360);
+      case 'line':
+        return distanceToSegment(point, element.from_cm, element.to_cm);
+      case 'polygon':
+      case 'polyline':
+        return distanceToPolyline(point, element.points_cm, element.type === 'polygon');
+      case 'curve':
+        return distanceToPolyline(point, sampleCurve(element));
+      case 'arc':
+        return distanceToArc(point, element.center_cm, element.radius_cm, element.startAngle || 0, element.endAngle);
+      case 'sector': {
+        const { center_cm: c, innerRadius_cm: rIn, outerRadius_cm: rOut, startAngle, endAngle } = element;
+        const start = startAngle || 0;
+        const edge = (angle) => [polarPoint(c, rIn, angle), polarPoint(c, rOut, angle)];
+        return Math.min(
+          distanceToArc(point, c, rOut, start, endAngle),
+          distanceToArc(point, c, rIn, start, endAngle),
+          distanceToSegment(point, ...edge(start)),
+          distanceToSegment(point, ...edge(endAngle))
+        );
+      }
+      case 'dimension':
+        return Math.min(...dimensionParts(element).map(part => this.distanceToElement(part, point)));
+      default: {
+        const b = this.getElementBounds(element);
+        return b ? distanceToPolyline(point, [
+          { x: b.minX, y: b.minY }, { x: b.maxX, y: b.minY }, { x: b.maxX, y: b.maxY }, { x: b.minX, y: b.maxY }
+        ], true) : Infinity;
+      }
+    }
+  }
+
+  /**
+   * Key points of an element that measuring (and other point picking) can
+   * snap to, each { x, y, role } with role 'center', 'end', 'midpoint',
+   * 'corner', 'vertex', 'quadrant' or 'position'. Dimensions have none.
+   */
+  getSnapPoints(element) {
+    const at = (p, role) => ({ x: p.x, y: p.y, role });
+    switch (element.type) {
+      case 'rect': {
+        const corners = this.getRectCorners(element);
+        return [...corners.map(p => at(p, 'corner')), at(midpoint(corners[0], corners[2]), 'center')];
+      }
+      case 'circle':
+      case 'marker':
+        return [at(element.center_cm, 'center'),
+          ...[0, 90, 180, 270].map(a => at(polarPoint(element.center_cm, element.radius_cm, a), 'quadrant'))];
+      case 'line':
+        return [at(element.from_cm, 'end'), at(element.to_cm, 'end'), at(midpoint(element.from_cm, element.to_cm), 'midpoint')];
+      case 'polygon':
+      case 'polyline':
+        return element.points_cm.map(p => at(p, 'vertex'));
+      case 'curve': {
+        // Bezier control points are off the curve
+        const points = element.points_cm;
+        return element.curveType === 'spline'
+          ? points.map(p => at(p, 'vertex'))
+          : [at(points[0], 'end'), at(points[points.length - 1], 'end')];
+      }
+      case 'arc':
+        return [at(element.center_cm, 'center'),
+          at(polarPoint(element.center_cm, element.radius_cm, element.startAngle || 0), 'end'),
+          at(polarPoint(element.center_cm, element.radius_cm, element.endAngle), 'end')];
+      case 'sector': {
+        const { center_cm: c, innerRadius_cm: rIn, outerRadius_cm: rOut } = element;
+        const ends = [element.startAngle || 0, element.endAngle];
+        return [at(c, 'center'),
+          ...ends.flatMap(a => [at(polarPoint(c, rIn, a), 'corner'), at(polarPoint(c, rOut, a), 'corner')])];
+      }
+      case 'text':
+        return [at(element.position_cm, 'position')];
+      default:
+        return [];
+    }
+  }
+
+  // Zones containing a point, the one that wins (highest priority, then topmost) first
+  hitTest(point) {
+    return this.getZones()
+      .filter(element => this.containsPoint(element, point))
+      .sort((a, b) => (b.scoring?.priority ?? 0) - (a.scoring?.priority ?? 0) || (b.zOrder || 0) - (a.zOrder || 0));
+  }
+
+  /**
+   * How many zones cover each cell of a grid laid over the mat, sampled at
+   * cell centers. `counts` is row-major with `cols` cells per row.
+   */
+  getCoverage(cell_cm = 2) {
+    const cols = Math.max(1, Math.ceil(this.mat.width_cm / cell_cm));
+    const rows = Math.max(1, Math.ceil(this.mat.length_cm / cell_cm));
+    const zones = this.getZones();
+    const counts = new Uint16Array(cols * rows);
+    for (let row = 0; row < rows; row++) {
+      const y = Math.min((row + 0.5) * cell_cm, this.mat.length_cm);
+      for (let col = 0; col < cols; col++) {
+        const point = { x: Math.min((col + 0.5) * cell_cm, this.mat.width_cm), y };
+        counts[row * cols + col] = zones.filter(zone => this.containsPoint(zone, point)).length;
+      }
+    }
+    return { cols, rows, cell_cm, counts };
+  }
+
+  // Where a zone's score is shown: the middle of a sector's band, a circle's
+  // center, or the center of the element's bounds
+  getZoneAnchor(element) {
+    if (element.type === 'sector') {
+      const r = (element.innerRadius_cm + element.outerRadius_cm) / 2;
+      return polarPoint(element.center_cm, r, midAngle(element.startAngle, element.endAngle));
+    }
+    if (element.center_cm) return { ...element.center_cm };
+    const b = this.getElementBounds(element);
+    return { x: (b.minX + b.maxX) / 2, y: (b.minY + b.maxY) / 2 };
+  }
+
+  /**
+   * Axis-aligned bounding box of an element in cm.
+   * Arcs and sectors are exact; text is approximated from its font size and
+   * character count, and dimensions include their label.
+   */
+  getElementBounds(element) {
+    if (element.type === 'dimension') {
+      return unionBounds(dimensionParts(element).map(part => this.getElementBounds(part)));
+    }
+
+    const points = [];
+
+    switch (element.type) {
+      case 'rect':
+        points.push(...this.getRectCorners(element));
+        break;
+      case 'circle':
+      case 'marker': {
+        const { x, y } = element.center_cm;
+        const r = element.radius_cm;
+        points.push({ x: x - r, y: y - r }, { x: x + r, y: y + r });
+        break;
+      }
+      case 'line':
+        points.push(element.from_cm, element.to_cm);
+        break;
+      case 'polygon':
+      case 'polyline':
+        points.push(...element.points_cm);
+        break;
+      case 'curve':
+        points.push(...sampleCurve(element));
+        break;
+      case 'arc':
+        points.push(...arcExtremes(element.center_cm, element.radius_cm, element.startAngle, element.endAngle));
+        break;
+      case 'sector':
+        points.push(...arcExtremes(element.center_cm, element.outerRadius_cm, element.startAngle, element.endAngle));
+        points.push(...arcExtremes(element.center_cm, element.innerRadius_cm, element.startAngle, element.endAngle));
+        break;
+      case 'text': {
+        const size = element.fontSize || 3;
+        const halfW = (element.text || '').length * size * 0.3;
+        const halfH = size / 2;
+        const { x, y } = element.position_cm;
+        const offsetX = element.textAnchor === 'start' ? halfW : element.textAnchor === 'end' ? -halfW : 0;
+        for (const [cx, cy] of [[-halfW, -halfH], [halfW, -halfH], [halfW, halfH], [-halfW, halfH]]) {
+          points.push(rotatePoint({ x: x + cx + offsetX, y: y + cy }, element.position_cm, element.rotation || 0));
+        }
+        break;
+      }
+    }
+
+    return boundsOf(points);
+  }
+
+  getSelectionBounds() {
+    return unionBounds(this.getSelectedElements().map(e => this.getElementBounds(e)));
+  }
+
+  getMatBounds() {
+    return { minX: 0, minY: 0, maxX: this.mat.width_cm, maxY: this.mat.length_cm };
+  }
+
+  /**
+   * Line elements up on one of the ALIGN_EDGES of `target`, a bounds box.
+   * Each element moves on its own, or with `together` all move as one block
+   * so their layout is kept. Returns the number of elements that moved.
+   */
+  alignElements(elements, edge, target, { together = false } = {}) {
+    const { axis, at } = ALIGN_EDGES[edge];
+    const goal = boxPosition(target, axis, at);
+    const block = together ? unionBounds(elements.map(e => this.getElementBounds(e))) : null;
+    let moved = 0;
+    for (const element of elements) {
+      const bounds = block ?? this.getElementBounds(element);
+      if (!bounds) continue;
+      const delta = goal - boxPosition(bounds, axis, at);
+      if (Math.abs(delta) < 1e-9) continue;
+      this.translateElement(element, axis === 'x' ? delta : 0, axis === 'y' ? delta : 0);
+      moved++;
+    }
+    return moved;
+  }
+
+  /**
+   * Space elements evenly along an axis ('x' across the mat, 'y' along it):
+   * the outermost two stay put and the rest move so every gap between
+   * neighbouring bounds is equal. Returns the gap in cm, or null with fewer
+   * than three elements.
+   */
+  distributeElements(elements, axis) {
+    const placed = elements
+      .map(element => ({ element, bounds: this.getElementBounds(element) }))
+      .filter(item => item.bounds)
+      .sort((a, b) => boxPosition(a.bounds, axis, 0.5) - boxPosition(b.bounds, axis, 0.5));
+    if (placed.length < 3) return null;
+
+    const size = (b) => boxPosition(b, axis, 1) - boxPosition(b, axis, 0);
+    const first = placed[0].bounds;
+    const last = placed[placed.length - 1].bounds;
+    const span = boxPosition(last, axis, 1) - boxPosition(first, axis, 0);
+    const gap = (span - placed.reduce((sum, item) => sum + size(item.bounds), 0)) / (placed.length - 1);
+
+    let next = boxPosition(first, axis, 1) + gap;
+    for (const { element, bounds } of placed.slice(1, -1)) {
+      const delta = next - boxPosition(bounds, axis, 0);
+      this.translateElement(element, axis === 'x' ? delta : 0, axis === 'y' ? delta : 0);
+      next += size(bounds) + gap;
+    }
+    return gap;
+  }
+
+  // =====================================================
+  // Arrays
+  // =====================================================
+
+  // Points tracing an element from its start, for laying copies along it, or null if it has no path
+  getPathPoints(element) {
+    const around = (start, sweep, radius) => {
+      const steps = Math.max(8, Math.ceil(sweep / 2));
+      return Array.from({ length: steps + 1 }, (_, i) => polarPoint(element.center_cm, radius, start + sweep * i / steps));
+    };
+    switch (element.type) {
+      case 'line':
+        return [element.from_cm, element.to_cm];
+      case 'polyline':
+        return element.points_cm;
+      case 'polygon':
+        return [...element.points_cm, element.points_cm[0]];
+      case 'curve':
+        return sampleCurve(element);
+      case 'arc':
+        return around(element.startAngle || 0, sweepOf(element.startAngle || 0, element.endAngle), element.radius_cm);
+      case 'circle':
+        return around(0, 360, element.radius_cm);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Copies of `elements` laid out as an array, not yet added. Copy n
+   * (1..count) of each element gets the id `${id}_${tag}${n}` and is placed
+   * according to `mode`:
+   *   linear - moved n times `step` ({ x, y } in cm)
+   *   radial - turned n times `angleStep` degrees about `center`; with
+   *            `rotateCopies` off they move around it without turning
+   *   path   - moved so the selection's center sits on `path` (an element
+   *            with getPathPoints), copies `spacing` cm apart from its start
+   *            or spread evenly over it when spacing is 0. `alignToPath`
+   *            turns each copy with the path's direction. Copies that would
+   *            run past the end are left out.
+   */
+  planArray(elements, { mode, count, tag = '', step, center, angleStep, rotateCopies = true, path, spacing = 0, alignToPath = false }) {
+    const bounds = unionBounds(elements.map(e => this.getElementBounds(e)));
+    if (!bounds) return [];
+    const anchor = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+    const translateTo = (element, point) => this.translateElement(element, point.x - anchor.x, point.y - anchor.y);
+
+    // How to place copy n, one per station
+    let stations;
+    if (mode === 'linear') {
+      stations = Array.from({ length: count }, (_, i) => (e) => this.translateElement(e, (i + 1) * step.x, (i + 1) * step.y));
+    } else if (mode === 'radial') {
+      stations = Array.from({ length: count }, (_, i) => (e) => rotateCopies
+        ? this.rotateElement(e, center, (i + 1) * angleStep)
+        : translateTo(e, rotatePoint(anchor, center, (i + 1) * angleStep)));
+    } else {
+      const points = path && this.getPathPoints(path);
+      if (!points || points.length < 2) return [];
+      const length = polylineLength(points);
+      const closed = distance(points[0], points[points.length - 1]) < 1e-9;
+      const pitch = spacing > 0 ? spacing : count > 1 ? length / (closed ? count : count - 1) : 0;
+      const start = pointAlongPolyline(points, 0);
+      stations = Array.from({ length: count }, (_, i) => i * pitch)
+        .filter(along => along <= length + 1e-9)
+        .map(along => pointAlongPolyline(points, along))
+        .map(at => (e) => {
+          translateTo(e, at);
+          if (alignToPath) this.rotateElement(e, at, at.angle - start.angle);
+        });
+    }
+
+    return stations.flatMap((place, i) => elements.map(element => {
+      const copy = JSON.parse(JSON.stringify(element));
+      copy.id = `${element.id}_${tag}${i + 1}`;
+      place(copy);
+      return copy;
+    }));
+  }
+
+  // Add the copies from planArray() on top of everything, in order
+  createArray(elements, options) {
+    const copies = this.planArray(elements, options);
+    for (const copy of copies) {
+      copy.zOrder = this.getNextZOrder();
+      this.elements.push(copy);
+    }
+    if (copies.length > 0) this.dirty = true;
+    return copies;
+  }
+
+  /**
+   * Serialize to layout.json. Elements keep screen angles internally; in the
+   * file, angles and rotations are written in the mat's angle convention.
+   * Pass `dimensions: false` to leave dimension annotations out.
+   */
+  toJSON({ dimensions = true } = {}) {
+    const convention = this.mat.angleConvention;
+    const json = {
+      metadata: {
+        version: this.version,
+        editor: 'mat-layout-editor',
+        savedAt: new Date().toISOString()
+      },
+      mat: {
+        width_cm: this.mat.width_cm,
+        length_cm: this.mat.length_cm,
+        color: this.mat.color,
+        origin: 'top_left',
+        units: 'cm',
+        angle_convention: convention
+      },
+      markers: [],
+      areas: [],
+      arcs: [],
+      sectors: [],
+      lines: [],
+      texts: [],
+      dimensions: []
+    };
+
+    // Scoring metadata is only written for zones that have it, layer state
+    // only where it is set
+    const withExtras = (entry, elem) => {
+      if (elem.scoring && isScorable(elem)) entry.scoring = { ...elem.scoring, tags: [...elem.scoring.tags] };
+      if (elem.group) entry.group = elem.group;
+      if (elem.hidden) entry.hidden = true;
+      if (elem.locked) entry.locked = true;
+      return entry;
+    };
+
+    for (const elem of this.elements) {
+      switch (elem.type) {
+        case 'rect': {
+          const area = {
+            id: elem.id,
+            type: 'rect',
+            x0_cm: elem.x0_cm,
+            y0_cm: elem.y0_cm,
+            x1_cm: elem.x1_cm,
+            y1_cm: elem.y1_cm,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          };
+          // x0..y1 describe the unrotated box; corners_cm spells out the
+          // rotated outline so consumers need not apply the transform. A
+          // pivot set in the panel is kept even before the rect is rotated.
+          if (elem.rotation) {
+            area.rotation = toConventionRotation(elem.rotation, convention);
+            area.pivot_cm = this.getRectPivot(elem);
+            area.corners_cm = this.getRectCorners(elem);
+          } else if (elem.pivot_cm) {
+            area.pivot_cm = { ...elem.pivot_cm };
+          }
+          json.areas.push(withExtras(area, elem));
+          break;
+        }
+
+        case 'polygon':
+        case 'polyline':
+          json.areas.push(withExtras({
+            id: elem.id,
+            type: 'polygon',
+            closed: elem.type === 'polygon',
+            points_cm: elem.points_cm.map(p => ({ ...p })),
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+
+        case 'circle':
+        case 'marker':
+          json.markers.push(withExtras({
+            id: elem.id,
+            type: elem.type === 'circle' ? 'target' : 'ball_marker',
+            center_cm: { ...elem.center_cm },
+            radius_cm: elem.radius_cm,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+
+        case 'line':
+          json.lines = json.lines || [];
+          json.lines.push(withExtras({
+            id: elem.id,
+            type: 'line_segment',
+            from_cm: { ...elem.from_cm },
+            to_cm: { ...elem.to_cm },
+            lineStyle: elem.lineStyle,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+
+        case 'curve':
+          json.lines.push(withExtras({
+            id: elem.id,
+            type: 'curve',
+            curveType: elem.curveType,
+            points_cm: elem.points_cm.map(p => ({ ...p })),
+            length_cm: Math.round(curveLength(elem) * 100) / 100,
+            lineStyle: elem.lineStyle,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+
+        case 'arc': {
+          const { start, end } = sweepToConvention(elem.startAngle, elem.endAngle, convention);
+          json.arcs.push(withExtras({
+            id: elem.id,
+            type: 'circular_arc',
+            center_cm: { ...elem.center_cm },
+            radius_cm: elem.radius_cm,
+            startAngle: start,
+            endAngle: end,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+        }
+
+        case 'text':
+          json.texts.push(withExtras({
+            id: elem.id,
+            type: 'text',
+            position_cm: { ...elem.position_cm },
+            text: elem.text,
+            rotation: toConventionRotation(elem.rotation, convention), // Changed from direction
+            fontFamily: elem.fontFamily,
+            fontSize: elem.fontSize,
+            fontStyle: elem.fontStyle,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            textAnchor: elem.textAnchor,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+
+        case 'sector': {
+          const { start, end } = sweepToConvention(elem.startAngle, elem.endAngle, convention);
+          json.sectors.push(withExtras({
+            id: elem.id,
+            type: 'annulus_sector',
+            center_cm: { ...elem.center_cm },
+            innerRadius_cm: elem.innerRadius_cm,
+            outerRadius_cm: elem.outerRadius_cm,
+            startAngle: start,
+            endAngle: end,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          }, elem));
+          break;
+        }
+
+        case 'dimension': {
+          if (!dimensions) break;
+          const dimension = { id: elem.id, type: `${elem.kind}_dimension` };
+          if (elem.center_cm) dimension.center_cm = { ...elem.center_cm };
+          if (elem.from_cm) dimension.from_cm = { ...elem.from_cm };
+          dimension.to_cm = { ...elem.to_cm };
+          dimension.offset_cm = elem.offset_cm;
+          // The measured value, for consumers that only read it
+          const value = Math.round(dimensionValue(elem) * 100) / 100;
+          if (elem.kind === 'angular') dimension.angle_deg = value;
+          else dimension.length_cm = value;
+          Object.assign(dimension, {
+            fontSize: elem.fontSize,
+            fill: elem.fill,
+            stroke: elem.stroke,
+            strokeWidth: elem.strokeWidth,
+            zOrder: elem.zOrder
+          });
+          json.dimensions.push(withExtras(dimension, elem));
+          break;
+        }
+      }
+    }
+
+    // Layer groups that still have members
+    const groups = this.groups.filter(g => this.getGroupMembers(g.id).length > 0);
+    if (groups.length > 0) json.groups = groups.map(g => ({ ...g }));
+
+    // Remove empty arrays
+    if (json.markers.length === 0) delete json.markers;
+    if (json.areas.length === 0) delete json.areas;
+    if (json.arcs.length === 0) delete json.arcs;
+    if (json.sectors.length === 0) delete json.sectors;
+    if (json.texts.length === 0) delete json.texts;
+    if (json.dimensions.length === 0) delete json.dimensions;
+    if (!json.lines || json.lines.length === 0) delete json.lines;
+
+    return json;
+  }
+
+  fromJSON(json) {
+    this.elements = [];
+    this.groups = [];
+    this.nextId = 1;
+
+    // Parse mat dimensions. Files without an angle convention predate it and
+    // use screen angles.
+    if (json.mat) {
+      this.mat.width_cm = json.mat.width_cm || 50;
+      this.mat.length_cm = json.mat.length_cm || 400;
+      this.mat.color = json.mat.color ?? '#1a4d2e';
+    }
+    const convention = json.mat?.angle_convention ?? DEFAULT_ANGLE_CONVENTION;
+    this.mat.angleConvention = convention;
+    const sweep = (item, start, end) => sweepFromConvention(item.startAngle ?? start, item.endAngle ?? end, convention);
+
+    // Layer groups; elements naming a group that is not listed stay ungrouped
+    if (Array.isArray(json.groups)) {
+      for (const group of json.groups) {
+        if (typeof group?.id !== 'string' || this.getGroup(group.id)) continue;
+        this.groups.push({
+          id: group.id,
+          name: typeof group.name === 'string' ? group.name : group.id,
+          hidden: group.hidden === true,
+          locked: group.locked === true
+        });
+      }
+    }
+    const layer = (item) => ({
+      group: this.getGroup(item.group) ? item.group : undefined,
+      hidden: item.hidden === true,
+      locked: item.locked === true
+    });
+
+    // Parse areas (rectangles and polygons)
+    if (json.areas) {
+      for (const area of json.areas) {
+        if (area.type === 'polygon') {
+          this.createElement(area.closed === false ? 'polyline' : 'polygon', {
+            id: area.id,
+            points_cm: area.points_cm,
+            fill: area.fill,
+            stroke: area.stroke,
+            strokeWidth: area.strokeWidth,
+            zOrder: area.zOrder,
+            ...layer(area),
+            scoring: area.scoring
+          });
+          continue;
+        }
+        this.createElement('rect', {
+          id: area.id,
+          x0_cm: area.x0_cm,
+          y0_cm: area.y0_cm,
+          x1_cm: area.x1_cm,
+          y1_cm: area.y1_cm,
+          rotation: fromConventionRotation(area.rotation || 0, convention),
+          pivot_cm: area.pivot_cm,
+          fill: area.fill,
+          stroke: area.stroke,
+          strokeWidth: area.strokeWidth,
+          zOrder: area.zOrder,
+          ...layer(area),
+          scoring: area.scoring
+        });
+      }
+    }
+
+    // Parse markers
+    if (json.markers) {
+      for (const marker of json.markers) {
+        const type = marker.type === 'target' ? 'circle' : 'marker';
+        this.createElement(type, {
+          id: marker.id,
+          center_cm: marker.center_cm,
+          radius_cm: marker.radius_cm || 1,
+          fill: marker.fill,
+          stroke: marker.stroke,
+          strokeWidth: marker.strokeWidth,
+          zOrder: marker.zOrder,
+          ...layer(marker),
+          scoring: marker.scoring
+        });
+      }
+    }
+
+    // Parse arcs
+    if (json.arcs) {
+      for (const arc of json.arcs) {
+        const { start, end } = sweep(arc, 180, 360);
+        this.createElement('arc', {
+          id: arc.id,
+          center_cm: arc.center_cm,
+          radius_cm: arc.radius_cm,
+          startAngle: start,
+          endAngle: end,
+          fill: arc.fill,
+          stroke: arc.stroke,
+          strokeWidth: arc.strokeWidth,
+          zOrder: arc.zOrder,
+          ...layer(arc)
+        });
+      }
+    }
+
+    // Parse texts
+    if (json.texts) {
+      for (const text of json.texts) {
+        // Backward compatibility for 'direction'
+        let rot = fromConventionRotation(text.rotation || 0, convention);
+        if (text.direction === 'vertical' && !text.rotation) {
+          rot = 90;
+        }
+
+        this.createElement('text', {
+          id: text.id,
+          position_cm: text.position_cm,
+          text: text.text,
+          rotation: rot,
+          fontFamily: text.fontFamily,
+          fontSize: text.fontSize,
+          fontStyle: text.fontStyle,
+          fill: text.fill,
+          stroke: text.stroke,
+          strokeWidth: text.strokeWidth,
+          textAnchor: text.textAnchor,
+          zOrder: text.zOrder,
+          ...layer(text)
+        });
+      }
+    }
+
+    // Parse sectors
+    if (json.sectors) {
+      for (const sector of json.sectors) {
+        const { start, end } = sweep(sector, 225, 315);
+        this.createElement('sector', {
+          id: sector.id,
+          center_cm: sector.center_cm,
+          innerRadius_cm: sector.innerRadius_cm,
+          outerRadius_cm: sector.outerRadius_cm,
+          startAngle: start,
+          endAngle: end,
+          fill: sector.fill,
+          stroke: sector.stroke,
+          strokeWidth: sector.strokeWidth,
+          zOrder: sector.zOrder,
+          ...layer(sector),
+          scoring: sector.scoring
+        });
+      }
+    }
+
+    // Parse lines (aiming_guides, behind_hole_guides, etc.)
+    const parseLines = (lines) => {
+      if (!lines) return;
+      for (const line of lines) {
+        if (line.type === 'curve') {
+          this.createElement('curve', {
+            id: line.id,
+            curveType: line.curveType,
+            points_cm: line.points_cm,
+            lineStyle: line.lineStyle,
+            fill: line.fill,
+            stroke: line.stroke,
+            strokeWidth: line.strokeWidth,
+            zOrder: line.zOrder,
+            ...layer(line)
+          });
+          continue;
+        }
+        this.createElement('line', {
+          id: line.id,
+          from_cm: line.from_cm,
+          to_cm: line.to_cm,
+          lineStyle: line.lineStyle,
+          fill: line.fill,
+          stroke: line.stroke,
+          strokeWidth: line.strokeWidth,
+          zOrder: line.zOrder,
+          ...layer(line)
+        });
+      }
+    };
+
+    parseLines(json.aiming_guides);
+    parseLines(json.lines);
+    if (json.behind_hole_guides) {
+      parseLines(json.behind_hole_guides.v_lines);
+      parseLines(json.behind_hole_guides.vertical_guides);
+    }
+
+    // Parse dimension annotations
+    if (json.dimensions) {
+      for (const dimension of json.dimensions) {
+        this.createElement('dimension', {
+          id: dimension.id,
+          // Unknown kinds, or a type that is not even a string, load as linear
+          kind: typeof dimension.type === 'string' ? dimension.type.replace(/_dimension$/, '') : 'linear',
+          center_cm: dimension.center_cm,
+          from_cm: dimension.from_cm,
+          to_cm: dimension.to_cm,
+          offset_cm: dimension.offset_cm,
+          fontSize: dimension.fontSize,
+          fill: dimension.fill,
+          stroke: dimension.stroke,
+          strokeWidth: dimension.strokeWidth,
+          zOrder: dimension.zOrder,
+          ...layer(dimension)
+        });
+      }
+    }
+
+    this.dirty = false;
+    this.selectedIds = [];
+  }
+}
@@ -0,0 +1,269 @@
+/**
+ * Mat Layout Editor - Geometry
+ *
+ * Plain-math helpers shared by the document model, the SVG/PDF builders and
+ * the editor: angles, points, containment, bounds and distances. Points are
+ * { x, y } in cm with y pointing down the mat, so positive angles (degrees)
+ * turn clockwise on screen. No DOM dependencies.
+ */
+
+// =====================================================
+// Angles
+// =====================================================
+
+export const toRadians = (degrees) => degrees * Math.PI / 180;
+export const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Wrap an angle in degrees into [0, 360)
+export const normalizeAngle = (degrees) => ((degrees % 360) + 360) % 360;
+
+// Positive (clockwise on the mat) sweep from start to end; equal angles mean a full turn
+export function sweepOf(startDeg, endDeg) {
+  return normalizeAngle(endDeg - startDeg) || 360;
+}
+
+// Angle halfway along the clockwise sweep from start to end
+export function midAngle(startDeg, endDeg) {
+  return startDeg + sweepOf(startDeg, endDeg) / 2;
+}
+
+// Whether `angle` lies on the clockwise sweep from start to end, ends included
+export function angleInSweep(angle, startDeg, endDeg) {
+  return normalizeAngle(angle - startDeg) <= sweepOf(startDeg, endDeg);
+}
+
+// Direction from one point to another, in (-180, 180]
+export const angleTo = (from, to) => toDegrees(Math.atan2(to.y - from.y, to.x - from.x));
+
+// Unsigned angle at `vertex` between the rays towards a and b, in [0, 180]
+export function angleBetween(vertex, a, b) {
+  const turn = normalizeAngle(angleTo(vertex, b) - angleTo(vertex, a));
+  return turn > 180 ? 360 - turn : turn;
+}
+
+// =====================================================
+// Angle Conventions
+// =====================================================
+
+/*
+ * Angles are stored in screen terms (0° along +x, clockwise). A layout may
+ * read and write them in another convention: `zero` is the screen angle that
+ * reads as 0° and `direction` is 1 when angles grow clockwise on screen, -1
+ * when they grow counter-clockwise. With the hole near the top of the mat,
+ * "toward the hole" is screen 270° and "toward the player" screen 90°.
+ */
+export const ANGLE_CONVENTIONS = {
+  screen: { label: 'Screen: 0° right, clockwise', zero: 0, direction: 1 },
+  math: { label: 'Math: 0° right, counter-clockwise', zero: 0, direction: -1 },
+  compass_hole: { label: 'Compass: 0° toward hole, clockwise', zero: 270, direction: 1 },
+  compass_player: { label: 'Compass: 0° toward player, clockwise', zero: 90, direction: 1 }
+};
+
+export const DEFAULT_ANGLE_CONVENTION = 'screen';
+
+const conventionOf = (name) => ANGLE_CONVENTIONS[name] ?? ANGLE_CONVENTIONS[DEFAULT_ANGLE_CONVENTION];
+
+// The default convention passes angles through untouched; others wrap into [0, 360)
+const isIdentity = (name) => conventionOf(name) === ANGLE_CONVENTIONS.screen;
+
+// A screen direction as read in `convention`
+export function toConventionAngle(degrees, convention) {
+  if (isIdentity(convention)) return degrees;
+  const { zero, direction } = conventionOf(convention);
+  return normalizeAngle(direction * (degrees - zero));
+}
+
+export function fromConventionAngle(degrees, convention) {
+  if (isIdentity(convention)) return degrees;
+  const { zero, direction } = conventionOf(convention);
+  return normalizeAngle(zero + direction * degrees);
+}
+
+// Rotations have no zero direction, only a sense of turning
+export function toConventionRotation(degrees, convention) {
+  return conventionOf(convention).direction * degrees || 0;
+}
+
+export const fromConventionRotation = toConventionRotation;
+
+/**
+ * An arc's clockwise-on-screen sweep as { start, end } in `convention`, where
+ * it runs in that convention's positive direction. Counter-clockwise
+ * conventions swap the ends. Both ends wrap into [0, 360), except that a
+ * full turn ends at start + 360.
+ */
+export function sweepToConvention(startDeg, endDeg, convention) {
+  if (isIdentity(convention)) return { start: startDeg, end: endDeg };
+  const from = conventionOf(convention).direction === 1 ? startDeg : endDeg;
+  const start = toConventionAngle(from, convention);
+  const sweep = sweepOf(startDeg, endDeg);
+  return { start, end: sweep === 360 ? start + 360 : normalizeAngle(start + sweep) };
+}
+
+export function sweepFromConvention(startDeg, endDeg, convention) {
+  if (isIdentity(convention)) return { start: startDeg, end: endDeg };
+  const sweep = sweepOf(startDeg, endDeg);
+  const first = fromConventionAngle(conventionOf(convention).direction === 1 ? startDeg : endDeg, convention);
+  return { start: first, end: first + sweep };
+}
+
+// =====================================================
+// Points
+// =====================================================
+
+export const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+export const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Point at `radius` from `center` in the direction `degrees`
+export function polarPoint(center, radius, degrees) {
+  const rad = toRadians(degrees);
+  return { x: center.x + radius * Math.cos(rad), y: center.y + radius * Math.sin(rad) };
+}
+
+// `point` turned by `degrees` about `pivot`, as a new point
+export function rotatePoint(point, pivot, degrees) {
+  const rad = toRadians(degrees);
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx = point.x - pivot.x;
+  const dy = point.y - pivot.y;
+  return { x: pivot.x + dx * cos - dy * sin, y: pivot.y + dx * sin + dy * cos };
+}
+
+// =====================================================
+// Containment (points on the edge count as inside)
+// =====================================================
+
+export function pointInBox(point, { minX, minY, maxX, maxY }) {
+  return point.x >= minX && point.x <= maxX && point.y >= minY && point.y <= maxY;
+}
+
+export function pointInCircle(point, center, radius) {
+  return distance(point, center) <= radius;
+}
+
+// Annular sector between two radii, swept clockwise from start to end
+export function pointInSector(point, center, innerRadius, outerRadius, startDeg, endDeg) {
+  const r = distance(point, center);
+  if (r < innerRadius || r > outerRadius) return false;
+  return r === 0 || angleInSweep(angleTo(center, point), startDeg, endDeg);
+}
+
+// Even-odd ray casting, so self-intersecting outlines alternate in and out
+export function pointInPolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > point.y) !== (b.y > point.y) &&
+        point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// =====================================================
+// Bounds
+// =====================================================
+
+// Axis-aligned box { minX, minY, maxX, maxY } around points, or null if there are none
+export function boundsOf(points) {
+  if (points.length === 0) return null;
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    minY: Math.min(...points.map(p => p.y)),
+    maxX: Math.max(...points.map(p => p.x)),
+    maxY: Math.max(...points.map(p => p.y))
+  };
+}
+
+export function unionBounds(boxes) {
+  const present = boxes.filter(Boolean);
+  if (present.length === 0) return null;
+  return {
+    minX: Math.min(...present.map(b => b.minX)),
+    minY: Math.min(...present.map(b => b.minY)),
+    maxX: Math.max(...present.map(b => b.maxX)),
+    maxY: Math.max(...present.map(b => b.maxY))
+  };
+}
+
+/**
+ * Points that bound a circular arc exactly: its two ends plus every
+ * quadrant extreme (0°, 90°, 180°, 270°) the sweep passes through.
+ */
+export function arcExtremes(center, radius, startDeg, endDeg) {
+  const points = [polarPoint(center, radius, startDeg), polarPoint(center, radius, endDeg)];
+  for (const axis of [0, 90, 180, 270]) {
+    if (angleInSweep(axis, startDeg, endDeg)) points.push(polarPoint(center, radius, axis));
+  }
+  return points;
+}
+
+// =====================================================
+// Distances
+// =====================================================
+
+export function closestPointOnSegment(point, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  if (lengthSq === 0) return { x: a.x, y: a.y };
+  const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq));
+  return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+export const distanceToSegment = (point, a, b) => distance(point, closestPointOnSegment(point, a, b));
+
+// Distance to the nearest edge of an open or closed outline
+export function distanceToPolyline(point, points, closed = false) {
+  let best = Infinity;
+  const edges = closed ? points.length : points.length - 1;
+  for (let i = 0; i < edges; i++) {
+    best = Math.min(best, distanceToSegment(point, points[i], points[(i + 1) % points.length]));
+  }
+  return points.length === 1 ? distance(point, points[0]) : best;
+}
+
+export function closestPointOnArc(point, center, radius, startDeg, endDeg) {
+  const angle = distance(point, center) === 0 ? startDeg : angleTo(center, point);
+  if (angleInSweep(angle, startDeg, endDeg)) return polarPoint(center, radius, angle);
+  const start = polarPoint(center, radius, startDeg);
+  const end = polarPoint(center, radius, endDeg);
+  return distance(point, start) <= distance(point, end) ? start : end;
+}
+
+export const distanceToArc = (point, center, radius, startDeg, endDeg) =>
+  distance(point, closestPointOnArc(point, center, radius, startDeg, endDeg));
+
+// =====================================================
+// Paths
+// =====================================================
+
+export function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+  return length;
+}
+
+/**
+ * The point `along` cm from the start of a polyline (clamped to its ends)
+ * as { x, y, angle }, where angle is the direction of the edge it lies on.
+ */
+export function pointAlongPolyline(points, along) {
+  let remaining = Math.max(0, along);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const length = distance(a, b);
+    if (length === 0) continue;
+    if (remaining <= length || i === points.length - 1) {
+      const t = Math.min(1, remaining / length);
+      return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, angle: angleTo(a, b) };
+    }
+    remaining -= length;
+  }
+  return { x: points[0].x, y: points[0].y, angle: 0 };
+}
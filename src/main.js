@@ -6,471 +6,163 @@
  */
 
 import './style.css';
+import { MatDocument, ZONE_ROLES, isScorable, normalizeScoring } from './document.js';
+import {
+  ANGLE_CONVENTIONS, angleTo, distance, fromConventionRotation, midAngle, midpoint, normalizeAngle, polarPoint,
+  sweepFromConvention, sweepOf, sweepToConvention, toConventionAngle, toConventionRotation
+} from './geometry.js';
+import { validateLayout } from './schema.js';
+import { SNAP_TYPES, snapMove, snapPoint, snapRadius, snapToStep } from './snapping.js';
+import { planTiles, renderLayoutPDF } from './pdf.js';
+import { RASTER_FORMATS, dpiToPxPerCm, pxPerCmToDpi, rasterSize, setImageDensity } from './raster.js';
+import {
+  clearSession, deleteLayout, getLayout, listLayouts, loadSession, putLayout, saveSession
+} from './storage.js';
+import {
+  TEMPLATES, generateSectorFan, generateTemplate, getTemplate, parseNumberList, resolveParams
+} from './templates.js';
+import {
+  SVG_NS, curveLength, describeElement, describeMat, dimensionLabel, renderLayoutSVG, sortByZOrder
+} from './svg.js';
 
 // =====================================================
-// Document Model
+// History (Undo/Redo)
 // =====================================================
 
-class MatDocument {
-  constructor() {
-    this.version = 'v1';
-    this.units = 'cm';
-    this.mat = {
-      width_cm: 50,
-      length_cm: 400,
-      color: '#1a4d2e'
-    };
-    this.elements = [];
-    this.selectedId = null;
-    this.nextId = 1;
-    this.dirty = false;
-  }
-
-  getNextZOrder() {
-    if (this.elements.length === 0) return 0;
-    return Math.max(...this.elements.map(e => e.zOrder || 0)) + 1;
+/**
+ * Snapshot-based undo stack. Every mutation is recorded as a labelled
+ * before/after pair of serialized document state, so any MatDocument
+ * operation can be reverted without each one knowing how to invert itself.
+ */
+class HistoryManager {
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
   }
 
-  getMinZOrder() {
-    if (this.elements.length === 0) return 0;
-    return Math.min(...this.elements.map(e => e.zOrder || 0)) - 1;
+  snapshot(doc) {
+    return JSON.stringify({
+      mat: doc.mat,
+      elements: doc.elements,
+      groups: doc.groups,
+      nextId: doc.nextId
+    });
   }
 
-  moveElementToFront(id) {
-    const element = this.getElementById(id);
-    if (element) {
-      element.zOrder = this.getNextZOrder();
-      this.dirty = true;
-      return true;
-    }
-    return false;
+  restore(doc, snapshot) {
+    const state = JSON.parse(snapshot);
+    doc.mat = state.mat;
+    doc.elements = state.elements;
+    doc.groups = state.groups ?? [];
+    doc.nextId = state.nextId;
+    doc.selectedIds = doc.selectedIds.filter(id => doc.getElementById(id));
+    doc.dirty = true;
   }
 
-  moveElementToBack(id) {
-    const element = this.getElementById(id);
-    if (element) {
-      element.zOrder = this.getMinZOrder();
-      this.dirty = true;
-      return true;
-    }
-    return false;
+  // Open a transaction; everything until commit() becomes one entry.
+  // Used to coalesce a whole drag gesture into a single undo step.
+  begin(doc, label) {
+    if (this.pending) return;
+    this.pending = { label, before: this.snapshot(doc) };
   }
 
-  createElement(type, props = {}) {
-    const id = props.id || `${type}_${this.nextId++}`;
-    let element;
-
-    switch (type) {
-      case 'rect':
-        element = {
-          id,
-          type: 'rect',
-          x0_cm: props.x0_cm ?? 0,
-          y0_cm: props.y0_cm ?? 0,
-          x1_cm: props.x1_cm ?? 20,
-          y1_cm: props.y1_cm ?? 20,
-          fill: props.fill ?? 'rgba(74, 158, 255, 0.3)',
-          stroke: props.stroke ?? 'none',
-          strokeWidth: props.strokeWidth ?? 0
-        };
-        break;
-
-      case 'circle':
-      case 'hole':
-        element = {
-          id,
-          type: 'circle',
-          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
-          radius_cm: props.radius_cm ?? 2,
-          fill: props.fill ?? '#333333',
-          stroke: props.stroke ?? '#ffffff',
-          strokeWidth: props.strokeWidth ?? 1
-        };
-        break;
-
-      case 'marker':
-      case 'ball_marker':
-        element = {
-          id,
-          type: 'marker',
-          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 100 },
-          radius_cm: props.radius_cm ?? 0.75,
-          fill: props.fill ?? '#ffffff',
-          stroke: props.stroke ?? '#000000',
-          strokeWidth: props.strokeWidth ?? 0.5
-        };
-        break;
-
-      case 'line':
-        element = {
-          id,
-          type: 'line',
-          from_cm: props.from_cm ?? { x: 5, y: 10 },
-          to_cm: props.to_cm ?? { x: 45, y: 10 },
-          fill: 'none',
-          stroke: props.stroke ?? '#ffffff',
-          strokeWidth: props.strokeWidth ?? 1,
-          lineStyle: props.lineStyle ?? 'solid' // solid, dashed, dotted
-        };
-        break;
-
-      case 'arc':
-        element = {
-          id,
-          type: 'arc',
-          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
-          radius_cm: props.radius_cm ?? 90,
-          startAngle: props.startAngle ?? 200,
-          endAngle: props.endAngle ?? 340,
-          stroke: props.stroke ?? '#ffffff',
-          strokeWidth: props.strokeWidth ?? 1
-        };
-        break;
-
-      case 'text':
-        element = {
-          id,
-          type: 'text',
-          position_cm: props.position_cm ?? { x: this.mat.width_cm / 2, y: 100 },
-          text: props.text ?? 'Label',
-          text: props.text ?? 'Label',
-          fontFamily: props.fontFamily ?? 'Inter',
-          fontSize: props.fontSize ?? 3, // in cm
-          fontStyle: props.fontStyle ?? 'normal', // 'normal', 'bold', 'italic', 'bold-italic'
-          fill: props.fill ?? '#ffffff',
-          textAnchor: props.textAnchor ?? 'middle', // 'start', 'middle', 'end'
-          rotation: props.rotation ?? 0
-        };
-        break;
+  commit(doc) {
+    if (!this.pending) return false;
+    const { label, before } = this.pending;
+    this.pending = null;
 
-      case 'sector':
-        element = {
-          id,
-          type: 'sector',
-          center_cm: props.center_cm ?? { x: this.mat.width_cm / 2, y: 50 },
-          innerRadius_cm: props.innerRadius_cm ?? 50,
-          outerRadius_cm: props.outerRadius_cm ?? 70,
-          startAngle: props.startAngle ?? 225,
-          endAngle: props.endAngle ?? 315,
-          fill: props.fill ?? 'rgba(255, 165, 0, 0.5)',
-          stroke: props.stroke ?? 'none',
-          strokeWidth: props.strokeWidth ?? 0
-        };
-        break;
+    const after = this.snapshot(doc);
+    if (after === before) return false;
 
-      default:
-        throw new Error(`Unknown element type: ${type}`);
+    // Any recorded change needs saving, including mat edits that do not go
+    // through the document's own methods
+    doc.dirty = true;
+    this.undoStack.push({ label, before, after });
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
     }
-
-    element.zOrder = props.zOrder ?? this.getNextZOrder();
-
-    this.elements.push(element);
-    this.dirty = true;
-    return element;
+    this.redoStack = [];
+    return true;
   }
 
-  getElementById(id) {
-    return this.elements.find(e => e.id === id);
-  }
-
-  updateElement(id, props) {
-    const element = this.getElementById(id);
-    if (element) {
-      Object.assign(element, props);
-      this.dirty = true;
+  // If mutate() throws, whatever it changed so far is still committed, so
+  // the transaction does not stay open and swallow later edits
+  record(doc, label, mutate) {
+    this.begin(doc, label);
+    try {
+      return mutate();
+    } finally {
+      this.commit(doc);
     }
-    return element;
   }
 
-  deleteElement(id) {
-    const index = this.elements.findIndex(e => e.id === id);
-    if (index !== -1) {
-      this.elements.splice(index, 1);
-      if (this.selectedId === id) {
-        this.selectedId = null;
-      }
-      this.dirty = true;
-      return true;
-    }
-    return false;
-  }
-
-  duplicateElement(id) {
-    const element = this.getElementById(id);
-    if (!element) return null;
-
-    const clone = JSON.parse(JSON.stringify(element));
-    clone.id = `${element.type}_${this.nextId++}`;
-
-    // Offset the duplicate slightly
-    if (clone.center_cm) {
-      clone.center_cm.x += 5;
-      clone.center_cm.y += 5;
-    } else if (clone.x0_cm !== undefined) {
-      clone.x0_cm += 5;
-      clone.y0_cm += 5;
-      clone.x1_cm += 5;
-      clone.y1_cm += 5;
-    } else if (clone.from_cm) {
-      clone.from_cm.x += 5;
-      clone.from_cm.y += 5;
-      clone.to_cm.x += 5;
-      clone.to_cm.y += 5;
-    } else if (clone.position_cm) {
-      clone.position_cm.x += 5;
-      clone.position_cm.y += 5;
-    }
-
-    this.elements.push(clone);
-    this.dirty = true;
-    return clone;
-  }
-
-  toJSON() {
-    const json = {
-      metadata: {
-        version: this.version,
-        editor: 'mat-layout-editor',
-        savedAt: new Date().toISOString()
-      },
-      mat: {
-        width_cm: this.mat.width_cm,
-        length_cm: this.mat.length_cm,
-        origin: 'top_left',
-        units: 'cm'
-      },
-      markers: [],
-      areas: [],
-      arcs: [],
-      sectors: [],
-      lines: [],
-      texts: []
-    };
-
-    for (const elem of this.elements) {
-      switch (elem.type) {
-        case 'rect':
-          json.areas.push({
-            id: elem.id,
-            type: 'rect',
-            x0_cm: elem.x0_cm,
-            y0_cm: elem.y0_cm,
-            x1_cm: elem.x1_cm,
-            y1_cm: elem.y1_cm,
-            fill: elem.fill,
-            zOrder: elem.zOrder
-          });
-          break;
-
-        case 'circle':
-        case 'marker':
-          json.markers.push({
-            id: elem.id,
-            type: elem.type === 'circle' ? 'target' : 'ball_marker',
-            center_cm: { ...elem.center_cm },
-            radius_cm: elem.radius_cm,
-            zOrder: elem.zOrder
-          });
-          break;
-
-        case 'line':
-          json.lines = json.lines || [];
-          json.lines.push({
-            id: elem.id,
-            type: 'line_segment',
-            from_cm: { ...elem.from_cm },
-            to_cm: { ...elem.to_cm },
-            lineStyle: elem.lineStyle,
-            stroke: elem.stroke,
-            strokeWidth: elem.strokeWidth,
-            zOrder: elem.zOrder
-          });
-          break;
-
-        case 'arc':
-          json.arcs.push({
-            id: elem.id,
-            type: 'circular_arc',
-            center_cm: { ...elem.center_cm },
-            radius_cm: elem.radius_cm,
-            startAngle: elem.startAngle,
-            endAngle: elem.endAngle,
-            zOrder: elem.zOrder
-          });
-          break;
-
-        case 'text':
-          json.texts.push({
-            id: elem.id,
-            type: 'text',
-            position_cm: { ...elem.position_cm },
-            text: elem.text,
-            rotation: elem.rotation, // Changed from direction
-            fontFamily: elem.fontFamily,
-            fontSize: elem.fontSize,
-            fontStyle: elem.fontStyle,
-            fill: elem.fill,
-            textAnchor: elem.textAnchor,
-            zOrder: elem.zOrder
-          });
-          break;
-
-        case 'sector':
-          json.sectors.push({
-            id: elem.id,
-            type: 'annulus_sector',
-            center_cm: { ...elem.center_cm },
-            innerRadius_cm: elem.innerRadius_cm,
-            outerRadius_cm: elem.outerRadius_cm,
-            startAngle: elem.startAngle,
-            endAngle: elem.endAngle,
-            fill: elem.fill,
-            stroke: elem.stroke,
-            strokeWidth: elem.strokeWidth,
-            zOrder: elem.zOrder
-          });
-          break;
-      }
-    }
-
-    // Remove empty arrays
-    if (json.markers.length === 0) delete json.markers;
-    if (json.areas.length === 0) delete json.areas;
-    if (json.areas.length === 0) delete json.areas;
-    if (json.arcs.length === 0) delete json.arcs;
-    if (json.sectors.length === 0) delete json.sectors;
-    if (json.texts.length === 0) delete json.texts;
-    if (!json.lines || json.lines.length === 0) delete json.lines;
-
-    return json;
+  canUndo() {
+    return this.undoStack.length > 0;
   }
 
-  fromJSON(json) {
-    this.elements = [];
-    this.nextId = 1;
-
-    // Parse mat dimensions
-    if (json.mat) {
-      this.mat.width_cm = json.mat.width_cm || 50;
-      this.mat.length_cm = json.mat.length_cm || 400;
-    }
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
 
-    // Parse areas (rectangles)
-    if (json.areas) {
-      for (const area of json.areas) {
-        this.createElement('rect', {
-          id: area.id,
-          x0_cm: area.x0_cm,
-          y0_cm: area.y0_cm,
-          x1_cm: area.x1_cm,
-          y1_cm: area.y1_cm,
-          fill: area.fill,
-          zOrder: area.zOrder
-        });
-      }
-    }
+  undo(doc) {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    this.restore(doc, entry.before);
+    this.redoStack.push(entry);
+    return entry;
+  }
 
-    // Parse markers
-    if (json.markers) {
-      for (const marker of json.markers) {
-        const type = marker.type === 'target' ? 'circle' : 'marker';
-        this.createElement(type, {
-          id: marker.id,
-          center_cm: marker.center_cm,
-          radius_cm: marker.radius_cm || 1,
-          zOrder: marker.zOrder
-        });
-      }
-    }
+  redo(doc) {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    this.restore(doc, entry.after);
+    this.undoStack.push(entry);
+    return entry;
+  }
 
-    // Parse arcs
-    if (json.arcs) {
-      for (const arc of json.arcs) {
-        this.createElement('arc', {
-          id: arc.id,
-          center_cm: arc.center_cm,
-          radius_cm: arc.radius_cm,
-          startAngle: arc.startAngle || 180,
-          endAngle: arc.endAngle || 360,
-          zOrder: arc.zOrder
-        });
-      }
-    }
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = null;
+  }
+}
 
-    // Parse texts
-    if (json.texts) {
-      for (const text of json.texts) {
-        // Backward compatibility for 'direction'
-        let rot = text.rotation || 0;
-        if (text.direction === 'vertical' && !text.rotation) {
-          rot = 90;
-        }
+// =====================================================
+// Canvas Renderer
+// =====================================================
 
-        this.createElement('text', {
-          id: text.id,
-          position_cm: text.position_cm,
-          text: text.text,
-          rotation: rot,
-          fontFamily: text.fontFamily,
-          fontSize: text.fontSize,
-          fontStyle: text.fontStyle,
-          fill: text.fill,
-          textAnchor: text.textAnchor,
-          zOrder: text.zOrder
-        });
-      }
-    }
+// Badge and legend colors for scoring zone roles
+const ZONE_ROLE_STYLES = {
+  target: { label: 'Target', color: '#3fb950' },
+  start: { label: 'Start', color: '#388bfd' },
+  penalty: { label: 'Penalty', color: '#f85149' },
+  bonus: { label: 'Bonus', color: '#d29922' },
+  out_of_bounds: { label: 'Out of Bounds', color: '#8b949e' }
+};
 
-    // Parse sectors
-    if (json.sectors) {
-      for (const sector of json.sectors) {
-        this.createElement('sector', {
-          id: sector.id,
-          center_cm: sector.center_cm,
-          innerRadius_cm: sector.innerRadius_cm,
-          outerRadius_cm: sector.outerRadius_cm,
-          startAngle: sector.startAngle,
-          endAngle: sector.endAngle,
-          fill: sector.fill,
-          stroke: sector.stroke,
-          strokeWidth: sector.strokeWidth,
-          zOrder: sector.zOrder
-        });
-      }
-    }
+const formatScore = (score) => (score > 0 ? `+${score}` : `${score}`);
 
-    // Parse lines (aiming_guides, behind_hole_guides, etc.)
-    const parseLines = (lines) => {
-      if (!lines) return;
-      for (const line of lines) {
-        this.createElement('line', {
-          id: line.id,
-          from_cm: line.from_cm,
-          to_cm: line.to_cm,
-          lineStyle: line.lineStyle,
-          stroke: line.stroke,
-          strokeWidth: line.strokeWidth,
-          zOrder: line.zOrder
-        });
-      }
-    };
+// Heat-map fill by number of covering zones (single coverage is left clear)
+const COVERAGE_FILLS = ['rgba(248, 81, 73, 0.4)', null, 'rgba(210, 153, 34, 0.4)', 'rgba(163, 113, 247, 0.5)'];
 
-    parseLines(json.aiming_guides);
-    parseLines(json.lines);
-    if (json.behind_hole_guides) {
-      parseLines(json.behind_hole_guides.v_lines);
-      parseLines(json.behind_hole_guides.vertical_guides);
-    }
+const BALL_RADIUS_CM = 2.135;
 
-    this.dirty = false;
-    this.selectedId = null;
+// DOM node for a describeElement()/describeMat() description, groups included
+function createNode({ tag, attrs, text, children }) {
+  const node = document.createElementNS(SVG_NS, tag);
+  for (const [key, value] of Object.entries(attrs)) {
+    node.setAttribute(key, value);
   }
+  if (children) {
+    node.append(...children.map(createNode));
+  } else if (text !== undefined) {
+    node.textContent = text;
+  }
+  return node;
 }
 
-// =====================================================
-// Canvas Renderer
-// =====================================================
-
 class CanvasRenderer {
   constructor(svgElement, document) {
     this.svg = svgElement;
@@ -484,6 +176,13 @@ class CanvasRenderer {
     // View transform
     this.viewBox = { x: -20, y: -20, width: 100, height: 450 };
     this.scale = 1;
+    this.activeVertex = null; // Selected polygon vertex index
+    this.showScores = false;
+    this.probes = null; // Simulated ball positions with their hits, in simulate mode
+    this.coverage = null; // Zone coverage grid for the heat map
+    this.guides = null; // Smart guides for the drag in progress
+    this.showKeyObject = false; // Outline the key object that alignment uses
+    this.showSymmetryAxis = false; // Mat centerline that symmetry mode mirrors across
 
     // Resize observer for rulers
     this.resizeObserver = new ResizeObserver(() => this.resizeRulers());
@@ -742,26 +441,27 @@ class CanvasRenderer {
     this.renderGrid();
 
     // Render all elements sorted by zOrder
-    const sortedElements = [...this.document.elements].sort((a, b) => (a.zOrder || 0) - (b.zOrder || 0));
-    for (const element of sortedElements) {
+    for (const element of sortByZOrder(this.document.elements)) {
       this.renderElement(element);
     }
 
+    if (this.coverage) this.renderCoverage(this.coverage);
+    if (this.showScores) this.renderScores();
+    if (this.probes) this.renderProbes(this.probes);
+    if (this.showSymmetryAxis) this.renderSymmetryAxis();
+
     // Render selection handles
-    if (this.document.selectedId) {
+    if (this.document.selectedIds.length > 1) {
+      this.renderGroupHandles();
+    } else if (this.document.selectedId) {
       this.renderSelectionHandles(this.document.getElementById(this.document.selectedId));
     }
+
+    if (this.guides) this.renderGuides(this.guides);
   }
 
   renderMat() {
-    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-    rect.setAttribute('x', 0);
-    rect.setAttribute('y', 0);
-    rect.setAttribute('width', this.document.mat.width_cm);
-    rect.setAttribute('height', this.document.mat.length_cm);
-    rect.setAttribute('fill', this.document.mat.color);
-    rect.setAttribute('class', 'mat-background');
-    this.contentGroup.appendChild(rect);
+    this.contentGroup.appendChild(createNode(describeMat(this.document.mat)));
   }
 
   renderGrid() {
@@ -817,182 +517,88 @@ class CanvasRenderer {
   }
 
   renderElement(element) {
-    let svgElement;
-    const isSelected = element.id === this.document.selectedId;
-
-    switch (element.type) {
-      case 'rect':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        svgElement.setAttribute('x', Math.min(element.x0_cm, element.x1_cm));
-        svgElement.setAttribute('y', Math.min(element.y0_cm, element.y1_cm));
-        svgElement.setAttribute('width', Math.abs(element.x1_cm - element.x0_cm));
-        svgElement.setAttribute('height', Math.abs(element.y1_cm - element.y0_cm));
-        svgElement.setAttribute('fill', element.fill || 'rgba(74, 158, 255, 0.3)');
-        if (element.stroke && element.stroke !== 'none') {
-          svgElement.setAttribute('stroke', element.stroke);
-          svgElement.setAttribute('stroke-width', element.strokeWidth || 1);
-        }
-        break;
-
-      case 'circle':
-      case 'marker':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        svgElement.setAttribute('cx', element.center_cm.x);
-        svgElement.setAttribute('cy', element.center_cm.y);
-        svgElement.setAttribute('r', element.radius_cm);
-        svgElement.setAttribute('fill', element.fill || '#333');
-        svgElement.setAttribute('stroke', element.stroke || '#fff');
-        svgElement.setAttribute('stroke-width', element.strokeWidth || 0.5);
-        break;
-
-      case 'line':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        svgElement.setAttribute('x1', element.from_cm.x);
-        svgElement.setAttribute('y1', element.from_cm.y);
-        svgElement.setAttribute('x2', element.to_cm.x);
-        svgElement.setAttribute('y2', element.to_cm.y);
-
-        // Line Style
-        if (element.lineStyle === 'dashed') {
-          svgElement.setAttribute('stroke-dasharray', '10, 5');
-        } else if (element.lineStyle === 'dotted') {
-          svgElement.setAttribute('stroke-dasharray', '2, 4');
-        }
-        svgElement.setAttribute('stroke', element.stroke || '#fff');
-        svgElement.setAttribute('stroke-width', element.strokeWidth || 1);
-        break;
-
-      case 'arc':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const path = this.createArcPath(element);
-        svgElement.setAttribute('d', path);
-        svgElement.setAttribute('fill', 'none');
-        svgElement.setAttribute('stroke', element.stroke || '#fff');
-        svgElement.setAttribute('stroke-width', element.strokeWidth || 1);
-        break;
-
-      case 'text':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        svgElement.setAttribute('x', element.position_cm.x);
-        svgElement.setAttribute('y', element.position_cm.y);
-        svgElement.textContent = element.text || 'Label';
-
-        // Font styling
-        svgElement.setAttribute('font-family', element.fontFamily || 'Inter, sans-serif');
-        svgElement.setAttribute('font-size', `${element.fontSize || 3}px`);
-        svgElement.setAttribute('text-anchor', element.textAnchor || 'middle');
-        svgElement.setAttribute('dominant-baseline', 'middle'); // Vertical centering
-
-        // Font Style logic
-        if (element.fontStyle && element.fontStyle.includes('bold')) {
-          svgElement.setAttribute('font-weight', 'bold');
-        }
-        if (element.fontStyle && element.fontStyle.includes('italic')) {
-          svgElement.setAttribute('font-style', 'italic');
-        }
-
-        svgElement.textContent = element.text || 'Label';
-
-        // Rotation
-        if (element.rotation) {
-          svgElement.setAttribute('transform', `rotate(${element.rotation}, ${element.position_cm.x}, ${element.position_cm.y})`);
-        }
-
-        svgElement.setAttribute('fill', element.fill || '#ffffff');
-        // Text usually doesn't have a stroke unless specified for outline effect, ignoring general element.stroke for now unless we add text outline prop
-        break;
-
-      case 'sector':
-        svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        const sectorPath = this.createSectorPath(element);
-        svgElement.setAttribute('d', sectorPath);
-        svgElement.setAttribute('fill', element.fill || 'rgba(255, 165, 0, 0.5)');
-        if (element.stroke && element.stroke !== 'none') {
-          svgElement.setAttribute('stroke', element.stroke);
-          svgElement.setAttribute('stroke-width', element.strokeWidth || 1);
-        }
-        break;
-    }
-
-    if (svgElement) {
-      svgElement.setAttribute('class', `element ${isSelected ? 'selected' : ''}`);
-      svgElement.setAttribute('data-id', element.id);
-      this.contentGroup.appendChild(svgElement);
-    }
-  }
-
-  createArcPath(element) {
-    const cx = element.center_cm.x;
-    const cy = element.center_cm.y;
-    const r = element.radius_cm;
-    const startAngle = (element.startAngle || 0) * Math.PI / 180;
-    const endAngle = (element.endAngle || 360) * Math.PI / 180;
-
-    const x1 = cx + r * Math.cos(startAngle);
-    const y1 = cy + r * Math.sin(startAngle);
-    const x2 = cx + r * Math.cos(endAngle);
-    const y2 = cy + r * Math.sin(endAngle);
-
-    const largeArc = (endAngle - startAngle) > Math.PI ? 1 : 0;
-
-    return `M ${x1} ${y1} A ${r} ${r} 0 ${largeArc} 1 ${x2} ${y2}`;
-  }
-
-  createSectorPath(element) {
-    const cx = element.center_cm.x;
-    const cy = element.center_cm.y;
-    const rIn = element.innerRadius_cm;
-    const rOut = element.outerRadius_cm;
-    // Convert to radians and subtract 90 degrees to make 0 at top (if desired) or keep standard
-    // Mat coordinate system: y increases downwards. standard trig: 0 is right (x+), 90 is down (y+).
-    // Let's assume standard trig for now, but user inputs might expect 0 to be "up" or "right".
-    // Re-using createArcPath logic: standard radians.
-
-    const startAngle = (element.startAngle || 0) * Math.PI / 180;
-    const endAngle = (element.endAngle || 90) * Math.PI / 180;
-
-    // 4 points
-    // Outer arc start
-    const x1 = cx + rOut * Math.cos(startAngle);
-    const y1 = cy + rOut * Math.sin(startAngle);
-    // Outer arc end
-    const x2 = cx + rOut * Math.cos(endAngle);
-    const y2 = cy + rOut * Math.sin(endAngle);
-    // Inner arc end
-    const x3 = cx + rIn * Math.cos(endAngle);
-    const y3 = cy + rIn * Math.sin(endAngle);
-    // Inner arc start
-    const x4 = cx + rIn * Math.cos(startAngle);
-    const y4 = cy + rIn * Math.sin(startAngle);
-
-    const largeArc = Math.abs(endAngle - startAngle) > Math.PI ? 1 : 0;
-    const sweep = (endAngle > startAngle) ? 1 : 0;
-
-    // Path: Move to OuterStart -> Arc to OuterEnd -> Line to InnerEnd -> Arc to InnerStart (sweep reverse) -> Close
-    const p1 = `M ${x1} ${y1}`;
-    const a1 = `A ${rOut} ${rOut} 0 ${largeArc} 1 ${x2} ${y2}`;
-    const l1 = `L ${x3} ${y3}`;
-    const a2 = `A ${rIn} ${rIn} 0 ${largeArc} 0 ${x4} ${y4}`; // Sweep 0 for reverse direction inner arc
-
-    return `${p1} ${a1} ${l1} ${a2} Z`;
+    if (this.document.isElementHidden(element)) return;
+    const node = describeElement(element);
+    if (!node) return;
+
+    const svgElement = createNode(node);
+    const isSelected = this.document.isSelected(element.id);
+    // Locked elements let clicks through to whatever lies beneath
+    const isLocked = this.document.isElementLocked(element);
+    svgElement.setAttribute('class', `element ${isSelected ? 'selected' : ''} ${isLocked ? 'locked' : ''}`);
+    svgElement.setAttribute('data-id', element.id);
+    this.contentGroup.appendChild(svgElement);
   }
 
   renderSelectionHandles(element) {
-    if (!element) return;
+    if (!element || this.document.isElementHidden(element) || this.document.isElementLocked(element)) return;
 
     const handles = [];
     const handleSize = Math.max(1.5, this.viewBox.width / 100);
 
     switch (element.type) {
-      case 'rect':
-        // Corner handles
+      case 'rect': {
+        // Corner handles follow the rotated outline
+        const [nw, ne, se, sw] = this.document.getRectCorners(element);
         handles.push(
-          { x: element.x0_cm, y: element.y0_cm, cursor: 'nw-resize', type: 'corner-nw' },
-          { x: element.x1_cm, y: element.y0_cm, cursor: 'ne-resize', type: 'corner-ne' },
-          { x: element.x0_cm, y: element.y1_cm, cursor: 'sw-resize', type: 'corner-sw' },
-          { x: element.x1_cm, y: element.y1_cm, cursor: 'se-resize', type: 'corner-se' }
+          { ...nw, cursor: 'nw-resize', type: 'corner-nw' },
+          { ...ne, cursor: 'ne-resize', type: 'corner-ne' },
+          { ...sw, cursor: 'sw-resize', type: 'corner-sw' },
+          { ...se, cursor: 'se-resize', type: 'corner-se' },
+          { ...this.document.getRectPivot(element), cursor: 'move', type: 'pivot', shape: 'pivot' }
         );
+
+        // Rotation handle beyond the midpoint of the x0/y0 - x1/y0 edge
+        const center = midpoint(nw, se);
+        const edge = midpoint(nw, ne);
+        const dist = distance(center, edge) || 1;
+        const offset = handleSize * 4;
+        this.renderRotationHandle(edge, {
+          x: edge.x + (edge.x - center.x) / dist * offset,
+          y: edge.y + (edge.y - center.y) / dist * offset
+        }, element.id, 'rotate', handleSize);
+        break;
+      }
+
+      case 'polygon':
+      case 'polyline': {
+        const points = element.points_cm;
+        // Edge midpoints insert a vertex when dragged
+        const edges = element.type === 'polygon' ? points.length : points.length - 1;
+        for (let i = 0; i < edges; i++) {
+          handles.push({ ...this.document.getEdgeMidpoint(element, i), cursor: 'copy', type: `insert-${i}`, size: 0.6 });
+        }
+        points.forEach((p, i) => {
+          handles.push({ x: p.x, y: p.y, cursor: 'move', type: `vertex-${i}`, active: i === this.activeVertex });
+        });
+        break;
+      }
+
+      case 'curve': {
+        const points = element.points_cm;
+        if (element.curveType === 'spline') {
+          for (let i = 0; i < points.length - 1; i++) {
+            handles.push({ ...this.document.getEdgeMidpoint(element, i), cursor: 'copy', type: `insert-${i}`, size: 0.6 });
+          }
+        } else {
+          // Tangent lines from each end point to its control point
+          const last = points.length - 1;
+          this.renderControlLine(points[0], points[1]);
+          this.renderControlLine(points[last], points[last - 1]);
+        }
+        points.forEach((p, i) => {
+          const isControl = element.curveType !== 'spline' && i > 0 && i < points.length - 1;
+          handles.push({
+            x: p.x,
+            y: p.y,
+            cursor: 'move',
+            type: `vertex-${i}`,
+            active: i === this.activeVertex,
+            shape: isControl ? 'control' : undefined
+          });
+        });
         break;
+      }
 
       case 'circle':
       case 'marker':
@@ -1014,6 +620,7 @@ class CanvasRenderer {
         handles.push(
           { x: element.center_cm.x, y: element.center_cm.y, cursor: 'move', type: 'center' }
         );
+        this.renderArcRotationHandle(element, element.radius_cm, handleSize);
         break;
 
       case 'text':
@@ -1022,44 +629,350 @@ class CanvasRenderer {
         );
         break;
 
+      case 'dimension':
+        // One handle per measured point; the angular vertex is the center
+        if (element.center_cm) handles.push({ ...element.center_cm, cursor: 'move', type: 'center' });
+        if (element.from_cm) handles.push({ ...element.from_cm, cursor: 'move', type: 'from' });
+        handles.push({ ...element.to_cm, cursor: 'move', type: 'to' });
+        break;
+
       case 'sector':
         handles.push(
           { x: element.center_cm.x, y: element.center_cm.y, cursor: 'move', type: 'center' }
         );
-        // Add radius handles at the middle angle
-        const sa = (element.startAngle || 0) * Math.PI / 180;
-        const ea = (element.endAngle || 90) * Math.PI / 180;
-        const ma = (sa + ea) / 2;
+        // Add radius handles halfway along the (possibly wrapping) sweep
+        const sa = element.startAngle || 0;
+        const ea = element.endAngle ?? 90;
+        const ma = midAngle(sa, ea);
+        const midRadius = (element.innerRadius_cm + element.outerRadius_cm) / 2;
         handles.push(
-          {
-            x: element.center_cm.x + element.innerRadius_cm * Math.cos(ma),
-            y: element.center_cm.y + element.innerRadius_cm * Math.sin(ma),
-            cursor: 'ew-resize',
-            type: 'radius-inner'
-          },
-          {
-            x: element.center_cm.x + element.outerRadius_cm * Math.cos(ma),
-            y: element.center_cm.y + element.outerRadius_cm * Math.sin(ma),
-            cursor: 'ew-resize',
-            type: 'radius-outer'
-          },
+          { ...polarPoint(element.center_cm, element.innerRadius_cm, ma), cursor: 'ew-resize', type: 'radius-inner' },
+          { ...polarPoint(element.center_cm, element.outerRadius_cm, ma), cursor: 'ew-resize', type: 'radius-outer' },
           // Angle handles
-          {
-            x: element.center_cm.x + (element.innerRadius_cm + (element.outerRadius_cm - element.innerRadius_cm) / 2) * Math.cos(sa),
-            y: element.center_cm.y + (element.innerRadius_cm + (element.outerRadius_cm - element.innerRadius_cm) / 2) * Math.sin(sa),
-            cursor: 'move', // or 'crosshair'
-            type: 'angle-start'
-          },
-          {
-            x: element.center_cm.x + (element.innerRadius_cm + (element.outerRadius_cm - element.innerRadius_cm) / 2) * Math.cos(ea),
-            y: element.center_cm.y + (element.innerRadius_cm + (element.outerRadius_cm - element.innerRadius_cm) / 2) * Math.sin(ea),
-            cursor: 'move', // or 'crosshair'
-            type: 'angle-end'
-          }
+          { ...polarPoint(element.center_cm, midRadius, sa), cursor: 'move', type: 'angle-start' },
+          { ...polarPoint(element.center_cm, midRadius, ea), cursor: 'move', type: 'angle-end' }
         );
+        this.renderArcRotationHandle(element, element.outerRadius_cm, handleSize);
         break;
     }
 
+    for (const handle of handles) {
+      if (handle.shape === 'pivot') {
+        this.renderPivot(handle, handleSize, { type: handle.type, elementId: element.id });
+        continue;
+      }
+      if (handle.shape === 'control') {
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('cx', handle.x);
+        circle.setAttribute('cy', handle.y);
+        circle.setAttribute('r', handleSize * 0.5);
+        circle.setAttribute('class', `selection-handle control-handle${handle.active ? ' active' : ''}`);
+        circle.setAttribute('data-handle', handle.type);
+        circle.setAttribute('data-element-id', element.id);
+        this.handlesGroup.appendChild(circle);
+        continue;
+      }
+      const size = handleSize * (handle.size || 1);
+      const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      rect.setAttribute('x', handle.x - size / 2);
+      rect.setAttribute('y', handle.y - size / 2);
+      rect.setAttribute('width', size);
+      rect.setAttribute('height', size);
+      rect.setAttribute('class', `selection-handle${handle.active ? ' active' : ''}`);
+      rect.setAttribute('data-handle', handle.type);
+      rect.setAttribute('data-element-id', element.id);
+      rect.style.cursor = handle.cursor;
+      this.handlesGroup.appendChild(rect);
+    }
+  }
+
+  // Preview of a polygon/polyline being drawn, with a rubber band to the cursor
+  renderDrawing(drawing, cursor) {
+    this.clearDrawing();
+    const points = cursor ? [...drawing.points, cursor] : drawing.points;
+    if (points.length === 0) return;
+
+    const preview = document.createElementNS(SVG_NS, drawing.type === 'polygon' && points.length > 2 ? 'polygon' : 'polyline');
+    preview.setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+    preview.setAttribute('class', 'drawing-preview');
+    this.handlesGroup.appendChild(preview);
+
+    const handleSize = Math.max(1.5, this.viewBox.width / 100);
+    drawing.points.forEach((p, i) => {
+      const vertex = document.createElementNS(SVG_NS, 'rect');
+      vertex.setAttribute('x', p.x - handleSize / 2);
+      vertex.setAttribute('y', p.y - handleSize / 2);
+      vertex.setAttribute('width', handleSize);
+      vertex.setAttribute('height', handleSize);
+      // The first vertex closes a polygon when clicked
+      vertex.setAttribute('class', `drawing-vertex${i === 0 ? ' first' : ''}`);
+      this.handlesGroup.appendChild(vertex);
+    });
+  }
+
+  clearDrawing() {
+    this.handlesGroup.querySelectorAll('.drawing-preview, .drawing-vertex').forEach(node => node.remove());
+  }
+
+  // Live measurement: the dimension it would become, plus the picked points
+  // and the (possibly snapped) cursor
+  renderMeasure(dimension, points, cursor) {
+    this.clearMeasure();
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'measure-preview');
+    if (dimension) group.appendChild(createNode(describeElement(dimension)));
+
+    const size = Math.max(0.6, this.viewBox.width / 200);
+    for (const p of cursor ? [...points, cursor] : points) {
+      const dot = document.createElementNS(SVG_NS, 'circle');
+      dot.setAttribute('cx', p.x);
+      dot.setAttribute('cy', p.y);
+      dot.setAttribute('r', p.role ? size * 1.5 : size);
+      dot.setAttribute('class', `measure-point${p.role ? ' snapped' : ''}`);
+      group.appendChild(dot);
+    }
+    this.handlesGroup.appendChild(group);
+  }
+
+  clearMeasure() {
+    this.handlesGroup.querySelectorAll('.measure-preview').forEach(node => node.remove());
+  }
+
+  renderSymmetryAxis() {
+    const x = this.document.mat.width_cm / 2;
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x);
+    line.setAttribute('y1', 0);
+    line.setAttribute('x2', x);
+    line.setAttribute('y2', this.document.mat.length_cm);
+    line.setAttribute('class', 'symmetry-axis');
+    this.handlesGroup.appendChild(line);
+  }
+
+  // Alignment lines, equal-spacing gaps, snapped points and matched radii
+  renderGuides(guides) {
+    this.clearGuides();
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'snap-guides');
+    const size = Math.max(0.5, this.viewBox.width / 200);
+    for (const guide of guides) {
+      if (guide.kind === 'point' || guide.kind === 'ring') {
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        const center = guide.kind === 'point' ? guide.at : guide.center;
+        circle.setAttribute('cx', center.x);
+        circle.setAttribute('cy', center.y);
+        circle.setAttribute('r', guide.kind === 'point' ? size * 1.5 : guide.radius);
+        circle.setAttribute('class', guide.kind === 'point' ? 'snap-guide-point' : 'snap-guide ring');
+        group.appendChild(circle);
+        continue;
+      }
+
+      const line = document.createElementNS(SVG_NS, 'line');
+      line.setAttribute('x1', guide.from.x);
+      line.setAttribute('y1', guide.from.y);
+      line.setAttribute('x2', guide.to.x);
+      line.setAttribute('y2', guide.to.y);
+      line.setAttribute('class', `snap-guide ${guide.kind}`);
+      group.appendChild(line);
+
+      if (guide.label) {
+        const label = document.createElementNS(SVG_NS, 'text');
+        const at = midpoint(guide.from, guide.to);
+        label.setAttribute('x', at.x);
+        label.setAttribute('y', at.y - size);
+        label.setAttribute('font-size', size * 2.5);
+        label.setAttribute('class', 'snap-guide-label');
+        label.textContent = guide.label;
+        group.appendChild(label);
+      }
+    }
+    this.handlesGroup.appendChild(group);
+  }
+
+  clearGuides() {
+    this.handlesGroup.querySelectorAll('.snap-guides').forEach(node => node.remove());
+  }
+
+  // Mat cm covered by one screen pixel at the current zoom
+  cmPerPixel() {
+    const width = this.svg.getBoundingClientRect().width;
+    return width > 0 ? this.viewBox.width / width : 0;
+  }
+
+  // Heat map of zone coverage; each row's runs of equal count become one rect
+  renderCoverage({ cols, rows, cell_cm, counts }) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', 'coverage-map');
+    for (let row = 0; row < rows; row++) {
+      let start = 0;
+      for (let col = 1; col <= cols; col++) {
+        const count = counts[row * cols + start];
+        if (col < cols && counts[row * cols + col] === count) continue;
+
+        const fill = COVERAGE_FILLS[Math.min(count, COVERAGE_FILLS.length - 1)];
+        if (fill) {
+          const rect = document.createElementNS(SVG_NS, 'rect');
+          rect.setAttribute('x', start * cell_cm);
+          rect.setAttribute('y', row * cell_cm);
+          rect.setAttribute('width', (col - start) * cell_cm);
+          rect.setAttribute('height', cell_cm);
+          rect.setAttribute('fill', fill);
+          group.appendChild(rect);
+        }
+        start = col;
+      }
+    }
+    this.contentGroup.appendChild(group);
+  }
+
+  // Simulated balls: red when no zone contains them, amber when several do
+  renderProbes(probes) {
+    probes.forEach((probe, i) => {
+      const status = probe.hits.length === 0 ? 'gap' : probe.hits.length > 1 ? 'overlap' : 'hit';
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('cx', probe.x);
+      circle.setAttribute('cy', probe.y);
+      circle.setAttribute('r', BALL_RADIUS_CM);
+      circle.setAttribute('class', `sim-probe ${status}`);
+      this.contentGroup.appendChild(circle);
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', probe.x);
+      label.setAttribute('y', probe.y);
+      label.setAttribute('font-size', BALL_RADIUS_CM);
+      label.setAttribute('class', 'sim-probe-label');
+      label.textContent = i + 1;
+      this.contentGroup.appendChild(label);
+    });
+  }
+
+  // Score badges on every scoring zone, colored by role
+  renderScores() {
+    const size = Math.max(1.2, this.viewBox.width / 60);
+    for (const element of sortByZOrder(this.document.elements)) {
+      if (!element.scoring || !isScorable(element) || this.document.isElementHidden(element)) continue;
+      const { x, y } = this.document.getZoneAnchor(element);
+      const text = formatScore(element.scoring.score);
+      const width = size * (0.6 * text.length + 0.8);
+
+      const badge = document.createElementNS(SVG_NS, 'g');
+      badge.setAttribute('class', 'score-badge');
+
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('x', x - width / 2);
+      rect.setAttribute('y', y - size * 0.7);
+      rect.setAttribute('width', width);
+      rect.setAttribute('height', size * 1.4);
+      rect.setAttribute('rx', size * 0.3);
+      rect.setAttribute('fill', ZONE_ROLE_STYLES[element.scoring.role].color);
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', y);
+      label.setAttribute('font-size', size);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('dominant-baseline', 'central');
+      label.textContent = text;
+
+      badge.append(rect, label);
+      this.contentGroup.appendChild(badge);
+    }
+  }
+
+  renderControlLine(from, to) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', from.x);
+    line.setAttribute('y1', from.y);
+    line.setAttribute('x2', to.x);
+    line.setAttribute('y2', to.y);
+    line.setAttribute('class', 'control-line');
+    this.handlesGroup.appendChild(line);
+  }
+
+  // Rotation handle for arcs and sectors, outside the middle of the sweep
+  renderArcRotationHandle(element, radius, handleSize) {
+    const mid = midAngle(element.startAngle, element.endAngle);
+    this.renderRotationHandle(polarPoint(element.center_cm, radius, mid),
+      polarPoint(element.center_cm, radius + handleSize * 4, mid), element.id, 'rotate', handleSize);
+  }
+
+  // Round handle on a stem from `anchor`; dragging it rotates the selection
+  renderRotationHandle(anchor, position, elementId, type, handleSize) {
+    const stem = document.createElementNS(SVG_NS, 'line');
+    stem.setAttribute('x1', anchor.x);
+    stem.setAttribute('y1', anchor.y);
+    stem.setAttribute('x2', position.x);
+    stem.setAttribute('y2', position.y);
+    stem.setAttribute('class', 'rotation-stem');
+    this.handlesGroup.appendChild(stem);
+
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('cx', position.x);
+    circle.setAttribute('cy', position.y);
+    circle.setAttribute('r', handleSize * 0.6);
+    circle.setAttribute('class', 'selection-handle rotation-handle');
+    circle.setAttribute('data-handle', type);
+    if (elementId) circle.setAttribute('data-element-id', elementId);
+    this.handlesGroup.appendChild(circle);
+  }
+
+  // Crosshair marking a rotation pivot; draggable when given a handle type
+  renderPivot(point, handleSize, { type, elementId } = {}) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('class', type ? 'selection-handle pivot-handle' : 'pivot-marker');
+    if (type) group.setAttribute('data-handle', type);
+    if (elementId) group.setAttribute('data-element-id', elementId);
+
+    const r = handleSize * 0.6;
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('cx', point.x);
+    circle.setAttribute('cy', point.y);
+    circle.setAttribute('r', r);
+    group.appendChild(circle);
+
+    const cross = document.createElementNS(SVG_NS, 'path');
+    cross.setAttribute('d', `M ${point.x - r * 1.6} ${point.y} H ${point.x + r * 1.6} M ${point.x} ${point.y - r * 1.6} V ${point.y + r * 1.6}`);
+    group.appendChild(cross);
+
+    this.handlesGroup.appendChild(group);
+  }
+
+  // Combined bounding box with corner handles for a multi-element selection
+  renderGroupHandles() {
+    const bounds = this.document.getSelectionBounds();
+    if (!bounds) return;
+
+    const handleSize = Math.max(1.5, this.viewBox.width / 100);
+
+    const box = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    box.setAttribute('x', bounds.minX);
+    box.setAttribute('y', bounds.minY);
+    box.setAttribute('width', bounds.maxX - bounds.minX);
+    box.setAttribute('height', bounds.maxY - bounds.minY);
+    box.setAttribute('class', 'selection-box');
+    this.handlesGroup.appendChild(box);
+
+    const keyBounds = this.showKeyObject && this.document.getElementBounds(this.document.getElementById(this.document.selectedId));
+    if (keyBounds) {
+      const key = document.createElementNS(SVG_NS, 'rect');
+      key.setAttribute('x', keyBounds.minX);
+      key.setAttribute('y', keyBounds.minY);
+      key.setAttribute('width', keyBounds.maxX - keyBounds.minX);
+      key.setAttribute('height', keyBounds.maxY - keyBounds.minY);
+      key.setAttribute('class', 'key-object-box');
+      this.handlesGroup.appendChild(key);
+    }
+
+    // A selection that takes in a locked element can be seen but not transformed
+    if (this.document.getSelectedElements().some(element => this.document.isElementLocked(element))) return;
+
+    const handles = [
+      { x: bounds.minX, y: bounds.minY, cursor: 'nw-resize', type: 'group-nw' },
+      { x: bounds.maxX, y: bounds.minY, cursor: 'ne-resize', type: 'group-ne' },
+      { x: bounds.minX, y: bounds.maxY, cursor: 'sw-resize', type: 'group-sw' },
+      { x: bounds.maxX, y: bounds.maxY, cursor: 'se-resize', type: 'group-se' }
+    ];
+
     for (const handle of handles) {
       const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
       rect.setAttribute('x', handle.x - handleSize / 2);
@@ -1068,10 +981,31 @@ class CanvasRenderer {
       rect.setAttribute('height', handleSize);
       rect.setAttribute('class', 'selection-handle');
       rect.setAttribute('data-handle', handle.type);
-      rect.setAttribute('data-element-id', element.id);
       rect.style.cursor = handle.cursor;
       this.handlesGroup.appendChild(rect);
     }
+
+    // Rotate handle above the box, turning the group about its shared pivot
+    const top = { x: (bounds.minX + bounds.maxX) / 2, y: bounds.minY };
+    this.renderRotationHandle(top, { x: top.x, y: top.y - handleSize * 4 }, null, 'group-rotate', handleSize);
+    this.renderPivot(this.document.getRotationPivot(this.document.getSelectedElements()), handleSize);
+  }
+
+  renderMarquee(start, end) {
+    let marquee = this.handlesGroup.querySelector('.marquee');
+    if (!marquee) {
+      marquee = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      marquee.setAttribute('class', 'marquee');
+      this.handlesGroup.appendChild(marquee);
+    }
+    marquee.setAttribute('x', Math.min(start.x, end.x));
+    marquee.setAttribute('y', Math.min(start.y, end.y));
+    marquee.setAttribute('width', Math.abs(end.x - start.x));
+    marquee.setAttribute('height', Math.abs(end.y - start.y));
+  }
+
+  clearMarquee() {
+    this.handlesGroup.querySelector('.marquee')?.remove();
   }
 }
 
@@ -1079,6 +1013,25 @@ class CanvasRenderer {
 // Application Controller
 // =====================================================
 
+// How often a dirty document is written to IndexedDB
+const AUTOSAVE_INTERVAL_MS = 15000;
+
+// How close (in screen pixels) a drag or click must come to a guide to snap to it
+const DEFAULT_SNAP_TOLERANCE_PX = 8;
+
+// Alt+key arrange commands, by KeyboardEvent.code (Shift+ for distribute)
+const ARRANGE_SHORTCUTS = {
+  KeyA: 'left',
+  KeyH: 'center',
+  KeyD: 'right',
+  KeyW: 'top',
+  KeyV: 'middle',
+  KeyS: 'bottom',
+  KeyC: 'centerline',
+  'Shift+KeyH': 'distribute-x',
+  'Shift+KeyV': 'distribute-y'
+};
+
 class MatLayoutEditor {
   constructor() {
     this.document = new MatDocument();
@@ -1088,8 +1041,29 @@ class MatLayoutEditor {
     this.isDragging = false;
     this.dragStart = null;
     this.dragHandle = null;
+    this.dragOrigin = null;
+    this.dragSnapshot = null;
+    this.marqueeStart = null;
+    this.drawing = null; // { type, points } while placing polygon vertices
+    this.measure = null; // { points, cursor } while the measure tool is active
+    this.pendingLoad = null;
+    this.pendingRecovery = null;
+    this.lastAutosave = null; // Serialized layout most recently auto-saved
+    this.libraryEntry = null; // { id, name } of the open library layout
+    this.selectedTemplate = null;
+    this.simulation = { probes: [], heatmap: false, cell_cm: 2, coverageTimer: null };
+    this.alignReference = 'selection'; // What several elements align to: selection, key or mat
+    this.symmetry = false; // Mirror edits onto twins across the mat centerline
+    this.symmetryPairs = null; // Elements and twins being kept in sync by the drag in progress
+    this.collapsedGroups = new Set(); // Layer groups folded shut in the layers panel
+    this.layerDrag = null; // { kind, id } of the layers panel row being dragged
     this.snapToGrid = true;
     this.gridSize = 1; // 1 cm
+    this.snapSettings = {
+      tolerancePx: DEFAULT_SNAP_TOLERANCE_PX,
+      ...Object.fromEntries(Object.keys(SNAP_TYPES).map(type => [type, true]))
+    };
+    this.history = new HistoryManager(100);
 
     this.init();
   }
@@ -1105,26 +1079,69 @@ class MatLayoutEditor {
     this.bindPropertyPanel();
     this.bindKeyboard();
     this.bindFileOperations();
+    this.bindAutosave();
+    this.bindLayers();
 
     // Initial render
     this.render();
+    this.updateHistoryUI();
     this.updateStatus('Ready - Create a new mat or load an existing layout');
+
+    this.checkRecovery();
   }
 
   bindToolbar() {
     // Tool selection
     document.getElementById('tool-select').addEventListener('click', () => this.setTool('select'));
     document.getElementById('tool-pan').addEventListener('click', () => this.setTool('pan'));
+    document.getElementById('tool-polygon').addEventListener('click', () => this.setTool('polygon'));
+    document.getElementById('tool-polyline').addEventListener('click', () => this.setTool('polyline'));
+    document.getElementById('tool-measure').addEventListener('click', () => this.setTool('measure'));
+    document.getElementById('tool-simulate').addEventListener('click', () => this.setTool('simulate'));
+
+    // Simulation panel
+    document.getElementById('btn-sim-import').addEventListener('click', () => {
+      document.getElementById('sim-csv-input').click();
+    });
+    document.getElementById('sim-csv-input').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importProbes(file);
+      e.target.value = '';
+    });
+    document.getElementById('btn-sim-clear').addEventListener('click', () => {
+      this.simulation.probes = [];
+      this.render();
+    });
+    document.getElementById('sim-heatmap').addEventListener('change', (e) => {
+      this.simulation.heatmap = e.target.checked;
+      this.render();
+    });
+    document.getElementById('sim-cell').addEventListener('change', (e) => {
+      this.simulation.cell_cm = Math.max(0.5, parseFloat(e.target.value) || 2);
+      e.target.value = this.simulation.cell_cm;
+      this.render();
+    });
 
     // Add element buttons
     document.getElementById('add-rect').addEventListener('click', () => this.addElement('rect'));
     document.getElementById('add-circle').addEventListener('click', () => this.addElement('circle'));
     document.getElementById('add-marker').addEventListener('click', () => this.addElement('marker'));
     document.getElementById('add-line').addEventListener('click', () => this.addElement('line'));
+    document.getElementById('add-curve').addEventListener('click', () => this.addElement('curve'));
+    document.getElementById('add-fan').addEventListener('click', () => this.openFanDialog());
     document.getElementById('add-arc').addEventListener('click', () => this.addElement('arc'));
     document.getElementById('add-sector').addEventListener('click', () => this.addElement('sector'));
     document.getElementById('add-text').addEventListener('click', () => this.addElement('text'));
 
+    // Align and distribute
+    document.querySelectorAll('[data-arrange]').forEach(btn => {
+      btn.addEventListener('click', () => this.arrangeSelected(btn.dataset.arrange));
+    });
+    document.getElementById('flip-h').addEventListener('click', () => this.flipSelected('x'));
+    document.getElementById('flip-v').addEventListener('click', () => this.flipSelected('y'));
+    document.getElementById('btn-symmetry').addEventListener('click', () => this.setSymmetry(!this.symmetry));
+    document.getElementById('btn-array').addEventListener('click', () => this.openArrayDialog());
+
     // View controls
     document.getElementById('btn-zoom-in').addEventListener('click', () => {
       this.renderer.zoom(1.25);
@@ -1139,12 +1156,97 @@ class MatLayoutEditor {
       this.updateZoomDisplay();
     });
 
+    // History
+    document.getElementById('btn-undo').addEventListener('click', () => this.undo());
+    document.getElementById('btn-redo').addEventListener('click', () => this.redo());
+
+    // Zone score overlay
+    document.getElementById('btn-scores').addEventListener('click', (e) => {
+      this.renderer.showScores = !this.renderer.showScores;
+      e.currentTarget.classList.toggle('active', this.renderer.showScores);
+      document.getElementById('score-legend').style.display = this.renderer.showScores ? 'block' : 'none';
+      this.render();
+    });
+
     // Snap Toggle
-    document.getElementById('btn-snap').addEventListener('click', (e) => {
-      this.snapToGrid = !this.snapToGrid;
-      e.currentTarget.classList.toggle('active', this.snapToGrid);
+    document.getElementById('btn-snap').addEventListener('click', () => {
+      this.setSnapToGrid(!this.snapToGrid);
       this.updateStatus(`Snap to Grid: ${this.snapToGrid ? 'ON' : 'OFF'}`);
     });
+
+    this.bindSnapSettings();
+  }
+
+  // Popover with the grid size, snap tolerance and which snap types are active
+  bindSnapSettings() {
+    const popover = document.getElementById('snap-popover');
+    const button = document.getElementById('btn-snap-settings');
+    const types = document.getElementById('snap-types');
+    for (const [type, label] of Object.entries(SNAP_TYPES)) {
+      const option = document.createElement('label');
+      option.className = 'checkbox-wrapper';
+      option.innerHTML = `<input type="checkbox" data-snap-type="${type}" checked><span>${label}</span>`;
+      types.appendChild(option);
+    }
+
+    button.addEventListener('click', () => {
+      const open = popover.style.display === 'none';
+      popover.style.display = open ? 'flex' : 'none';
+      button.classList.toggle('active', open);
+    });
+    // Clicking anywhere else closes it
+    document.addEventListener('mousedown', (e) => {
+      if (popover.style.display !== 'none' && !popover.contains(e.target) && !button.contains(e.target)) {
+        this.closeSnapSettings();
+      }
+    });
+
+    document.getElementById('snap-grid').addEventListener('change', (e) => this.setSnapToGrid(e.target.checked));
+    document.getElementById('snap-grid-size').addEventListener('change', (e) => {
+      this.gridSize = Math.max(0.1, parseFloat(e.target.value) || 1);
+      e.target.value = this.gridSize;
+    });
+    document.getElementById('snap-tolerance').addEventListener('change', (e) => {
+      this.snapSettings.tolerancePx = Math.min(50, Math.max(1, parseInt(e.target.value, 10) || DEFAULT_SNAP_TOLERANCE_PX));
+      e.target.value = this.snapSettings.tolerancePx;
+    });
+    types.addEventListener('change', (e) => {
+      this.snapSettings[e.target.dataset.snapType] = e.target.checked;
+    });
+  }
+
+  closeSnapSettings() {
+    document.getElementById('snap-popover').style.display = 'none';
+    document.getElementById('btn-snap-settings').classList.remove('active');
+  }
+
+  setSnapToGrid(enabled) {
+    this.snapToGrid = enabled;
+    document.getElementById('btn-snap').classList.toggle('active', enabled);
+    document.getElementById('snap-grid').checked = enabled;
+  }
+
+  /**
+   * Options for the snapping module from the current settings and zoom.
+   * Holding Ctrl turns every kind of snapping off; `exclude` lists the ids
+   * being dragged, which must not snap to themselves.
+   */
+  snapOptions(isCtrlPressed, exclude = []) {
+    if (isCtrlPressed) {
+      return { grid: 0, tolerance: 0, exclude, ...Object.fromEntries(Object.keys(SNAP_TYPES).map(type => [type, false])) };
+    }
+    const { tolerancePx, ...types } = this.snapSettings;
+    return {
+      ...types,
+      grid: this.snapToGrid ? this.gridSize : 0,
+      tolerance: tolerancePx * this.renderer.cmPerPixel(),
+      exclude
+    };
+  }
+
+  // A canvas point run through the active snaps; `exclude` never attracts it
+  snapCanvasPoint(point, isCtrlPressed, exclude = []) {
+    return snapPoint(this.document, point, this.snapOptions(isCtrlPressed, exclude));
   }
 
   bindCanvas() {
@@ -1164,42 +1266,111 @@ class MatLayoutEditor {
     svg.addEventListener('mousemove', (e) => this.onCanvasMouseMove(e));
     svg.addEventListener('mouseup', (e) => this.onCanvasMouseUp(e));
     svg.addEventListener('mouseleave', (e) => this.onCanvasMouseUp(e));
-
-    // Click on elements
-    svg.addEventListener('click', (e) => {
-      const target = e.target;
-      if (target.classList.contains('element')) {
-        const id = target.getAttribute('data-id');
-        this.selectElement(id);
-      } else if (target === svg || target.classList.contains('mat-background')) {
-        this.selectElement(null);
-      }
-    });
   }
 
   bindPropertyPanel() {
     // Mat properties
     document.getElementById('mat-width').addEventListener('change', (e) => {
-      this.document.mat.width_cm = parseFloat(e.target.value) || 50;
+      this.recordChange('Resize mat', () => {
+        this.document.mat.width_cm = parseFloat(e.target.value) || 50;
+      });
       this.renderer.setupViewBox();
       this.render();
     });
     document.getElementById('mat-length').addEventListener('change', (e) => {
-      this.document.mat.length_cm = parseFloat(e.target.value) || 400;
+      this.recordChange('Resize mat', () => {
+        this.document.mat.length_cm = parseFloat(e.target.value) || 400;
+      });
       this.renderer.setupViewBox();
       this.render();
     });
     document.getElementById('mat-color').addEventListener('change', (e) => {
-      this.document.mat.color = e.target.value;
+      this.recordChange('Change mat color', () => {
+        this.document.mat.color = e.target.value;
+      });
       this.render();
     });
 
+    // Angle convention: only changes how angles read, never the drawing
+    const conventionSelect = document.getElementById('mat-angle-convention');
+    for (const [value, { label }] of Object.entries(ANGLE_CONVENTIONS)) {
+      conventionSelect.add(new Option(label, value));
+    }
+    conventionSelect.addEventListener('change', (e) => {
+      this.recordChange('Change angle convention', () => {
+        this.document.mat.angleConvention = e.target.value;
+      });
+      this.updateStatus(`Angles now read as ${ANGLE_CONVENTIONS[e.target.value].label}`);
+    });
+
     // Element properties
-    const updateElement = () => {
-      if (!this.document.selectedId) return;
-      const element = this.document.getElementById(this.document.selectedId);
-      if (!element) return;
+    const updateElement = (e) => {
+      const selected = this.document.getSelectedElements();
+      if (selected.length === 0) return;
+
+      // Group edits only touch the field that changed, so mixed values survive
+      if (selected.length > 1) {
+        this.recordChange(`Restyle ${selected.length} elements`, () => {
+          for (const element of selected) {
+            applyStyleField(element, e.target.id);
+          }
+          this.document.dirty = true;
+        });
+        this.render();
+        this.updatePropertyPanel();
+        return;
+      }
+
+      const element = selected[0];
+      this.recordChange(`Edit ${element.id}`, () => applyProperties(element));
+      this.document.selectedId = element.id;
+      this.render();
+      // Reflect normalized values (curve conversions, refused polygon closes, length readout)
+      this.updatePropertyPanel();
+    };
+
+    const applyStyleField = (element, field) => {
+      const fillColor = document.getElementById('elem-fill').value;
+      const strokeColor = document.getElementById('elem-stroke').value;
+      const strokeWidth = parseFloat(document.getElementById('elem-stroke-width').value) || 1;
+
+      switch (field) {
+        case 'elem-fill':
+          element.fill = fillColor;
+          break;
+        case 'elem-fill-none':
+          element.fill = document.getElementById('elem-fill-none').checked ? 'none' : fillColor;
+          break;
+        case 'elem-stroke':
+          element.stroke = strokeColor;
+          if (!element.strokeWidth) element.strokeWidth = strokeWidth;
+          break;
+        case 'elem-stroke-none':
+          if (document.getElementById('elem-stroke-none').checked) {
+            element.stroke = 'none';
+            element.strokeWidth = 0;
+          } else {
+            element.stroke = strokeColor;
+            element.strokeWidth = strokeWidth;
+          }
+          break;
+        case 'elem-stroke-width':
+          if (element.stroke && element.stroke !== 'none') {
+            element.strokeWidth = strokeWidth;
+          }
+          break;
+      }
+    };
+
+    const applyVertex = (element) => {
+      const vertex = element.points_cm[parseInt(document.getElementById('elem-vertex').value, 10)];
+      if (vertex) {
+        vertex.x = parseFloat(document.getElementById('elem-vertex-x').value) || 0;
+        vertex.y = parseFloat(document.getElementById('elem-vertex-y').value) || 0;
+      }
+    };
 
+    const applyProperties = (element) => {
       const id = document.getElementById('elem-id').value;
       if (id && id !== element.id) {
         element.id = id;
@@ -1210,6 +1381,28 @@ class MatLayoutEditor {
         element.y0_cm = parseFloat(document.getElementById('elem-y0').value) || 0;
         element.x1_cm = parseFloat(document.getElementById('elem-x1').value) || 0;
         element.y1_cm = parseFloat(document.getElementById('elem-y1').value) || 0;
+
+        // A typed pivot moves the rotation center, not the rect
+        const pivotX = parseFloat(document.getElementById('elem-rect-pivot-x').value);
+        const pivotY = parseFloat(document.getElementById('elem-rect-pivot-y').value);
+        const pivot = this.document.getRectPivot(element);
+        if (Number.isFinite(pivotX) && Number.isFinite(pivotY) &&
+            (Math.abs(pivotX - pivot.x) > 0.05 || Math.abs(pivotY - pivot.y) > 0.05)) {
+          this.document.setRectPivot(element, { x: pivotX, y: pivotY });
+        }
+        element.rotation = fromConventionRotation(
+          parseFloat(document.getElementById('elem-rect-rotation').value) || 0, this.document.mat.angleConvention);
+      } else if (element.type === 'polygon' || element.type === 'polyline') {
+        applyVertex(element);
+        // Closing needs three vertices; the panel refresh shows the checkbox reverted
+        const closed = document.getElementById('elem-poly-closed').checked;
+        if (!closed || element.points_cm.length >= 3) {
+          element.type = closed ? 'polygon' : 'polyline';
+        }
+      } else if (element.type === 'curve') {
+        applyVertex(element);
+        element.lineStyle = document.getElementById('elem-curve-style').value || 'solid';
+        this.document.convertCurve(element, document.getElementById('elem-curve-type').value);
       } else if (element.type === 'circle' || element.type === 'marker') {
         element.center_cm.x = parseFloat(document.getElementById('elem-cx').value) || 0;
         element.center_cm.y = parseFloat(document.getElementById('elem-cy').value) || 0;
@@ -1224,13 +1417,18 @@ class MatLayoutEditor {
         element.center_cm.x = parseFloat(document.getElementById('elem-acx').value) || 0;
         element.center_cm.y = parseFloat(document.getElementById('elem-acy').value) || 0;
         element.radius_cm = parseFloat(document.getElementById('elem-arc-radius').value) || 1;
-        element.startAngle = parseFloat(document.getElementById('elem-arc-start').value) || 0;
-        element.endAngle = parseFloat(document.getElementById('elem-arc-end').value) || 360;
+        const { start, end } = sweepFromConvention(
+          parseFloat(document.getElementById('elem-arc-start').value) || 0,
+          parseFloat(document.getElementById('elem-arc-end').value) || 360,
+          this.document.mat.angleConvention);
+        element.startAngle = start;
+        element.endAngle = end;
       } else if (element.type === 'text') {
         element.position_cm.x = parseFloat(document.getElementById('elem-text-x').value) || 0;
         element.position_cm.y = parseFloat(document.getElementById('elem-text-y').value) || 0;
         element.text = document.getElementById('elem-text-content').value || 'Label';
-        element.rotation = parseFloat(document.getElementById('elem-text-rotation').value) || 0;
+        element.rotation = fromConventionRotation(
+          parseFloat(document.getElementById('elem-text-rotation').value) || 0, this.document.mat.angleConvention);
         element.fontFamily = document.getElementById('elem-text-font').value || 'Inter';
         element.fontSize = parseFloat(document.getElementById('elem-text-size').value) || 3;
         element.fontStyle = document.getElementById('elem-text-style').value || 'normal';
@@ -1239,8 +1437,26 @@ class MatLayoutEditor {
         element.center_cm.y = parseFloat(document.getElementById('elem-sector-y').value) || 0;
         element.innerRadius_cm = parseFloat(document.getElementById('elem-sector-inner').value) || 0;
         element.outerRadius_cm = parseFloat(document.getElementById('elem-sector-outer').value) || 0;
-        element.startAngle = parseFloat(document.getElementById('elem-sector-start').value) || 0;
-        element.endAngle = parseFloat(document.getElementById('elem-sector-end').value) || 0;
+        const { start, end } = sweepFromConvention(
+          parseFloat(document.getElementById('elem-sector-start').value) || 0,
+          parseFloat(document.getElementById('elem-sector-end').value) || 0,
+          this.document.mat.angleConvention);
+        element.startAngle = start;
+        element.endAngle = end;
+      } else if (element.type === 'dimension') {
+        element.offset_cm = parseFloat(document.getElementById('elem-dim-offset').value) || 0;
+        element.fontSize = parseFloat(document.getElementById('elem-dim-size').value) || 2.5;
+      }
+
+      if (isScorable(element)) {
+        element.scoring = document.getElementById('elem-zone-enabled').checked
+          ? normalizeScoring({
+            role: document.getElementById('elem-zone-role').value,
+            score: parseFloat(document.getElementById('elem-zone-score').value) || 0,
+            priority: parseFloat(document.getElementById('elem-zone-priority').value) || 0,
+            tags: document.getElementById('elem-zone-tags').value.split(',')
+          })
+          : null;
       }
 
       // Style
@@ -1250,68 +1466,365 @@ class MatLayoutEditor {
       element.stroke = strokeNone ? 'none' : document.getElementById('elem-stroke').value;
       element.strokeWidth = strokeNone ? 0 : (parseFloat(document.getElementById('elem-stroke-width').value) || 1);
 
+      // Open polylines and curves are drawn by their stroke alone
+      if ((element.type === 'polyline' || element.type === 'curve') && element.stroke === 'none') {
+        element.stroke = '#ffffff';
+        element.strokeWidth = 1;
+      }
+
       this.document.dirty = true;
-      this.render();
     };
 
-    // Bind all input changes
+    // Bind all input changes (group transform inputs apply via their button)
     const inputs = document.querySelectorAll('#element-properties input, #element-properties select');
     inputs.forEach(input => {
+      if (input.closest('#group-props') || input.id === 'elem-vertex') return;
       input.addEventListener('change', updateElement);
     });
 
+    // Polygon and curve vertices
+    document.getElementById('elem-vertex').addEventListener('change', (e) => {
+      this.renderer.activeVertex = parseInt(e.target.value, 10);
+      this.render();
+      this.updatePropertyPanel();
+    });
+    document.getElementById('btn-vertex-insert').addEventListener('click', () => {
+      const element = this.document.getElementById(this.document.selectedId);
+      if (!element?.points_cm) return;
+      const index = parseInt(document.getElementById('elem-vertex').value, 10) || 0;
+      // Open shapes have no edge after their last vertex; split the one before it
+      const edge = element.type !== 'polygon' && index === element.points_cm.length - 1 ? index - 1 : index;
+      this.renderer.activeVertex = this.recordChange(`Add vertex to ${element.id}`, () => {
+        this.document.dirty = true;
+        return this.document.insertVertex(element, edge);
+      });
+      this.render();
+      this.updatePropertyPanel();
+    });
+    document.getElementById('btn-vertex-delete').addEventListener('click', () => {
+      this.renderer.activeVertex = parseInt(document.getElementById('elem-vertex').value, 10) || 0;
+      this.deleteActiveVertex();
+    });
+
+    document.getElementById('btn-group-rotate').addEventListener('click', () => {
+      const degrees = parseFloat(document.getElementById('group-rotate-angle').value) || 0;
+      if (degrees !== 0) this.rotateSelected(degrees);
+    });
+    document.getElementById('align-reference').addEventListener('change', (e) => {
+      this.alignReference = e.target.value;
+      this.renderer.showKeyObject = this.alignReference === 'key';
+      this.render();
+    });
+
     // Sector Stacking
     document.getElementById('btn-sector-above').addEventListener('click', () => this.addSectorStack('above'));
     document.getElementById('btn-sector-below').addEventListener('click', () => this.addSectorStack('below'));
+    document.getElementById('btn-sector-fan').addEventListener('click', () => this.openFanDialog());
 
 
 
     // Delete and duplicate buttons
     document.getElementById('btn-delete-element').addEventListener('click', () => {
-      if (this.document.selectedId) {
-        this.document.deleteElement(this.document.selectedId);
-        this.render();
-        this.updateElementsList();
-        this.updateStatus('Element deleted');
+      if (this.document.selectedIds.length > 0) {
+        this.deleteSelected();
       }
     });
 
     document.getElementById('btn-duplicate-element').addEventListener('click', () => {
-      if (this.document.selectedId) {
-        const newElem = this.document.duplicateElement(this.document.selectedId);
-        if (newElem) {
-          this.selectElement(newElem.id);
-          this.updateStatus('Element duplicated');
-        }
+      if (this.document.selectedIds.length > 0) {
+        this.duplicateSelected();
       }
     });
 
     document.getElementById('btn-move-front').addEventListener('click', () => {
-      if (this.document.selectedId) {
-        this.document.moveElementToFront(this.document.selectedId);
+      if (this.document.selectedIds.length > 0) {
+        // Raise in current stacking order so the selection keeps its internal order
+        const selected = this.document.getSelectedElements().sort((a, b) => (a.zOrder || 0) - (b.zOrder || 0));
+        this.recordChange(`Bring ${this.describeSelection()} to front`, () => {
+          for (const element of selected) this.document.moveElementToFront(element.id);
+        });
         this.render();
+        this.updateElementsList();
         this.updateStatus('Moved to front');
       }
     });
 
     document.getElementById('btn-move-back').addEventListener('click', () => {
-      if (this.document.selectedId) {
-        this.document.moveElementToBack(this.document.selectedId);
+      if (this.document.selectedIds.length > 0) {
+        const selected = this.document.getSelectedElements().sort((a, b) => (b.zOrder || 0) - (a.zOrder || 0));
+        this.recordChange(`Send ${this.describeSelection()} to back`, () => {
+          for (const element of selected) this.document.moveElementToBack(element.id);
+        });
         this.render();
+        this.updateElementsList();
         this.updateStatus('Moved to back');
       }
     });
   }
 
+  describeSelection() {
+    const count = this.document.selectedIds.length;
+    return count === 1 ? this.document.selectedId : `${count} elements`;
+  }
+
+  recordChange(label, mutate) {
+    const pairs = this.beginSymmetry();
+    const result = this.history.record(this.document, label, () => {
+      const value = mutate();
+      this.syncSymmetry(pairs);
+      return value;
+    });
+    this.updateHistoryUI();
+    return result;
+  }
+
+  deleteSelected() {
+    const ids = [...this.document.selectedIds];
+    const label = this.describeSelection();
+    this.recordChange(`Delete ${label}`, () => this.document.deleteElements(ids));
+    this.render();
+    this.updatePropertyPanel();
+    this.updateElementsList();
+    this.updateStatus(`Deleted ${label}`);
+  }
+
+  // Rotate the selection about its shared pivot (see MatDocument.getRotationPivot)
+  rotateSelected(degrees) {
+    const selected = this.document.getSelectedElements();
+    if (selected.length === 0) return;
+    const pivot = this.document.getRotationPivot(selected);
+    this.recordChange(`Rotate ${this.describeSelection()}`, () => {
+      for (const element of selected) this.document.rotateElement(element, pivot, degrees);
+      this.document.dirty = true;
+    });
+    this.render();
+    this.updatePropertyPanel();
+    this.updateStatus(`Rotated ${this.describeSelection()} by ${degrees}°`);
+  }
+
+  /**
+   * Run an arrange command on the selection: one of the ALIGN_EDGES,
+   * 'centerline' to center the selection as a block on the mat's long axis,
+   * or 'distribute-x' / 'distribute-y' for equal gaps. A lone element aligns
+   * with the mat; several align with the reference picked in the panel.
+   */
+  arrangeSelected(command) {
+    const selected = this.document.getSelectedElements();
+    const label = this.describeSelection();
+    if (selected.length === 0) {
+      this.updateStatus('Select elements to align or distribute');
+      return;
+    }
+
+    if (command.startsWith('distribute-')) {
+      const axis = command.slice('distribute-'.length);
+      if (selected.length < 3) {
+        this.updateStatus('Select at least three elements to distribute');
+        return;
+      }
+      const gap = this.recordChange(`Distribute ${label}`, () => this.document.distributeElements(selected, axis));
+      this.updateStatus(`Distributed ${label} ${axis === 'x' ? 'horizontally' : 'vertically'} with ${gap.toFixed(1)} cm gaps`);
+    } else if (command === 'centerline') {
+      this.recordChange(`Center ${label} on mat`, () =>
+        this.document.alignElements(selected, 'center', this.document.getMatBounds(), { together: true }));
+      this.updateStatus(`Centered ${label} on the mat centerline`);
+    } else {
+      const reference = selected.length === 1 ? 'mat' : this.alignReference;
+      const target = reference === 'mat' ? this.document.getMatBounds()
+        : reference === 'key' ? this.document.getElementBounds(this.document.getElementById(this.document.selectedId))
+          : this.document.getSelectionBounds();
+      this.recordChange(`Align ${label} ${command}`, () => this.document.alignElements(selected, command, target));
+      const to = { selection: 'selection', key: 'key object', mat: 'mat' }[reference];
+      this.updateStatus(`Aligned ${label} ${command} to the ${to}`);
+    }
+
+    this.document.dirty = true;
+    this.render();
+    this.updatePropertyPanel();
+  }
+
+  // Mirror the selection in place about its center: 'x' flips left and right, 'y' top and bottom
+  flipSelected(axis) {
+    const selected = this.document.getSelectedElements();
+    if (selected.length === 0) return;
+    const bounds = this.document.getSelectionBounds();
+    const center = axis === 'x' ? (bounds.minX + bounds.maxX) / 2 : (bounds.minY + bounds.maxY) / 2;
+    const direction = axis === 'x' ? 'horizontally' : 'vertically';
+    this.recordChange(`Flip ${this.describeSelection()} ${direction}`, () => {
+      for (const element of selected) this.document.mirrorElement(element, axis, center);
+      this.document.dirty = true;
+    });
+    this.render();
+    this.updatePropertyPanel();
+    this.updateStatus(`Flipped ${this.describeSelection()} ${direction}`);
+  }
+
+  // =====================================================
+  // Symmetry
+  // =====================================================
+
+  setSymmetry(enabled) {
+    this.symmetry = enabled;
+    document.getElementById('btn-symmetry').classList.toggle('active', enabled);
+    this.renderer.showSymmetryAxis = enabled;
+    this.render();
+    this.updateStatus(enabled
+      ? 'Symmetry mode: edits are mirrored onto the twin across the mat centerline'
+      : 'Symmetry mode off');
+  }
+
+  /**
+   * Before an edit in symmetry mode: each selected element with its mirrored
+   * twin across the centerline (null until one is needed) and how it looked,
+   * so syncSymmetry() can tell what the edit changed. Elements lying on the
+   * centerline, and twins that are selected as well, are left alone.
+   */
+  beginSymmetry() {
+    if (!this.symmetry) return null;
+    const axis = this.document.mat.width_cm / 2;
+    const pairs = [];
+    for (const element of this.document.getSelectedElements()) {
+      if (this.document.isMirrorOf(element, element, 'x', axis)) continue;
+      const twin = this.document.findMirrorTwin(element, 'x', axis);
+      if (twin && this.document.isSelected(twin.id)) continue;
+      pairs.push({ element, twin, before: JSON.stringify(element), synced: false });
+    }
+    return pairs;
+  }
+
+  // After (each step of) an edit: mirror every changed element onto its twin,
+  // adding the twin if there was none and deleting it with the element
+  syncSymmetry(pairs) {
+    if (!pairs) return;
+    const axis = this.document.mat.width_cm / 2;
+    for (const pair of pairs) {
+      const { element, twin } = pair;
+      if (!this.document.elements.includes(element)) {
+        if (twin && this.document.elements.includes(twin)) this.document.deleteElement(twin.id);
+        continue;
+      }
+      if (!pair.synced && JSON.stringify(element) === pair.before) continue;
+      pair.synced = true;
+
+      if (!twin) {
+        pair.twin = this.document.addMirroredTwin(element, 'x', axis);
+        continue;
+      }
+      // The twin takes the element's shape and style but keeps its id, stacking
+      // and layer state (group, hidden, locked)
+      const mirrored = JSON.parse(JSON.stringify(element));
+      this.document.mirrorElement(mirrored, 'x', axis);
+      mirrored.id = twin.id;
+      for (const key of ['zOrder', 'group', 'hidden', 'locked']) {
+        delete mirrored[key];
+        if (key in twin) mirrored[key] = twin[key];
+      }
+      for (const key of Object.keys(twin)) delete twin[key];
+      Object.assign(twin, mirrored);
+    }
+  }
+
+  duplicateSelected() {
+    const ids = [...this.document.selectedIds];
+    const label = this.describeSelection();
+    const clones = this.recordChange(`Duplicate ${label}`, () => this.document.duplicateElements(ids));
+    this.setSelection(clones.map(c => c.id));
+    this.updateStatus(`Duplicated ${label}`);
+    return clones;
+  }
+
+  undo() {
+    const matBefore = { ...this.document.mat };
+    const entry = this.history.undo(this.document);
+    if (!entry) return;
+    this.afterHistoryChange(matBefore);
+    this.updateStatus(`Undo: ${entry.label}`);
+  }
+
+  redo() {
+    const matBefore = { ...this.document.mat };
+    const entry = this.history.redo(this.document);
+    if (!entry) return;
+    this.afterHistoryChange(matBefore);
+    this.updateStatus(`Redo: ${entry.label}`);
+  }
+
+  // Undo/redo until `depth` entries remain on the undo stack
+  jumpToHistory(depth) {
+    const matBefore = { ...this.document.mat };
+    while (this.history.undoStack.length > depth && this.history.canUndo()) {
+      this.history.undo(this.document);
+    }
+    while (this.history.undoStack.length < depth && this.history.canRedo()) {
+      this.history.redo(this.document);
+    }
+    this.afterHistoryChange(matBefore);
+  }
+
+  afterHistoryChange(matBefore) {
+    const mat = this.document.mat;
+    if (mat.width_cm !== matBefore.width_cm || mat.length_cm !== matBefore.length_cm) {
+      this.renderer.setupViewBox();
+    }
+    this.render();
+    this.updatePropertyPanel();
+    this.updateElementsList();
+    this.updateHistoryUI();
+  }
+
+  updateHistoryUI() {
+    document.getElementById('btn-undo').disabled = !this.history.canUndo();
+    document.getElementById('btn-redo').disabled = !this.history.canRedo();
+
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+
+    const addItem = (label, depth, state) => {
+      const item = document.createElement('div');
+      item.className = `history-item ${state}`;
+      item.textContent = label;
+      item.addEventListener('click', () => this.jumpToHistory(depth));
+      list.appendChild(item);
+    };
+
+    const done = this.history.undoStack;
+    const undone = [...this.history.redoStack].reverse();
+
+    addItem('Initial state', 0, done.length === 0 ? 'current' : '');
+    done.forEach((entry, i) => {
+      addItem(entry.label, i + 1, i === done.length - 1 ? 'current' : '');
+    });
+    undone.forEach((entry, i) => {
+      addItem(entry.label, done.length + i + 1, 'undone');
+    });
+
+    list.scrollTop = list.scrollHeight;
+  }
+
   bindKeyboard() {
     document.addEventListener('keydown', (e) => {
       // Don't handle if typing in input
       if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+      const arrange = e.altKey && !e.ctrlKey && ARRANGE_SHORTCUTS[`${e.shiftKey ? 'Shift+' : ''}${e.code}`];
+      if (arrange) {
+        e.preventDefault();
+        this.arrangeSelected(arrange);
+        return;
+      }
+
       switch (e.key) {
         case 'v':
         case 'V':
-          this.setTool('select');
+          if (e.shiftKey) this.flipSelected('y');
+          else this.setTool('select');
+          break;
+        case 'H':
+          if (e.shiftKey) this.flipSelected('x');
+          break;
+        case 'm':
+        case 'M':
+          this.setTool('measure');
           break;
         case ' ':
           e.preventDefault();
@@ -1319,17 +1832,110 @@ class MatLayoutEditor {
           break;
         case 'Delete':
         case 'Backspace':
-          if (this.document.selectedId) {
-            this.document.deleteElement(this.document.selectedId);
-            this.render();
-            this.updateElementsList();
+          if (this.drawing) {
+            // Remove the last placed vertex
+            this.drawing.points.pop();
+            this.renderer.renderDrawing(this.drawing);
+          } else if (this.measure) {
+            this.measure.points.pop();
+            this.updateMeasure();
+          } else if (this.renderer.activeVertex !== null && this.document.selectedIds.length === 1) {
+            this.deleteActiveVertex();
+          } else if (this.document.selectedIds.length > 0) {
+            this.deleteSelected();
           }
           break;
+        case 'Enter':
+          if (this.drawing) this.finishDrawing();
+          if (this.measure) this.keepMeasurement();
+          break;
         case 'd':
-          if (e.ctrlKey && this.document.selectedId) {
+          if (e.ctrlKey && this.document.selectedIds.length > 0) {
+            e.preventDefault();
+            this.duplicateSelected();
+          }
+          break;
+        case 'D':
+          if (e.ctrlKey && e.shiftKey) {
+            e.preventDefault();
+            this.openArrayDialog();
+          }
+          break;
+        case 'g':
+        case 'G':
+          if (e.ctrlKey) {
+            e.preventDefault();
+            if (e.shiftKey) this.ungroupSelected();
+            else this.groupSelected();
+          }
+          break;
+        case 'a':
+          if (e.ctrlKey) {
             e.preventDefault();
-            const newElem = this.document.duplicateElement(this.document.selectedId);
-            if (newElem) this.selectElement(newElem.id);
+            this.setSelection(this.getPickableElements().map(el => el.id));
+          }
+          break;
+        case 'Escape':
+          if (document.getElementById('snap-popover').style.display !== 'none') {
+            this.closeSnapSettings();
+            break;
+          }
+          if (this.drawing) {
+            this.setTool('select');
+            this.updateStatus('Drawing cancelled');
+            break;
+          }
+          if (this.measure) {
+            this.setTool('select');
+            this.updateStatus('Measurement cleared');
+            break;
+          }
+          if (this.pendingLoad) {
+            this.closeDiagnostics();
+            this.updateStatus('Layout rejected');
+            break;
+          }
+          if (this.pendingRecovery) {
+            this.discardRecovery();
+            break;
+          }
+          if (this.isLibraryOpen()) {
+            this.closeLibrary();
+            break;
+          }
+          if (this.selectedTemplate) {
+            this.closeTemplates();
+            break;
+          }
+          if (document.getElementById('fan-dialog').style.display === 'flex') {
+            this.closeFanDialog();
+            break;
+          }
+          if (document.getElementById('array-dialog').style.display === 'flex') {
+            this.closeArrayDialog();
+            break;
+          }
+          if (this.currentTool === 'simulate') {
+            this.setTool('select');
+            break;
+          }
+          this.setSelection([]);
+          break;
+        case 'z':
+        case 'Z':
+          if (e.ctrlKey) {
+            e.preventDefault();
+            if (e.shiftKey) {
+              this.redo();
+            } else {
+              this.undo();
+            }
+          }
+          break;
+        case 'y':
+          if (e.ctrlKey) {
+            e.preventDefault();
+            this.redo();
           }
           break;
         case '=':
@@ -1348,13 +1954,13 @@ class MatLayoutEditor {
         case 's':
           if (e.ctrlKey) {
             e.preventDefault();
-            this.saveFile();
+            this.saveToLibrary();
           }
           break;
         case 'o':
           if (e.ctrlKey) {
             e.preventDefault();
-            document.getElementById('file-input').click();
+            this.openLibrary();
           }
           break;
       }
@@ -1369,20 +1975,187 @@ class MatLayoutEditor {
 
   bindFileOperations() {
     document.getElementById('btn-new').addEventListener('click', () => this.newDocument());
-    document.getElementById('btn-load').addEventListener('click', () => {
-      document.getElementById('file-input').click();
-    });
+    document.getElementById('btn-library').addEventListener('click', () => this.openLibrary());
     document.getElementById('btn-load-example').addEventListener('click', () => this.loadExample());
-    document.getElementById('btn-save').addEventListener('click', () => this.saveFile());
+    document.getElementById('btn-templates').addEventListener('click', () => this.openTemplates());
+    document.getElementById('btn-save').addEventListener('click', () => this.saveToLibrary());
+    document.getElementById('btn-download-json').addEventListener('click', () => this.saveFile());
     document.getElementById('btn-export-svg').addEventListener('click', () => this.exportSVG());
-    document.getElementById('btn-export-png').addEventListener('click', () => this.exportPNG());
+    document.getElementById('btn-export-image').addEventListener('click', () => this.openImageDialog());
+    document.getElementById('btn-export-pdf').addEventListener('click', () => this.openPDFDialog());
+
+    // Image dialog
+    document.getElementById('image-resolution-unit').addEventListener('change', (e) => {
+      const input = document.getElementById('image-resolution');
+      const value = parseFloat(input.value) || 0;
+      const converted = e.target.value === 'dpi' ? pxPerCmToDpi(value) : dpiToPxPerCm(value);
+      input.value = parseFloat(converted.toFixed(2));
+    });
+    document.querySelectorAll('#image-dialog input, #image-dialog select').forEach(input => {
+      input.addEventListener('input', () => this.updateImageSummary());
+      input.addEventListener('change', () => this.updateImageSummary());
+    });
+    document.getElementById('btn-image-cancel').addEventListener('click', () => this.closeImageDialog());
+    document.getElementById('btn-image-export').addEventListener('click', () => this.exportImage());
+
+    // PDF dialog
+    document.querySelectorAll('#pdf-dialog input, #pdf-dialog select').forEach(input => {
+      input.addEventListener('change', () => this.updatePDFSummary());
+    });
+    document.getElementById('btn-pdf-cancel').addEventListener('click', () => this.closePDFDialog());
+    document.getElementById('btn-pdf-export').addEventListener('click', () => this.exportPDF());
 
     document.getElementById('file-input').addEventListener('change', (e) => {
       const file = e.target.files[0];
       if (file) {
         this.loadFile(file);
       }
+      e.target.value = ''; // Allow re-loading the same file after a rejection
     });
+
+    // Sector fan dialog
+    document.getElementById('fan-full').addEventListener('change', (e) => {
+      document.getElementById('fan-end').disabled = e.target.checked;
+    });
+    document.querySelectorAll('#fan-dialog input, #fan-dialog select').forEach(input => {
+      input.addEventListener('input', () => this.updateFanSummary());
+      input.addEventListener('change', () => this.updateFanSummary());
+    });
+    document.getElementById('btn-fan-cancel').addEventListener('click', () => this.closeFanDialog());
+    document.getElementById('btn-fan-generate').addEventListener('click', () => this.generateFan());
+
+    // Array dialog
+    document.querySelectorAll('#array-dialog input, #array-dialog select').forEach(input => {
+      input.addEventListener('input', () => this.updateArraySummary());
+      input.addEventListener('change', () => this.updateArraySummary());
+    });
+    document.getElementById('btn-array-cancel').addEventListener('click', () => this.closeArrayDialog());
+    document.getElementById('btn-array-create').addEventListener('click', () => this.createArray());
+
+    // Template dialog
+    document.getElementById('template-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-template]');
+      if (button) this.selectTemplate(button.dataset.template);
+    });
+    document.getElementById('template-params').addEventListener('input', () => this.updateTemplatePreview());
+    document.getElementById('btn-template-cancel').addEventListener('click', () => this.closeTemplates());
+    document.getElementById('btn-template-add').addEventListener('click', () => this.applyTemplate(false));
+    document.getElementById('btn-template-replace').addEventListener('click', () => this.applyTemplate(true));
+
+    // Library dialog
+    document.getElementById('library-search').addEventListener('input', () => this.renderLibrary());
+    document.getElementById('library-list').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const id = Number(button.closest('.library-card').dataset.id);
+      switch (button.dataset.action) {
+        case 'open': this.openLibraryLayout(id); break;
+        case 'rename': this.renameLibraryLayout(id); break;
+        case 'duplicate': this.duplicateLibraryLayout(id); break;
+        case 'delete': this.deleteLibraryLayout(id); break;
+      }
+    });
+    document.getElementById('btn-library-import').addEventListener('click', () => {
+      this.closeLibrary();
+      document.getElementById('file-input').click();
+    });
+    document.getElementById('btn-library-save-as').addEventListener('click', () => this.saveToLibrary(true));
+    document.getElementById('btn-library-close').addEventListener('click', () => this.closeLibrary());
+
+    // Diagnostics dialog
+    document.getElementById('btn-diag-reject').addEventListener('click', () => {
+      this.closeDiagnostics();
+      this.updateStatus('Layout rejected');
+    });
+    document.getElementById('btn-diag-load').addEventListener('click', () => {
+      const { json, name, libraryEntry } = this.pendingLoad;
+      this.closeDiagnostics();
+      this.applyLayout(json, name, libraryEntry);
+    });
+    document.getElementById('btn-diag-fix').addEventListener('click', () => {
+      const { result, name, libraryEntry } = this.pendingLoad;
+      this.closeDiagnostics();
+      this.applyLayout(result.fixed, `${name} (with fixes)`, libraryEntry);
+    });
+  }
+
+  // =====================================================
+  // Auto-save and Recovery
+  // =====================================================
+
+  bindAutosave() {
+    setInterval(() => this.autosave(), AUTOSAVE_INTERVAL_MS);
+
+    // Flush when the tab is hidden; the interval may not fire again before it is closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.autosave();
+    });
+
+    window.addEventListener('beforeunload', (e) => {
+      if (!this.document.dirty) return;
+      this.autosave();
+      e.preventDefault();
+      e.returnValue = ''; // Older browsers only show the prompt when this is set
+    });
+
+    document.getElementById('btn-recovery-discard').addEventListener('click', () => this.discardRecovery());
+    document.getElementById('btn-recovery-restore').addEventListener('click', () => this.restoreRecovery());
+  }
+
+  // Write the document to IndexedDB if it has unsaved changes since the last auto-save
+  autosave() {
+    if (!this.document.dirty || this.pendingRecovery) return;
+
+    const layout = this.document.toJSON();
+    const serialized = JSON.stringify(layout);
+    if (serialized === this.lastAutosave) return;
+
+    this.lastAutosave = serialized;
+    saveSession(layout).catch(err => {
+      this.lastAutosave = null;
+      console.warn('Auto-save failed:', err);
+    });
+  }
+
+  // Called once the document no longer has changes worth recovering
+  discardAutosave() {
+    this.lastAutosave = null;
+    clearSession().catch(err => console.warn('Could not clear auto-saved session:', err));
+  }
+
+  checkRecovery() {
+    loadSession()
+      .then(record => {
+        if (!record) return;
+        this.pendingRecovery = record;
+        const savedAt = new Date(record.savedAt);
+        const mat = record.layout.mat;
+        document.getElementById('recovery-summary').textContent =
+          `Unsaved changes from ${savedAt.toLocaleString()}` +
+          (mat ? ` (${mat.width_cm} × ${mat.length_cm} cm mat)` : '');
+        document.getElementById('recovery-dialog').style.display = 'flex';
+      })
+      .catch(err => console.warn('Could not check for an auto-saved session:', err));
+  }
+
+  closeRecovery() {
+    this.pendingRecovery = null;
+    document.getElementById('recovery-dialog').style.display = 'none';
+  }
+
+  restoreRecovery() {
+    const { layout } = this.pendingRecovery;
+    this.closeRecovery();
+    this.applyLayout(layout, 'recovered session');
+    // Still unsaved: keep it recoverable until the user saves
+    this.document.dirty = true;
+    this.autosave();
+  }
+
+  discardRecovery() {
+    this.closeRecovery();
+    this.discardAutosave();
+    this.updateStatus('Recovered session discarded');
   }
 
   loadExample() {
@@ -1392,13 +2165,7 @@ class MatLayoutEditor {
           if (!response.ok) throw new Error('Example not found');
           return response.json();
         })
-        .then(json => {
-          this.document.fromJSON(json);
-          this.renderer.setupViewBox(); // Important if mat size changed
-          this.render();
-          this.updateElementsList();
-          this.updateStatus('Example layout loaded');
-        })
+        .then(json => this.loadLayout(json, 'example layout'))
         .catch(err => {
           console.error(err);
           alert('Failed to load example: ' + err.message);
@@ -1406,17 +2173,234 @@ class MatLayoutEditor {
     }
   }
 
+  // =====================================================
+  // Drill Templates
+  // =====================================================
+
+  openTemplates() {
+    const list = document.getElementById('template-list');
+    list.innerHTML = '';
+    for (const template of TEMPLATES) {
+      const button = document.createElement('button');
+      button.className = 'template-item';
+      button.dataset.template = template.id;
+      button.textContent = template.name;
+      list.appendChild(button);
+    }
+    document.getElementById('template-dialog').style.display = 'flex';
+    this.selectTemplate(TEMPLATES[0].id);
+  }
+
+  closeTemplates() {
+    this.selectedTemplate = null;
+    document.getElementById('template-dialog').style.display = 'none';
+  }
+
+  // Show a template's description and parameter form, sized to the current mat
+  selectTemplate(id) {
+    const template = getTemplate(id);
+    this.selectedTemplate = template;
+
+    document.querySelectorAll('#template-list .template-item').forEach(item => {
+      item.classList.toggle('active', item.dataset.template === id);
+    });
+    document.getElementById('template-description').textContent = template.description;
+
+    const form = document.getElementById('template-params');
+    form.innerHTML = '';
+    const defaults = resolveParams(template, this.document.mat);
+    for (const param of template.params) {
+      const row = document.createElement('div');
+      row.className = 'property-row';
+
+      const label = document.createElement('label');
+      label.htmlFor = `template-param-${param.key}`;
+      label.textContent = param.unit ? `${param.label} (${param.unit})` : param.label;
+
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `template-param-${param.key}`;
+      input.dataset.param = param.key;
+      input.step = param.step ?? 1;
+      if (param.min !== undefined) input.min = param.min;
+      if (param.max !== undefined) input.max = param.max;
+      input.value = parseFloat(defaults[param.key].toFixed(1));
+
+      row.append(label, input);
+      form.appendChild(row);
+    }
+    this.updateTemplatePreview();
+  }
+
+  getTemplateValues() {
+    const values = {};
+    document.querySelectorAll('#template-params input').forEach(input => {
+      values[input.dataset.param] = parseFloat(input.value);
+    });
+    return values;
+  }
+
+  updateTemplatePreview() {
+    const preview = new MatDocument();
+    preview.mat = { ...this.document.mat };
+    for (const { type, ...props } of generateTemplate(this.selectedTemplate, preview.mat, this.getTemplateValues())) {
+      preview.createElement(type, props);
+    }
+    const svgData = renderLayoutSVG(preview, { scale: 1 });
+    document.getElementById('template-preview').src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData);
+  }
+
+  // Generate the selected template into the document, either alongside the
+  // existing elements or in place of them
+  applyTemplate(replace) {
+    const template = this.selectedTemplate;
+    const specs = generateTemplate(template, this.document.mat, this.getTemplateValues());
+    if (replace && this.document.elements.length > 0 &&
+        !confirm('Replace all elements with this template? This can be undone.')) {
+      return;
+    }
+
+    const created = this.recordChange(`${replace ? 'Apply' : 'Add'} ${template.name}`, () => {
+      if (replace) this.document.deleteElements(this.document.elements.map(e => e.id));
+      return specs.map(({ type, ...props }) => this.document.createElement(type, props));
+    });
+    this.closeTemplates();
+    this.setSelection(created.map(e => e.id));
+    this.updateStatus(`${template.name}: ${created.length} elements ${replace ? 'generated' : 'added'}`);
+  }
+
   setTool(tool) {
     this.currentTool = tool;
 
-    // Update UI
-    document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
+    // Drawing tools place vertices with each click until finished
+    this.cancelDrawing();
+    if (tool === 'polygon' || tool === 'polyline') {
+      this.drawing = { type: tool, points: [] };
+      this.updateStatus(tool === 'polygon'
+        ? 'Click to place vertices; click the first vertex, double-click or press Enter to close'
+        : 'Click to place vertices; double-click or press Enter to finish');
+    }
+
+    // Measuring picks points with each click until the tool is left
+    this.measure = tool === 'measure' ? { points: [], cursor: null } : null;
+    if (tool === 'measure') {
+      this.setSelection([]);
+      this.updateMeasure();
+    }
+
+    if (tool === 'simulate') {
+      this.setSelection([]);
+      this.updateStatus('Click to drop a ball and see which zones contain it');
+    }
+    document.getElementById('simulate-panel').style.display = tool === 'simulate' ? 'flex' : 'none';
+
+    // Update UI (toggle buttons such as snap keep their own state)
+    document.querySelectorAll('.tool-btn[id^="tool-"]').forEach(btn => btn.classList.remove('active'));
     const toolBtn = document.getElementById(`tool-${tool}`);
     if (toolBtn) toolBtn.classList.add('active');
 
     // Update cursor
     const svg = document.getElementById('canvas');
     svg.classList.toggle('panning', tool === 'pan');
+    this.render();
+  }
+
+  // =====================================================
+  // Simulation
+  // =====================================================
+
+  addProbe(point, label = null) {
+    this.simulation.probes.push({ x: point.x, y: point.y, label });
+    this.render();
+  }
+
+  // Ball positions from CSV: the first two numeric columns are x and y in cm,
+  // an optional text column is used as the label, and header lines are skipped
+  importProbes(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let count = 0;
+      for (const line of e.target.result.split(/\r?\n/)) {
+        const cells = line.split(/[,;\t]/).map(c => c.trim());
+        const numbers = cells.map(Number).filter((n, i) => cells[i] !== '' && Number.isFinite(n));
+        if (numbers.length < 2) continue;
+        const label = cells.find(c => c !== '' && !Number.isFinite(Number(c))) ?? null;
+        this.simulation.probes.push({ x: numbers[0], y: numbers[1], label });
+        count++;
+      }
+      this.render();
+      this.updateStatus(`Imported ${count} ball position${count !== 1 ? 's' : ''} from ${file.name}`);
+    };
+    reader.readAsText(file);
+  }
+
+  // Re-run the hit tests against the current layout; called on every render
+  // while simulating. The heat map is debounced since it samples the whole mat.
+  updateSimulation() {
+    const simulating = this.currentTool === 'simulate';
+    this.renderer.probes = simulating
+      ? this.simulation.probes.map(p => ({ ...p, hits: this.document.hitTest(p) }))
+      : null;
+
+    clearTimeout(this.simulation.coverageTimer);
+    if (!simulating || !this.simulation.heatmap) {
+      this.renderer.coverage = null;
+      document.getElementById('sim-coverage').textContent = '';
+    } else {
+      this.simulation.coverageTimer = setTimeout(() => {
+        const coverage = this.document.getCoverage(this.simulation.cell_cm);
+        this.renderer.coverage = coverage;
+        this.renderer.render();
+        this.updateCoverageSummary(coverage);
+      }, 150);
+    }
+
+    if (simulating) this.updateProbeResults(this.renderer.probes);
+  }
+
+  updateCoverageSummary({ counts }) {
+    const total = counts.length;
+    const gaps = counts.filter(c => c === 0).length;
+    const overlaps = counts.filter(c => c > 1).length;
+    const percent = (n) => `${(100 * n / total).toFixed(1)}%`;
+    document.getElementById('sim-coverage').textContent =
+      `Uncovered ${percent(gaps)} · multiply covered ${percent(overlaps)}`;
+  }
+
+  updateProbeResults(probes) {
+    const list = document.getElementById('sim-results');
+    list.innerHTML = '';
+    if (probes.length === 0) {
+      list.textContent = 'No balls yet';
+      return;
+    }
+
+    // Most recent first
+    for (let i = probes.length - 1; i >= 0; i--) {
+      const probe = probes[i];
+      const [winner, ...others] = probe.hits;
+      const item = document.createElement('div');
+      item.className = `sim-result ${probe.hits.length === 0 ? 'gap' : probe.hits.length > 1 ? 'overlap' : 'hit'}`;
+
+      const position = document.createElement('span');
+      position.className = 'sim-result-position';
+      position.textContent = `${i + 1}${probe.label ? ` ${probe.label}` : ''} (${probe.x.toFixed(1)}, ${probe.y.toFixed(1)})`;
+
+      const zones = document.createElement('span');
+      if (!winner) {
+        // Point out the nearest zone, which is usually the gap to close
+        const nearest = this.document.getZones()
+          .map(zone => ({ zone, dist: this.document.distanceToElement(zone, probe) }))
+          .sort((a, b) => a.dist - b.dist)[0];
+        zones.textContent = nearest ? `No zone (${nearest.zone.id} is ${nearest.dist.toFixed(1)} cm away)` : 'No zone';
+      } else {
+        const score = winner.scoring ? ` ${formatScore(winner.scoring.score)}` : '';
+        zones.textContent = `${winner.id}${score}` + (others.length ? `, also ${others.map(z => z.id).join(', ')}` : '');
+      }
+
+      item.append(position, zones);
+      list.appendChild(item);
+    }
   }
 
   addSectorStack(direction) {
@@ -1446,12 +2430,219 @@ class MatLayoutEditor {
       strokeWidth: current.strokeWidth
     };
 
-    const element = this.document.createElement('sector', props);
+    const element = this.recordChange(`Add sector ${direction}`, () => this.document.createElement('sector', props));
     this.selectElement(element.id);
     this.updateElementsList();
     this.updateStatus(`Added sector ${direction}`);
   }
 
+  // =====================================================
+  // Sector Fan Generator
+  // =====================================================
+
+  // Prefill from the selected sector when there is one
+  openFanDialog() {
+    const sector = this.document.getSelectedElements().find(e => e.type === 'sector');
+    if (sector) {
+      const thickness = sector.outerRadius_cm - sector.innerRadius_cm;
+      const radii = [0, 1, 2, 3].map(i => parseFloat((sector.innerRadius_cm + i * thickness).toFixed(1)));
+      document.getElementById('fan-center-x').value = sector.center_cm.x;
+      document.getElementById('fan-center-y').value = sector.center_cm.y;
+      document.getElementById('fan-radii').value = radii.join(', ');
+      const { start, end } = sweepToConvention(sector.startAngle, sector.endAngle, this.document.mat.angleConvention);
+      document.getElementById('fan-full').checked = sweepOf(sector.startAngle, sector.endAngle) === 360;
+      document.getElementById('fan-start').value = start;
+      document.getElementById('fan-end').value = end;
+    } else {
+      document.getElementById('fan-center-x').value = this.document.mat.width_cm / 2;
+      document.getElementById('fan-center-y').value = 50;
+    }
+    document.getElementById('fan-end').disabled = document.getElementById('fan-full').checked;
+
+    // Suggest a prefix whose ids are free, so a second fan does not clash with the first
+    const taken = (prefix) => this.document.elements.some(e => e.id.startsWith(`${prefix}1_seg`));
+    let prefix = 'ring';
+    for (let n = 2; taken(prefix); n++) prefix = `fan${n}_ring`;
+    document.getElementById('fan-prefix').value = prefix;
+
+    document.getElementById('fan-dialog').style.display = 'flex';
+    this.updateFanSummary();
+  }
+
+  closeFanDialog() {
+    document.getElementById('fan-dialog').style.display = 'none';
+  }
+
+  getFanOptions() {
+    // The dialog's angles are in the mat's convention
+    const typedStart = parseFloat(document.getElementById('fan-start').value) || 0;
+    const full = document.getElementById('fan-full').checked;
+    const { start, end } = sweepFromConvention(typedStart,
+      full ? typedStart + 360 : parseFloat(document.getElementById('fan-end').value) || 0,
+      this.document.mat.angleConvention);
+    return {
+      center_cm: {
+        x: parseFloat(document.getElementById('fan-center-x').value) || 0,
+        y: parseFloat(document.getElementById('fan-center-y').value) || 0
+      },
+      radii: parseNumberList(document.getElementById('fan-radii').value),
+      startAngle: start,
+      endAngle: end,
+      segments: Math.max(1, Math.min(72, parseInt(document.getElementById('fan-segments').value, 10) || 1)),
+      fillMode: document.getElementById('fan-fill-mode').value,
+      colors: [document.getElementById('fan-color-a').value, document.getElementById('fan-color-b').value],
+      opacity: Math.max(0, Math.min(1, parseFloat(document.getElementById('fan-opacity').value) || 0)),
+      prefix: document.getElementById('fan-prefix').value.trim() || 'ring',
+      labels: document.getElementById('fan-labels').checked,
+      scores: parseNumberList(document.getElementById('fan-scores').value)
+    };
+  }
+
+  // Element specs for the dialog's settings, or an error message
+  planFan() {
+    const options = this.getFanOptions();
+    if (options.radii.filter(r => r > 0).length === 0) {
+      return { error: 'Enter at least one radius' };
+    }
+    const specs = generateSectorFan(options);
+    const taken = specs.filter(spec => this.document.getElementById(spec.id)).map(spec => spec.id);
+    if (taken.length > 0) {
+      return { error: `IDs already in use (${taken[0]}…); choose another prefix` };
+    }
+    return { specs };
+  }
+
+  updateFanSummary() {
+    const { specs, error } = this.planFan();
+    const summary = document.getElementById('fan-summary');
+    const generate = document.getElementById('btn-fan-generate');
+    generate.disabled = Boolean(error);
+    if (error) {
+      summary.textContent = error;
+      return;
+    }
+    const sectors = specs.filter(spec => spec.type === 'sector').length;
+    const labels = specs.length - sectors;
+    summary.textContent = `${sectors} sector${sectors !== 1 ? 's' : ''}` + (labels ? ` + ${labels} labels` : '');
+  }
+
+  generateFan() {
+    const { specs, error } = this.planFan();
+    if (error) return;
+    const created = this.recordChange('Generate sector fan', () =>
+      specs.map(({ type, ...props }) => this.document.createElement(type, props))
+    );
+    this.closeFanDialog();
+    this.setSelection(created.map(e => e.id));
+    this.updateStatus(`Generated ${created.length} elements`);
+  }
+
+  // =====================================================
+  // Arrays
+  // =====================================================
+
+  openArrayDialog() {
+    const selected = this.document.getSelectedElements();
+    if (selected.length === 0) {
+      this.updateStatus('Select the elements to repeat first');
+      return;
+    }
+    const bounds = this.document.getSelectionBounds();
+    const anchor = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+    const others = this.document.elements.filter(e => !this.document.isSelected(e.id));
+
+    // Turn around the nearest round element (typically the hole), else a point up the mat
+    const round = others
+      .filter(e => ['circle', 'marker', 'arc', 'sector'].includes(e.type))
+      .sort((a, b) => distance(a.center_cm, anchor) - distance(b.center_cm, anchor))[0];
+    const center = round ? round.center_cm : { x: this.document.mat.width_cm / 2, y: 50 };
+    document.getElementById('array-center-x').value = center.x;
+    document.getElementById('array-center-y').value = center.y;
+
+    const paths = others.filter(e => this.document.getPathPoints(e));
+    const pathSelect = document.getElementById('array-path-element');
+    pathSelect.innerHTML = '';
+    for (const e of paths) pathSelect.add(new Option(`${e.id} (${e.type})`, e.id));
+    if (paths.length === 0) pathSelect.add(new Option('No lines, curves or arcs to follow', ''));
+
+    // Suggest a tag whose ids are free, so a second array does not clash with the first
+    const taken = (tag) => selected.some(e => this.document.getElementById(`${e.id}_${tag}1`));
+    let tag = '';
+    for (let n = 2; taken(tag); n++) tag = `set${n}_`;
+    document.getElementById('array-tag').value = tag;
+
+    document.getElementById('array-dialog').style.display = 'flex';
+    this.updateArraySummary();
+  }
+
+  closeArrayDialog() {
+    document.getElementById('array-dialog').style.display = 'none';
+  }
+
+  getArrayOptions() {
+    const number = (id, fallback = 0) => {
+      const value = parseFloat(document.getElementById(id).value);
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const convention = this.document.mat.angleConvention;
+    return {
+      mode: document.getElementById('array-mode').value,
+      count: Math.max(1, Math.min(200, Math.round(number('array-count', 1)))),
+      tag: document.getElementById('array-tag').value.trim(),
+      step: { x: number('array-step-x'), y: number('array-step-y') },
+      center: { x: number('array-center-x'), y: number('array-center-y') },
+      // The dialog's angle step turns in the mat's convention
+      angleStep: fromConventionRotation(number('array-angle'), convention),
+      rotateCopies: document.getElementById('array-rotate').checked,
+      path: this.document.getElementById(document.getElementById('array-path-element').value),
+      spacing: Math.max(0, number('array-spacing')),
+      alignToPath: document.getElementById('array-align').checked
+    };
+  }
+
+  // The copies for the dialog's settings, or an error message
+  planArray() {
+    const options = this.getArrayOptions();
+    if (options.mode === 'path' && !options.path) {
+      return { error: 'Pick a line, curve or arc to follow' };
+    }
+    const copies = this.document.planArray(this.document.getSelectedElements(), options);
+    if (copies.length === 0) {
+      return { error: 'Nothing to create' };
+    }
+    const ids = copies.map(copy => copy.id);
+    const clash = ids.find((id, i) => this.document.getElementById(id) || ids.indexOf(id) !== i);
+    if (clash) {
+      return { error: `ID ${clash} is already in use; choose another tag` };
+    }
+    return { options, copies };
+  }
+
+  updateArraySummary() {
+    const mode = document.getElementById('array-mode').value;
+    for (const section of ['linear', 'radial', 'path']) {
+      document.getElementById(`array-${section}`).style.display = section === mode ? 'block' : 'none';
+    }
+
+    const { copies, error } = this.planArray();
+    document.getElementById('btn-array-create').disabled = Boolean(error);
+    document.getElementById('array-summary').textContent = error ??
+      `${copies.length} new element${copies.length !== 1 ? 's' : ''}: ${copies[0].id}` +
+      (copies.length > 1 ? ` … ${copies[copies.length - 1].id}` : '');
+  }
+
+  createArray() {
+    const { options, error } = this.planArray();
+    if (error) return;
+    const selected = this.document.getSelectedElements();
+    const created = this.recordChange(`Array ${this.describeSelection()}`, () =>
+      this.document.createArray(selected, options));
+    this.closeArrayDialog();
+    this.setSelection([...selected.map(e => e.id), ...created.map(e => e.id)]);
+    this.updateElementsList();
+    this.updateStatus(`Created ${created.length} copies`);
+  }
+
   addElement(type) {
     // Center the new element in view
     const cx = this.document.mat.width_cm / 2;
@@ -1471,6 +2662,20 @@ class MatLayoutEditor {
       case 'line':
         props = { from_cm: { x: 5, y: cy }, to_cm: { x: this.document.mat.width_cm - 5, y: cy } };
         break;
+      case 'curve': {
+        // A gentle S-bend across the mat, like a double-breaking putt
+        const w = this.document.mat.width_cm;
+        props = {
+          curveType: 'cubic',
+          points_cm: [
+            { x: cx, y: cy + 40 },
+            { x: cx + w * 0.3, y: cy + 15 },
+            { x: cx - w * 0.3, y: cy - 15 },
+            { x: cx, y: cy - 40 }
+          ]
+        };
+        break;
+      }
       case 'arc':
         props = { center_cm: { x: cx, y: 50 }, radius_cm: 50, startAngle: 200, endAngle: 340 };
         break;
@@ -1488,14 +2693,155 @@ class MatLayoutEditor {
         break;
     }
 
-    const element = this.document.createElement(type, props);
+    const element = this.recordChange(`Add ${type}`, () => this.document.createElement(type, props));
     this.selectElement(element.id);
     this.updateElementsList();
     this.updateStatus(`Added ${type} element`);
   }
 
+  addDrawingPoint(point, e) {
+    const { type, points } = this.drawing;
+
+    // Second click of a double-click, or a click on the first vertex, finishes
+    const closesPolygon = type === 'polygon' && points.length >= 3 && e.target.closest('.drawing-vertex.first');
+    if (e.detail > 1 || closesPolygon) {
+      this.finishDrawing();
+      return;
+    }
+
+    const snapped = this.snapCanvasPoint(point, e.ctrlKey);
+    points.push({ x: snapped.x, y: snapped.y });
+    this.renderer.renderDrawing(this.drawing);
+  }
+
+  finishDrawing() {
+    const { type, points } = this.drawing;
+    const minimum = type === 'polygon' ? 3 : 2;
+    if (points.length < minimum) {
+      this.updateStatus(`A ${type} needs at least ${minimum} vertices`);
+      return;
+    }
+
+    this.drawing = null;
+    const element = this.recordChange(`Add ${type}`, () => this.document.createElement(type, { points_cm: points }));
+    this.setTool('select');
+    this.selectElement(element.id);
+    this.updateStatus(`Added ${type} with ${points.length} vertices`);
+  }
+
+  cancelDrawing() {
+    if (!this.drawing) return;
+    this.drawing = null;
+    this.renderer.clearDrawing();
+  }
+
+  // =====================================================
+  // Measuring
+  // =====================================================
+
+  addMeasurePoint(point) {
+    const { points } = this.measure;
+    // Clicking after a finished angle starts over
+    if (points.length === 3) points.length = 0;
+    points.push(point);
+    this.updateMeasure();
+  }
+
+  /**
+   * The dimension the measurement so far would become, as createElement
+   * props plus its type, or null before two points. Three points measure
+   * the angle at the second; two measure a radius when they run from a
+   * circle, arc or sector center out to its edge, otherwise a distance.
+   */
+  measuredDimension() {
+    const { points, cursor } = this.measure;
+    const picked = cursor && points.length > 0 && points.length < 3 ? [...points, cursor] : points;
+    const at = (p) => ({ x: p.x, y: p.y });
+
+    if (picked.length === 3) {
+      return { type: 'dimension', kind: 'angular', from_cm: at(picked[0]), center_cm: at(picked[1]), to_cm: at(picked[2]) };
+    }
+    if (picked.length < 2) return null;
+
+    const [a, b] = picked;
+    const tolerance = Math.max(0.5, this.snapSettings.tolerancePx * this.renderer.cmPerPixel());
+    const isRadius = a.role === 'center' &&
+      [a.element.radius_cm, a.element.innerRadius_cm, a.element.outerRadius_cm]
+        .some(r => r > 0 && Math.abs(distance(a, b) - r) <= tolerance);
+    return isRadius
+      ? { type: 'dimension', kind: 'radial', center_cm: at(a), to_cm: at(b) }
+      : { type: 'dimension', kind: 'linear', from_cm: at(a), to_cm: at(b) };
+  }
+
+  // Redraw the measurement and read it out in the status bar
+  updateMeasure() {
+    const dimension = this.measuredDimension();
+    this.renderer.renderMeasure(dimension, this.measure.points, this.measure.cursor);
+
+    if (!dimension) {
+      this.updateStatus('Measure: click a point to measure from (snaps to element points; Ctrl for exact)');
+    } else if (dimension.kind === 'angular') {
+      this.updateStatus(`Angle ${dimensionLabel(dimension)}` +
+        (this.measure.points.length === 3 ? ' - Enter keeps it as a dimension, click to start over' : ''));
+    } else {
+      const from = dimension.from_cm ?? dimension.center_cm;
+      const to = dimension.to_cm;
+      const direction = toConventionAngle(angleTo(from, to), this.document.mat.angleConvention);
+      this.updateStatus(`${dimension.kind === 'radial' ? 'Radius' : 'Distance'} ${distance(from, to).toFixed(1)} cm ` +
+        `(dx ${(to.x - from.x).toFixed(1)}, dy ${(to.y - from.y).toFixed(1)}, direction ${direction.toFixed(1)}°)` +
+        ' - click a third point for the angle, Enter keeps it as a dimension');
+    }
+  }
+
+  // Keep the picked points (not the cursor) as a dimension annotation
+  keepMeasurement() {
+    if (this.measure.points.length < 2) {
+      this.updateStatus('Pick at least two points to keep a measurement');
+      return;
+    }
+    this.measure.cursor = null;
+    const { type, ...props } = this.measuredDimension();
+    const element = this.recordChange(`Add ${props.kind} dimension`, () => this.document.createElement(type, props));
+    this.measure.points = [];
+    this.render();
+    this.updateElementsList();
+    this.updateStatus(`Added ${props.kind} dimension ${dimensionLabel(element)}`);
+  }
+
+  // Delete the selected polygon vertex (Alt+click, Delete key or panel button)
+  deleteActiveVertex() {
+    const element = this.document.getElementById(this.document.selectedId);
+    const index = this.renderer.activeVertex;
+    if (!element?.points_cm || index === null || index >= element.points_cm.length) return;
+
+    const deleted = this.recordChange(`Delete vertex of ${element.id}`, () => {
+      const ok = this.document.deleteVertex(element, index);
+      if (ok) this.document.dirty = true;
+      return ok;
+    });
+    if (!deleted) {
+      this.updateStatus(`A ${element.type} needs at least ${element.type === 'polygon' ? 3 : 2} vertices`);
+      return;
+    }
+    this.renderer.activeVertex = null;
+    this.render();
+    this.updatePropertyPanel();
+  }
+
   selectElement(id) {
-    this.document.selectedId = id;
+    this.setSelection(id ? [id] : []);
+  }
+
+  setSelection(ids) {
+    this.document.selectedIds = [...ids];
+    this.renderer.activeVertex = null;
+    this.render();
+    this.updatePropertyPanel();
+    this.updateElementsList();
+  }
+
+  toggleSelection(id) {
+    this.document.toggleSelection(id);
     this.render();
     this.updatePropertyPanel();
     this.updateElementsList();
@@ -1505,12 +2851,53 @@ class MatLayoutEditor {
     const svg = document.getElementById('canvas');
     const point = this.renderer.screenToSVG(e.clientX, e.clientY);
 
+    if (this.drawing && e.button === 0) {
+      this.addDrawingPoint(point, e);
+      return;
+    }
+
+    if (this.measure && e.button === 0) {
+      this.addMeasurePoint(this.snapCanvasPoint(point, e.ctrlKey));
+      return;
+    }
+
+    if (this.currentTool === 'simulate' && e.button === 0) {
+      this.addProbe(point);
+      return;
+    }
+
     // Check if clicking on a handle
     const handle = e.target.closest('.selection-handle');
     if (handle) {
+      const type = handle.getAttribute('data-handle');
+      if (type.startsWith('vertex-') && e.altKey) {
+        this.renderer.activeVertex = parseInt(type.slice('vertex-'.length), 10);
+        this.deleteActiveVertex();
+        return;
+      }
+
       this.isDragging = true;
-      this.dragHandle = handle.getAttribute('data-handle');
+      this.dragHandle = type;
       this.dragStart = point;
+      const isRotate = type === 'rotate' || type === 'group-rotate';
+      if (isRotate || type.startsWith('group-')) {
+        this.beginGroupDrag(point);
+      }
+      const action = isRotate ? 'Rotate' : type.startsWith('group-') ? 'Scale' : 'Drag';
+      this.history.begin(this.document, `${action} ${this.describeSelection()}`);
+      this.symmetryPairs = this.beginSymmetry();
+
+      // Dragging an edge midpoint inserts a vertex there and drags it
+      if (type.startsWith('insert-')) {
+        const element = this.document.getElementById(this.document.selectedId);
+        const index = this.document.insertVertex(element, parseInt(type.slice('insert-'.length), 10));
+        this.dragHandle = `vertex-${index}`;
+      }
+      if (this.dragHandle.startsWith('vertex-')) {
+        this.renderer.activeVertex = parseInt(this.dragHandle.slice('vertex-'.length), 10);
+        this.render();
+        this.updatePropertyPanel();
+      }
       return;
     }
 
@@ -1523,14 +2910,49 @@ class MatLayoutEditor {
       const element = e.target.closest('.element');
       if (element) {
         const id = element.getAttribute('data-id');
-        this.selectElement(id);
+        if (e.shiftKey) {
+          this.toggleSelection(id);
+          if (!this.document.isSelected(id)) return;
+        } else if (!this.document.isSelected(id)) {
+          this.selectElement(id);
+        }
+        if (this.document.getSelectedElements().some(el => this.document.isElementLocked(el))) {
+          this.updateStatus('Selection includes locked elements');
+          return;
+        }
         this.isDragging = true;
         this.dragHandle = 'move';
         this.dragStart = point;
+        this.beginGroupDrag(point);
+        this.history.begin(this.document, `Move ${this.describeSelection()}`);
+        this.symmetryPairs = this.beginSymmetry();
+      } else {
+        // Empty canvas: start a rubber-band selection
+        this.marqueeStart = { x: point.x, y: point.y, additive: e.shiftKey, screenX: e.clientX, screenY: e.clientY };
       }
     }
   }
 
+  // Moves, group transforms and rotation are applied from a snapshot taken
+  // at drag start so that snapping, scaling and rotation never accumulate
+  // rounding errors
+  beginGroupDrag(point) {
+    const selected = this.document.getSelectedElements();
+    const bounds = this.document.getSelectionBounds();
+    // A lone element with a center snaps that to the grid, anything else its top-left
+    const anchor = selected.length === 1 && selected[0].center_cm
+      ? { ...selected[0].center_cm }
+      : { x: bounds.minX, y: bounds.minY };
+    this.dragOrigin = { x: point.x, y: point.y };
+    this.dragSnapshot = {
+      elements: JSON.parse(JSON.stringify(selected)),
+      bounds,
+      anchor,
+      points: selected.flatMap(element => this.document.getSnapPoints(element)),
+      pivot: this.document.getRotationPivot(selected)
+    };
+  }
+
   onCanvasMouseMove(e) {
     const point = this.renderer.screenToSVG(e.clientX, e.clientY);
 
@@ -1538,13 +2960,31 @@ class MatLayoutEditor {
     document.getElementById('cursor-pos').textContent =
       `X: ${point.x.toFixed(1)} cm, Y: ${point.y.toFixed(1)} cm`;
 
+    if (this.drawing) {
+      const cursor = this.snapCanvasPoint(point, e.ctrlKey);
+      this.renderer.renderDrawing(this.drawing, cursor);
+      this.renderer.renderGuides(cursor.guides);
+      return;
+    }
+
+    if (this.measure && !this.isPanning) {
+      this.measure.cursor = this.snapCanvasPoint(point, e.ctrlKey);
+      this.updateMeasure();
+      this.renderer.renderGuides(this.measure.cursor.guides);
+      return;
+    }
+
     if (this.isPanning) {
       const dx = e.clientX - this.dragStart.x;
       const dy = e.clientY - this.dragStart.y;
       this.renderer.pan(dx, dy);
       this.dragStart = { x: e.clientX, y: e.clientY };
+    } else if (this.isDragging && this.dragSnapshot) {
+      this.handleGroupDrag(point, e.ctrlKey);
     } else if (this.isDragging && this.document.selectedId) {
       this.handleDrag(point, e.ctrlKey);
+    } else if (this.marqueeStart) {
+      this.renderer.renderMarquee(this.marqueeStart, point);
     }
   }
 
@@ -1560,102 +3000,153 @@ class MatLayoutEditor {
       this.isDragging = false;
       this.dragHandle = null;
       this.dragStart = null;
+      this.dragOrigin = null;
+      this.dragSnapshot = null;
+      this.history.commit(this.document);
+      this.updateHistoryUI();
+      // Symmetry may have added twins
+      if (this.symmetryPairs) this.updateElementsList();
+      this.symmetryPairs = null;
+      if (this.renderer.guides) {
+        this.renderer.guides = null;
+        this.render();
+      }
+    }
+
+    if (this.marqueeStart) {
+      this.finishMarquee(e);
     }
   }
 
-  handleDrag(point, isCtrlPressed) {
-    if (!this.dragStart) return;
+  finishMarquee(e) {
+    const start = this.marqueeStart;
+    this.marqueeStart = null;
+    this.renderer.clearMarquee();
 
-    const dx = point.x - this.dragStart.x;
-    const dy = point.y - this.dragStart.y;
-    const element = this.document.getElementById(this.document.selectedId);
-    if (!element) return;
+    // A click without movement on empty canvas clears the selection
+    const moved = Math.hypot(e.clientX - start.screenX, e.clientY - start.screenY) > 3;
+    if (!moved) {
+      if (!start.additive) this.setSelection([]);
+      return;
+    }
 
-    // Grid Snapping Helper
-    const snap = (val) => {
-      if (this.snapToGrid && !isCtrlPressed) {
-        return Math.round(val / this.gridSize) * this.gridSize;
-      }
-      return val;
+    const end = this.renderer.screenToSVG(e.clientX, e.clientY);
+    const box = {
+      minX: Math.min(start.x, end.x),
+      minY: Math.min(start.y, end.y),
+      maxX: Math.max(start.x, end.x),
+      maxY: Math.max(start.y, end.y)
     };
 
-    // For handles, snap the input point itself if enabled
-    if (this.snapToGrid && !isCtrlPressed && this.dragHandle !== 'move') {
-      point.x = snap(point.x);
-      point.y = snap(point.y);
+    const hits = this.getPickableElements()
+      .filter(element => {
+        const b = this.document.getElementBounds(element);
+        return b && b.minX <= box.maxX && b.maxX >= box.minX && b.minY <= box.maxY && b.maxY >= box.minY;
+      })
+      .map(element => element.id);
+
+    const ids = start.additive
+      ? [...this.document.selectedIds, ...hits.filter(id => !this.document.isSelected(id))]
+      : hits;
+    this.setSelection(ids);
+    this.updateStatus(`${ids.length} element${ids.length !== 1 ? 's' : ''} selected`);
+  }
+
+  handleGroupDrag(point, isCtrlPressed) {
+    const { elements: originals, bounds } = this.dragSnapshot;
+    const grid = this.snapToGrid && !isCtrlPressed ? this.gridSize : 0;
+    const snap = (val) => snapToStep(val, grid);
+    this.renderer.guides = null;
+
+    // Restore every selected element from the snapshot, then re-apply the
+    // full transform for this frame
+    const restore = () => originals.map(original => {
+      const element = this.document.getElementById(original.id);
+      Object.assign(element, JSON.parse(JSON.stringify(original)));
+      return element;
+    });
+
+    if (this.dragHandle === 'move') {
+      // Snap the selection as a whole, then move everything by the same delta
+      const { dx, dy, guides } = snapMove(this.document, this.dragSnapshot,
+        point.x - this.dragOrigin.x, point.y - this.dragOrigin.y,
+        this.snapOptions(isCtrlPressed, originals.map(original => original.id)));
+      for (const element of restore()) {
+        this.document.translateElement(element, dx, dy);
+      }
+      this.renderer.guides = guides;
+    } else if (this.dragHandle === 'rotate' || this.dragHandle === 'group-rotate') {
+      // Rotate by the angle swept around the pivot since drag start,
+      // in 15° steps while snapping
+      const { pivot } = this.dragSnapshot;
+      let delta = angleTo(pivot, point) - angleTo(pivot, this.dragOrigin);
+      delta = grid ? snapToStep(delta, 15) : Math.round(delta);
+      for (const element of restore()) {
+        this.document.rotateElement(element, pivot, delta);
+      }
+      this.updateStatus(`Rotate ${delta}°`);
+    } else {
+      // Scale uniformly about the corner opposite the dragged handle
+      const anchor = {
+        x: this.dragHandle.endsWith('w') ? bounds.maxX : bounds.minX,
+        y: this.dragHandle.includes('-n') ? bounds.maxY : bounds.minY
+      };
+      const startDist = distance(anchor, this.dragOrigin);
+      const dist = distance(anchor, { x: snap(point.x), y: snap(point.y) });
+      if (startDist === 0) return;
+      const factor = Math.max(0.05, dist / startDist);
+      for (const element of restore()) {
+        this.document.scaleElement(element, anchor, factor);
+      }
     }
 
-    switch (this.dragHandle) {
-      case 'move':
-      case 'center':
-        if (element.center_cm) {
-          let newX = element.center_cm.x + dx;
-          let newY = element.center_cm.y + dy;
+    this.syncSymmetry(this.symmetryPairs);
+    this.document.dirty = true;
+    this.render();
+    this.updatePropertyPanel();
+  }
 
-          if (this.snapToGrid && !isCtrlPressed) {
-            newX = snap(newX);
-            newY = snap(newY);
-          }
+  handleDrag(point, isCtrlPressed) {
+    if (!this.dragStart) return;
 
-          // Existing Object Snap Logic (keep it, but maybe apply after?)
-          const objSnap = this.findSnapTarget('center', { x: newX, y: newY });
-          if (objSnap.snapped) {
-            newX = objSnap.x;
-            newY = objSnap.y;
-          }
+    const element = this.document.getElementById(this.document.selectedId);
+    if (!element) return;
 
-          element.center_cm.x = newX;
-          element.center_cm.y = newY;
-        } else if (element.x0_cm !== undefined) {
-          // Rect move
-          // Calculate new pos
-          let w = element.x1_cm - element.x0_cm;
-          let h = element.y1_cm - element.y0_cm;
-          let newX0 = element.x0_cm + dx;
-          let newY0 = element.y0_cm + dy;
-
-          if (this.snapToGrid && !isCtrlPressed) {
-            newX0 = snap(newX0);
-            newY0 = snap(newY0);
-          }
+    // Handles land on key points, outlines, alignment guides or the grid,
+    // but never on the element being edited; radii snap separately below
+    const raw = point;
+    const options = this.snapOptions(isCtrlPressed, [element.id]);
+    const snapped = snapPoint(this.document, raw, options);
+    point = { x: snapped.x, y: snapped.y };
+    this.renderer.guides = snapped.guides;
 
-          element.x0_cm = newX0;
-          element.y0_cm = newY0;
-          element.x1_cm = newX0 + w;
-          element.y1_cm = newY0 + h;
-        } else if (element.from_cm) {
-          element.from_cm.x += dx;
-          element.from_cm.y += dy;
-          element.to_cm.x += dx;
-          element.to_cm.y += dy;
-        }
-        else if (element.position_cm) {
-          let newX = element.position_cm.x + dx;
-          let newY = element.position_cm.y + dy;
-          if (this.snapToGrid && !isCtrlPressed) {
-            newX = snap(newX);
-            newY = snap(newY);
-          }
-          element.position_cm.x = newX;
-          element.position_cm.y = newY;
+    switch (this.dragHandle) {
+      case 'center':
+        if (element.center_cm) {
+          element.center_cm.x = point.x;
+          element.center_cm.y = point.y;
         }
         break;
 
       case 'corner-se':
-        element.x1_cm = point.x;
-        element.y1_cm = point.y;
-        break;
       case 'corner-nw':
-        element.x0_cm = point.x;
-        element.y0_cm = point.y;
-        break;
       case 'corner-ne':
-        element.x1_cm = point.x;
-        element.y0_cm = point.y;
+      case 'corner-sw': {
+        // Resize in the rect's own frame; pin an implicit pivot first so the
+        // rotation center does not drift with the box
+        if (element.rotation && !element.pivot_cm) {
+          element.pivot_cm = this.document.getRectPivot(element);
+        }
+        const local = this.document.toRectLocal(element, point);
+        if (this.dragHandle.endsWith('e')) element.x1_cm = local.x;
+        else element.x0_cm = local.x;
+        if (this.dragHandle.includes('-s')) element.y1_cm = local.y;
+        else element.y0_cm = local.y;
         break;
-      case 'corner-sw':
-        element.x0_cm = point.x;
-        element.y1_cm = point.y;
+      }
+
+      case 'pivot':
+        this.document.setRectPivot(element, point);
         break;
 
       case 'radius':
@@ -1680,35 +3171,25 @@ class MatLayoutEditor {
 
       case 'radius-inner':
         if (element.innerRadius_cm !== undefined) {
-          let r = Math.abs(Math.hypot(point.x - element.center_cm.x, point.y - element.center_cm.y));
-          const snap = this.findSnapTarget('radius', r);
-          if (snap.snapped) r = snap.val;
-          element.innerRadius_cm = Math.max(0, r);
+          element.innerRadius_cm = Math.max(0, this.snapDraggedRadius(element, raw, options));
         }
         break;
 
       case 'radius-outer':
         if (element.outerRadius_cm !== undefined) {
-          let r = Math.abs(Math.hypot(point.x - element.center_cm.x, point.y - element.center_cm.y));
-          const snap = this.findSnapTarget('radius', r);
-          if (snap.snapped) r = snap.val;
-          element.outerRadius_cm = Math.max((element.innerRadius_cm || 0) + 1, r);
+          element.outerRadius_cm = Math.max((element.innerRadius_cm || 0) + 1, this.snapDraggedRadius(element, raw, options));
         }
         break;
 
       case 'angle-start':
         if (element.startAngle !== undefined) {
-          let angle = Math.atan2(point.y - element.center_cm.y, point.x - element.center_cm.x) * 180 / Math.PI;
-          if (angle < 0) angle += 360;
-          element.startAngle = Math.round(angle);
+          element.startAngle = Math.round(normalizeAngle(angleTo(element.center_cm, point)));
         }
         break;
 
       case 'angle-end':
         if (element.endAngle !== undefined) {
-          let angle = Math.atan2(point.y - element.center_cm.y, point.x - element.center_cm.x) * 180 / Math.PI;
-          if (angle < 0) angle += 360;
-          element.endAngle = Math.round(angle);
+          element.endAngle = Math.round(normalizeAngle(angleTo(element.center_cm, point)));
         }
         break;
 
@@ -1718,70 +3199,49 @@ class MatLayoutEditor {
           element.position_cm.y = point.y;
         }
         break;
+
+      default:
+        if (this.dragHandle.startsWith('vertex-') && element.points_cm) {
+          const vertex = element.points_cm[parseInt(this.dragHandle.slice('vertex-'.length), 10)];
+          vertex.x = point.x;
+          vertex.y = point.y;
+        }
+        break;
     }
 
     this.dragStart = point;
+    this.syncSymmetry(this.symmetryPairs);
     this.document.dirty = true;
     this.render();
     this.updatePropertyPanel();
   }
 
-  findSnapTarget(type, value, threshold = 2) {
-    const currentId = this.document.selectedId;
-    const currentElem = this.document.getElementById(currentId);
-
-    // Snap Center
-    if (type === 'center') {
-      const snapDist = threshold;
-
-      for (const elem of this.document.elements) {
-        if (elem.id === currentId) continue;
-        if (!elem.center_cm && !elem.position_cm) continue;
-
-        const target = elem.center_cm || elem.position_cm;
-        const dx = Math.abs(target.x - value.x);
-        const dy = Math.abs(target.y - value.y);
-
-        if (dx < snapDist && dy < snapDist) {
-          return { x: target.x, y: target.y, snapped: true };
-        }
-      }
-    }
-
-    // Snap Radius (matches Inner OR Outer of other sectors with SAME center)
-    if (type === 'radius') {
-      if (!currentElem.center_cm) return { val: value, snapped: false };
-
-      const snapDist = 1; // 1cm threshold
-
-      for (const elem of this.document.elements) {
-        if (elem.id === currentId) continue;
-        if (elem.type !== 'sector') continue;
-
-        // Only snap if centers are very close (effectively same)
-        const dx = Math.abs(elem.center_cm.x - currentElem.center_cm.x);
-        const dy = Math.abs(elem.center_cm.y - currentElem.center_cm.y);
-
-        if (dx < 0.1 && dy < 0.1) {
-          // Check inner radius
-          if (Math.abs(elem.innerRadius_cm - value) < snapDist) {
-            return { val: elem.innerRadius_cm, snapped: true };
-          }
-          // Check outer radius
-          if (Math.abs(elem.outerRadius_cm - value) < snapDist) {
-            return { val: elem.outerRadius_cm, snapped: true };
-          }
-        }
-      }
-    }
-
-    return { ...value, snapped: false };
+  // A ring radius dragged out to `point`: matched to a concentric ring, else the grid
+  snapDraggedRadius(element, point, options) {
+    const r = distance(element.center_cm, point);
+    const match = snapRadius(this.document, element, r, options);
+    this.renderer.guides = match?.guides ?? null;
+    return match ? match.radius : snapToStep(r, options.grid);
   }
 
   updatePropertyPanel() {
     const matProps = document.getElementById('mat-properties');
     const elemProps = document.getElementById('element-properties');
 
+    if (this.document.selectedIds.length > 1) {
+      this.updateGroupPropertyPanel();
+      return;
+    }
+
+    document.getElementById('elem-props-title').textContent = 'Element Properties';
+    document.getElementById('single-element-props').style.display = 'block';
+    document.getElementById('group-props').style.display = 'none';
+    document.getElementById('fill-row').classList.remove('mixed');
+    document.getElementById('stroke-row').classList.remove('mixed');
+    document.getElementById('elem-fill-none').indeterminate = false;
+    document.getElementById('elem-stroke-none').indeterminate = false;
+    document.getElementById('elem-stroke-width').placeholder = '';
+
     if (!this.document.selectedId) {
       matProps.style.display = 'block';
       elemProps.style.display = 'none';
@@ -1790,6 +3250,7 @@ class MatLayoutEditor {
       document.getElementById('mat-width').value = this.document.mat.width_cm;
       document.getElementById('mat-length').value = this.document.mat.length_cm;
       document.getElementById('mat-color').value = this.document.mat.color;
+      document.getElementById('mat-angle-convention').value = this.document.mat.angleConvention;
       return;
     }
 
@@ -1798,6 +3259,7 @@ class MatLayoutEditor {
 
     const element = this.document.getElementById(this.document.selectedId);
     if (!element) return;
+    const convention = this.document.mat.angleConvention; // Angles below read in it
 
     document.getElementById('elem-id').value = element.id;
     document.getElementById('elem-type').value = element.type;
@@ -1810,15 +3272,58 @@ class MatLayoutEditor {
     document.getElementById('arc-props').style.display = 'none';
     document.getElementById('text-props').style.display = 'none';
     document.getElementById('sector-props').style.display = 'none';
+    document.getElementById('poly-props').style.display = 'none';
+    document.getElementById('curve-props').style.display = 'none';
+    document.getElementById('dimension-props').style.display = 'none';
+    document.getElementById('vertex-props').style.display = element.points_cm ? 'block' : 'none';
+
+    if (element.points_cm) {
+      const select = document.getElementById('elem-vertex');
+      select.innerHTML = '';
+      element.points_cm.forEach((p, i) => {
+        const option = document.createElement('option');
+        option.value = i;
+        option.textContent = `${i + 1} of ${element.points_cm.length}`;
+        select.appendChild(option);
+      });
+      const index = Math.min(this.renderer.activeVertex ?? 0, element.points_cm.length - 1);
+      select.value = index;
+      document.getElementById('elem-vertex-x').value = element.points_cm[index]?.x.toFixed(1) ?? 0;
+      document.getElementById('elem-vertex-y').value = element.points_cm[index]?.y.toFixed(1) ?? 0;
+
+      // Bezier curves have a fixed number of points
+      const editable = element.type !== 'curve' || element.curveType === 'spline';
+      document.getElementById('vertex-actions').style.display = editable ? 'flex' : 'none';
+    }
 
     // Show relevant props
     switch (element.type) {
+      case 'polygon':
+      case 'polyline':
+        document.getElementById('poly-props').style.display = 'block';
+        document.getElementById('elem-poly-closed').checked = element.type === 'polygon';
+        break;
+
+      case 'curve':
+        document.getElementById('curve-props').style.display = 'block';
+        document.getElementById('elem-curve-type').value = element.curveType;
+        document.getElementById('elem-curve-style').value = element.lineStyle || 'solid';
+        document.getElementById('elem-curve-length').value = curveLength(element).toFixed(1);
+        break;
+
       case 'rect':
         document.getElementById('rect-props').style.display = 'block';
         document.getElementById('elem-x0').value = element.x0_cm?.toFixed(1) || 0;
         document.getElementById('elem-y0').value = element.y0_cm?.toFixed(1) || 0;
         document.getElementById('elem-x1').value = element.x1_cm?.toFixed(1) || 0;
         document.getElementById('elem-y1').value = element.y1_cm?.toFixed(1) || 0;
+        document.getElementById('elem-rect-rotation').value =
+          parseFloat(toConventionRotation(element.rotation || 0, convention).toFixed(1));
+        {
+          const pivot = this.document.getRectPivot(element);
+          document.getElementById('elem-rect-pivot-x').value = pivot.x.toFixed(1);
+          document.getElementById('elem-rect-pivot-y').value = pivot.y.toFixed(1);
+        }
         break;
 
       case 'circle':
@@ -1839,11 +3344,9 @@ class MatLayoutEditor {
         // Line Style & Angle
         document.getElementById('elem-line-style').value = element.lineStyle || 'solid';
 
-        const dx = element.to_cm.x - element.from_cm.x;
-        const dy = element.to_cm.y - element.from_cm.y;
-        let angle = Math.atan2(dy, dx) * 180 / Math.PI;
-        // Normalize angle presentation if needed, but raw +/- 180 is often fine for engineering
-        document.getElementById('elem-line-angle').value = angle.toFixed(1);
+        // Screen angles stay raw +/- 180, which is often fine for engineering
+        document.getElementById('elem-line-angle').value =
+          toConventionAngle(angleTo(element.from_cm, element.to_cm), convention).toFixed(1);
         break;
 
       case 'arc':
@@ -1851,8 +3354,12 @@ class MatLayoutEditor {
         document.getElementById('elem-acx').value = element.center_cm?.x?.toFixed(1) || 0;
         document.getElementById('elem-acy').value = element.center_cm?.y?.toFixed(1) || 0;
         document.getElementById('elem-arc-radius').value = element.radius_cm?.toFixed(1) || 1;
-        document.getElementById('elem-arc-start').value = element.startAngle || 0;
-        document.getElementById('elem-arc-end').value = element.endAngle || 360;
+        {
+          const { start, end } = sweepToConvention(element.startAngle || 0, element.endAngle ?? 360, convention);
+          document.getElementById('elem-arc-start').value = start;
+          document.getElementById('elem-arc-end').value = end;
+        }
+        document.getElementById('elem-arc-sweep').value = sweepOf(element.startAngle || 0, element.endAngle ?? 360);
         break;
 
       case 'text':
@@ -1860,7 +3367,7 @@ class MatLayoutEditor {
         document.getElementById('elem-text-x').value = element.position_cm?.x?.toFixed(1) || 0;
         document.getElementById('elem-text-y').value = element.position_cm?.y?.toFixed(1) || 0;
         document.getElementById('elem-text-content').value = element.text || 'Label';
-        document.getElementById('elem-text-rotation').value = element.rotation || 0;
+        document.getElementById('elem-text-rotation').value = toConventionRotation(element.rotation || 0, convention);
         document.getElementById('elem-text-font').value = element.fontFamily || 'Inter';
         document.getElementById('elem-text-size').value = element.fontSize || 3;
         document.getElementById('elem-text-style').value = element.fontStyle || 'normal';
@@ -1872,9 +3379,37 @@ class MatLayoutEditor {
         document.getElementById('elem-sector-y').value = element.center_cm?.y?.toFixed(1) || 0;
         document.getElementById('elem-sector-inner').value = element.innerRadius_cm?.toFixed(1) || 0;
         document.getElementById('elem-sector-outer').value = element.outerRadius_cm?.toFixed(1) || 0;
-        document.getElementById('elem-sector-start').value = element.startAngle || 0;
-        document.getElementById('elem-sector-end').value = element.endAngle || 0;
+        {
+          const { start, end } = sweepToConvention(element.startAngle || 0, element.endAngle || 0, convention);
+          document.getElementById('elem-sector-start').value = start;
+          document.getElementById('elem-sector-end').value = end;
+        }
+        document.getElementById('elem-sector-sweep').value = sweepOf(element.startAngle || 0, element.endAngle || 0);
         break;
+
+      case 'dimension':
+        document.getElementById('dimension-props').style.display = 'block';
+        document.getElementById('elem-dim-kind').value = { linear: 'Distance', radial: 'Radius', angular: 'Angle' }[element.kind];
+        document.getElementById('elem-dim-value').value = dimensionLabel(element);
+        // Radial dimensions have no offset; angular ones use it as the arc radius
+        document.getElementById('dim-offset-field').style.visibility = element.kind === 'radial' ? 'hidden' : 'visible';
+        document.getElementById('elem-dim-offset-label').textContent =
+          element.kind === 'angular' ? 'Arc Radius (cm, 0 = auto)' : 'Offset (cm)';
+        document.getElementById('elem-dim-offset').value = element.offset_cm || 0;
+        document.getElementById('elem-dim-size').value = element.fontSize || 2.5;
+        break;
+    }
+
+    // Scoring
+    document.getElementById('scoring-props').style.display = isScorable(element) ? 'block' : 'none';
+    if (isScorable(element)) {
+      const scoring = element.scoring;
+      document.getElementById('elem-zone-enabled').checked = Boolean(scoring);
+      document.getElementById('zone-fields').style.display = scoring ? 'block' : 'none';
+      document.getElementById('elem-zone-role').value = scoring?.role ?? 'target';
+      document.getElementById('elem-zone-score').value = scoring?.score ?? 0;
+      document.getElementById('elem-zone-priority').value = scoring?.priority ?? 0;
+      document.getElementById('elem-zone-tags').value = scoring?.tags.join(', ') ?? '';
     }
 
     // Style
@@ -1888,27 +3423,300 @@ class MatLayoutEditor {
     document.getElementById('stroke-width-row').style.display = stroke === 'none' ? 'none' : 'block';
   }
 
+  // Shared style fields for a multi-selection; fields that differ are flagged as mixed
+  updateGroupPropertyPanel() {
+    const selected = this.document.getSelectedElements();
+    document.getElementById('mat-properties').style.display = 'none';
+    document.getElementById('element-properties').style.display = 'block';
+    document.getElementById('elem-props-title').textContent = `${selected.length} Elements Selected`;
+    document.getElementById('single-element-props').style.display = 'none';
+    document.getElementById('group-props').style.display = 'block';
+
+    const unique = (key) => [...new Set(selected.map(e => e[key] ?? 'none'))];
+    const fills = unique('fill');
+    const strokes = unique('stroke');
+    const widths = [...new Set(selected.map(e => e.strokeWidth || 0))];
+
+    const colorOf = (values, fallback) => {
+      const color = values.find(v => v !== 'none' && !v.startsWith('rgba'));
+      return color || fallback;
+    };
+
+    document.getElementById('elem-fill').value = colorOf(fills, '#4a9eff');
+    document.getElementById('elem-fill-none').checked = fills.length === 1 && fills[0] === 'none';
+    document.getElementById('elem-fill-none').indeterminate = fills.length > 1 && fills.includes('none');
+    document.getElementById('fill-row').classList.toggle('mixed', fills.length > 1);
+
+    document.getElementById('elem-stroke').value = colorOf(strokes, '#ffffff');
+    document.getElementById('elem-stroke-none').checked = strokes.length === 1 && strokes[0] === 'none';
+    document.getElementById('elem-stroke-none').indeterminate = strokes.length > 1 && strokes.includes('none');
+    document.getElementById('stroke-row').classList.toggle('mixed', strokes.length > 1);
+
+    const widthInput = document.getElementById('elem-stroke-width');
+    widthInput.value = widths.length === 1 ? (widths[0] || 1) : '';
+    widthInput.placeholder = widths.length === 1 ? '' : 'Mixed';
+    document.getElementById('stroke-width-row').style.display =
+      strokes.length === 1 && strokes[0] === 'none' ? 'none' : 'block';
+  }
+
+  // =====================================================
+  // Layers
+  // =====================================================
+
+  // Elements that canvas clicks, the marquee and select-all can pick up
+  getPickableElements() {
+    return this.document.elements.filter(element =>
+      !this.document.isElementHidden(element) && !this.document.isElementLocked(element));
+  }
+
+  bindLayers() {
+    document.getElementById('btn-group').addEventListener('click', () => this.groupSelected());
+    document.getElementById('btn-ungroup').addEventListener('click', () => this.ungroupSelected());
+  }
+
+  /**
+   * The layers panel lists elements topmost first. A group's members are
+   * listed under its header, which sits where the topmost member would. Rows
+   * can be dragged to restack elements and to move them in or out of groups.
+   */
   updateElementsList() {
     const list = document.getElementById('elements-list');
     list.innerHTML = '';
 
-    for (const element of this.document.elements) {
-      const item = document.createElement('div');
-      item.className = `element-item ${element.id === this.document.selectedId ? 'selected' : ''}`;
-      item.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          ${this.getElementIcon(element.type)}
-        </svg>
-        <span>${element.id}</span>
-      `;
-      item.addEventListener('click', () => this.selectElement(element.id));
-      list.appendChild(item);
+    const listed = new Set();
+    for (const element of sortByZOrder(this.document.elements).reverse()) {
+      const group = this.document.getGroup(element.group);
+      if (!group) {
+        list.appendChild(this.createElementRow(element));
+        continue;
+      }
+      if (listed.has(group.id)) continue;
+      listed.add(group.id);
+
+      const members = sortByZOrder(this.document.getGroupMembers(group.id)).reverse();
+      list.appendChild(this.createGroupRow(group, members));
+      if (this.collapsedGroups.has(group.id)) continue;
+      for (const member of members) list.appendChild(this.createElementRow(member));
     }
 
+    document.getElementById('btn-ungroup').disabled = !this.document.getSelectedElements().some(e => e.group);
     document.getElementById('element-count').textContent =
       `${this.document.elements.length} element${this.document.elements.length !== 1 ? 's' : ''}`;
   }
 
+  createElementRow(element) {
+    const item = document.createElement('div');
+    item.className = [
+      'element-item',
+      this.document.isSelected(element.id) && 'selected',
+      element.group && 'in-group',
+      this.document.isElementHidden(element) && 'is-hidden',
+      this.document.isElementLocked(element) && 'is-locked'
+    ].filter(Boolean).join(' ');
+    item.innerHTML = `
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        ${this.getElementIcon(element.type)}
+      </svg>
+      <span>${element.id}</span>
+    `;
+    this.appendLayerToggles(item, 'element', element);
+    item.addEventListener('click', (e) => {
+      if (e.shiftKey) {
+        this.toggleSelection(element.id);
+      } else {
+        this.selectElement(element.id);
+      }
+    });
+    this.bindLayerDrag(item, 'element', element.id);
+    return item;
+  }
+
+  // Header row of a group: click selects its members, double-click renames it
+  createGroupRow(group, members) {
+    const collapsed = this.collapsedGroups.has(group.id);
+    const item = document.createElement('div');
+    item.className = [
+      'element-item',
+      'layer-group',
+      members.every(m => this.document.isSelected(m.id)) && 'selected',
+      group.hidden && 'is-hidden',
+      group.locked && 'is-locked'
+    ].filter(Boolean).join(' ');
+    item.innerHTML = `
+      <button class="layer-fold" title="${collapsed ? 'Expand' : 'Collapse'}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="${collapsed ? '9 6 15 12 9 18' : '6 9 12 15 18 9'}" />
+        </svg>
+      </button>
+      <span></span>
+      <small>${members.length}</small>
+    `;
+    item.querySelector('span').textContent = group.name;
+    item.querySelector('.layer-fold').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (collapsed) this.collapsedGroups.delete(group.id);
+      else this.collapsedGroups.add(group.id);
+      this.updateElementsList();
+    });
+    this.appendLayerToggles(item, 'group', group);
+    item.addEventListener('click', (e) => {
+      const ids = members.map(m => m.id);
+      this.setSelection(e.shiftKey ? [...new Set([...this.document.selectedIds, ...ids])] : ids);
+    });
+    item.addEventListener('dblclick', () => this.renameGroup(group.id));
+    this.bindLayerDrag(item, 'group', group.id);
+    return item;
+  }
+
+  // Eye and padlock buttons showing an element's or a group's own flags
+  appendLayerToggles(item, kind, owner) {
+    const icons = {
+      hidden: owner.hidden
+        ? '<path d="M17.94 17.94A10 10 0 0 1 12 20c-7 0-11-8-11-8a18 18 0 0 1 5.06-5.94"/><path d="M9.9 4.24A9 9 0 0 1 12 4c7 0 11 8 11 8a18 18 0 0 1-2.16 3.19"/><line x1="1" y1="1" x2="23" y2="23"/>'
+        : '<path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/><circle cx="12" cy="12" r="3"/>',
+      locked: owner.locked
+        ? '<rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/>'
+        : '<rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 9.9-1"/>'
+    };
+    const titles = { hidden: owner.hidden ? 'Show' : 'Hide', locked: owner.locked ? 'Unlock' : 'Lock' };
+
+    for (const flag of ['hidden', 'locked']) {
+      const button = document.createElement('button');
+      button.className = `layer-toggle ${owner[flag] ? 'active' : ''}`;
+      button.title = titles[flag];
+      button.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${icons[flag]}</svg>`;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleLayerFlag(kind, owner.id, flag);
+      });
+      item.appendChild(button);
+    }
+  }
+
+  toggleLayerFlag(kind, id, flag) {
+    const owner = kind === 'group' ? this.document.getGroup(id) : this.document.getElementById(id);
+    const value = !owner[flag];
+    const verb = flag === 'hidden' ? (value ? 'Hide' : 'Show') : (value ? 'Lock' : 'Unlock');
+    const name = kind === 'group' ? owner.name : id;
+    this.recordChange(`${verb} ${name}`, () => {
+      if (kind === 'group') this.document.updateGroup(id, { [flag]: value });
+      else this.document.updateElement(id, { [flag]: value });
+    });
+
+    // Hidden elements cannot stay selected
+    const visible = this.document.selectedIds.filter(sid => !this.document.isElementHidden(this.document.getElementById(sid)));
+    this.setSelection(visible);
+    this.updateStatus(`${verb} ${name}`);
+  }
+
+  groupSelected() {
+    const selected = this.document.getSelectedElements();
+    if (selected.length === 0) {
+      this.updateStatus('Select the elements to group first');
+      return;
+    }
+    const name = prompt('Group name:', `Group ${this.document.groups.length + 1}`)?.trim();
+    if (!name) return;
+    this.recordChange(`Group ${this.describeSelection()}`, () => this.document.groupElements(selected, name));
+    this.render();
+    this.updateElementsList();
+    this.updateStatus(`Grouped ${selected.length} element${selected.length !== 1 ? 's' : ''} as "${name}"`);
+  }
+
+  // Dissolve every group the selection touches
+  ungroupSelected() {
+    const ids = [...new Set(this.document.getSelectedElements().map(e => e.group).filter(Boolean))];
+    if (ids.length === 0) {
+      this.updateStatus('The selection is not grouped');
+      return;
+    }
+    const names = ids.map(id => this.document.getGroup(id)?.name ?? id).join(', ');
+    this.recordChange(`Ungroup ${names}`, () => ids.forEach(id => this.document.ungroup(id)));
+    this.updateElementsList();
+    this.updateStatus(`Ungrouped ${names}`);
+  }
+
+  renameGroup(id) {
+    const group = this.document.getGroup(id);
+    const name = prompt('Rename group:', group.name)?.trim();
+    if (!name || name === group.name) return;
+    this.recordChange(`Rename ${group.name} to ${name}`, () => this.document.updateGroup(id, { name }));
+    this.updateElementsList();
+  }
+
+  bindLayerDrag(item, kind, id) {
+    item.draggable = true;
+    // The list runs topmost first, so the upper half of a row means above it in the stack
+    const placeOf = (e) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2 ? 'above' : 'below';
+    };
+    const clearMarks = () => item.classList.remove('drop-above', 'drop-below');
+
+    item.addEventListener('dragstart', (e) => {
+      this.layerDrag = { kind, id };
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', id);
+    });
+    item.addEventListener('dragover', (e) => {
+      if (!this.layerDrag) return;
+      e.preventDefault();
+      const place = placeOf(e);
+      item.classList.toggle('drop-above', place === 'above');
+      item.classList.toggle('drop-below', place === 'below');
+    });
+    item.addEventListener('dragleave', clearMarks);
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      clearMarks();
+      if (this.layerDrag) this.dropLayer(this.layerDrag, { kind, id }, placeOf(e));
+      this.layerDrag = null;
+    });
+    item.addEventListener('dragend', () => {
+      this.layerDrag = null;
+    });
+  }
+
+  /**
+   * Restack the dragged row above or below the row it was dropped on.
+   * Dragging an element carries the rest of the selection with it, and the
+   * elements join the group of the row they land next to; dropping just
+   * below a group header puts them at the top of that group. A dragged
+   * group stays whole and is kept clear of other groups.
+   */
+  dropLayer(drag, drop, place) {
+    const doc = this.document;
+    const dragged = doc.getElementById(drag.id);
+    const moving = drag.kind === 'group'
+      ? doc.getGroupMembers(drag.id)
+      : doc.isSelected(drag.id) ? doc.getSelectedElements() : [dragged];
+
+    let target;
+    let group;
+    if (drop.kind === 'group') {
+      const members = sortByZOrder(doc.getGroupMembers(drop.id));
+      target = members[members.length - 1];
+      group = place === 'below' ? drop.id : null;
+      place = 'above';
+    } else {
+      target = doc.getElementById(drop.id);
+      group = target.group ?? null;
+    }
+    if (drag.kind === 'group' && group && group !== drag.id) {
+      const members = sortByZOrder(doc.getGroupMembers(group));
+      target = members[place === 'above' ? members.length - 1 : 0];
+    }
+    if (!target || moving.includes(target)) return;
+
+    const label = drag.kind === 'group' ? doc.getGroup(drag.id).name : moving.length === 1 ? drag.id : `${moving.length} elements`;
+    this.recordChange(`Reorder ${label}`, () => {
+      doc.restackElements(moving, target, place);
+      if (drag.kind === 'element') doc.setElementsGroup(moving, group);
+    });
+    this.render();
+    this.updateElementsList();
+  }
+
   getElementIcon(type) {
     switch (type) {
       case 'rect': return '<rect x="3" y="3" width="18" height="18" rx="2"/>';
@@ -1918,6 +3726,10 @@ class MatLayoutEditor {
       case 'arc': return '<path d="M3 12c0-4.97 4.03-9 9-9"/>';
       case 'sector': return '<path d="M12 21 L12 21 L21 12 A13 13 0 0 0 3 12 L12 12 Z"/>'; // Crude fan shape
       case 'text': return '<path d="M4 7V4h16v3"/><path d="M12 4v16"/><path d="M8 20h8"/>';
+      case 'polygon': return '<path d="M4 8 L12 3 L20 9 L17 20 L6 18 Z"/>';
+      case 'polyline': return '<path d="M3 18 L8 7 L14 15 L21 5"/>';
+      case 'curve': return '<path d="M4 20 C4 10 20 14 20 4"/>';
+      case 'dimension': return '<path d="M3 17 L17 3 L21 7 L7 21 Z"/><path d="M7 13l2 2M10 10l2 2M13 7l2 2"/>';
       default: return '<circle cx="12" cy="12" r="9"/>';
     }
   }
@@ -1932,7 +3744,43 @@ class MatLayoutEditor {
   }
 
   render() {
+    this.updateSimulation();
     this.renderer.render();
+    if (this.drawing) this.renderer.renderDrawing(this.drawing);
+    if (this.measure) this.renderer.renderMeasure(this.measuredDimension(), this.measure.points, this.measure.cursor);
+    if (this.renderer.showScores) this.updateScoreLegend();
+  }
+
+  // Legend of the zone roles in use, with how many zones and which scores each has
+  updateScoreLegend() {
+    const legend = document.getElementById('score-legend');
+    const zones = this.document.getVisibleElements().filter(e => e.scoring && isScorable(e));
+    legend.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'score-legend-title';
+    title.textContent = zones.length ? 'Scoring Zones' : 'No scoring zones';
+    legend.appendChild(title);
+
+    for (const role of ZONE_ROLES) {
+      const scores = zones.filter(z => z.scoring.role === role).map(z => z.scoring.score);
+      if (scores.length === 0) continue;
+      const min = Math.min(...scores);
+      const max = Math.max(...scores);
+
+      const row = document.createElement('div');
+      row.className = 'score-legend-row';
+      const swatch = document.createElement('span');
+      swatch.className = 'score-legend-swatch';
+      swatch.style.background = ZONE_ROLE_STYLES[role].color;
+      const label = document.createElement('span');
+      label.textContent = `${ZONE_ROLE_STYLES[role].label} (${scores.length})`;
+      const range = document.createElement('span');
+      range.className = 'score-legend-range';
+      range.textContent = min === max ? formatScore(min) : `${formatScore(min)} to ${formatScore(max)}`;
+      row.append(swatch, label, range);
+      legend.appendChild(row);
+    }
   }
 
   // File operations
@@ -1942,10 +3790,14 @@ class MatLayoutEditor {
     }
     this.document = new MatDocument();
     this.renderer.document = this.document;
+    this.history.clear();
+    this.discardAutosave();
+    this.libraryEntry = null;
     this.renderer.setupViewBox();
     this.render();
     this.updatePropertyPanel();
     this.updateElementsList();
+    this.updateHistoryUI();
     this.updateStatus('New document created');
   }
 
@@ -1954,13 +3806,7 @@ class MatLayoutEditor {
     reader.onload = (e) => {
       try {
         const json = JSON.parse(e.target.result);
-        this.document.fromJSON(json);
-        this.renderer.document = this.document;
-        this.renderer.setupViewBox();
-        this.render();
-        this.updatePropertyPanel();
-        this.updateElementsList();
-        this.updateStatus(`Loaded: ${file.name}`);
+        this.loadLayout(json, file.name);
       } catch (err) {
         alert(`Error loading file: ${err.message}`);
       }
@@ -1968,8 +3814,81 @@ class MatLayoutEditor {
     reader.readAsText(file);
   }
 
+  // Validate before loading; problems are shown in the diagnostics dialog
+  // where the user picks load-as-is, load-with-fixes or reject.
+  // `libraryEntry` is set when the layout comes from the library.
+  loadLayout(json, name, libraryEntry = null) {
+    const result = validateLayout(json);
+    if (result.errors.length === 0 && result.warnings.length === 0) {
+      this.applyLayout(json, name, libraryEntry);
+      return;
+    }
+    this.showDiagnostics(result, json, name, libraryEntry);
+  }
+
+  applyLayout(json, name, libraryEntry = null) {
+    this.document.fromJSON(json);
+    this.renderer.document = this.document;
+    this.history.clear();
+    this.discardAutosave();
+    this.libraryEntry = libraryEntry;
+    this.renderer.setupViewBox(); // Important if mat size changed
+    this.render();
+    this.updatePropertyPanel();
+    this.updateElementsList();
+    this.updateHistoryUI();
+    this.updateStatus(`Loaded: ${name}`);
+  }
+
+  showDiagnostics(result, json, name, libraryEntry = null) {
+    this.pendingLoad = { result, json, name, libraryEntry };
+
+    const { errors, warnings } = result;
+    document.getElementById('diagnostics-summary').textContent =
+      `${name}: ${errors.length} error${errors.length !== 1 ? 's' : ''}, ` +
+      `${warnings.length} warning${warnings.length !== 1 ? 's' : ''}`;
+
+    const list = document.getElementById('diagnostics-list');
+    list.innerHTML = '';
+    for (const diagnostic of [...errors, ...warnings]) {
+      const item = document.createElement('div');
+      item.className = `diagnostic-item ${diagnostic.severity}`;
+
+      const severity = document.createElement('span');
+      severity.className = 'diagnostic-severity';
+      severity.textContent = diagnostic.severity;
+
+      const message = document.createElement('span');
+      message.textContent = diagnostic.message;
+
+      const path = document.createElement('span');
+      path.className = 'diagnostic-path';
+      path.textContent = diagnostic.id ? `${diagnostic.path} (${diagnostic.id})` : diagnostic.path;
+
+      item.append(severity, message, path);
+
+      if (diagnostic.fix) {
+        const fix = document.createElement('span');
+        fix.className = 'diagnostic-fix';
+        fix.textContent = `Fix: ${diagnostic.fix}`;
+        item.appendChild(fix);
+      }
+      list.appendChild(item);
+    }
+
+    // Loading as-is is only safe when nothing would break rendering
+    document.getElementById('btn-diag-load').style.display = errors.length === 0 ? '' : 'none';
+    document.getElementById('btn-diag-fix').style.display = result.fixed ? '' : 'none';
+    document.getElementById('diagnostics-dialog').style.display = 'flex';
+  }
+
+  closeDiagnostics() {
+    this.pendingLoad = null;
+    document.getElementById('diagnostics-dialog').style.display = 'none';
+  }
+
   saveFile() {
-    const json = this.document.toJSON();
+    const json = this.document.toJSON({ dimensions: document.getElementById('export-dimensions').checked });
     const blob = new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -1980,22 +3899,188 @@ class MatLayoutEditor {
 
     URL.revokeObjectURL(url);
     this.document.dirty = false;
+    this.discardAutosave();
     this.updateStatus('File saved');
   }
 
+  // =====================================================
+  // Layout Library
+  // =====================================================
+
+  // Save the document over its library entry, or under a new name when it
+  // has none yet (or `asNew` is set)
+  async saveToLibrary(asNew = false) {
+    let name = this.libraryEntry?.name;
+    if (asNew || !this.libraryEntry) {
+      name = prompt('Save layout as:', name ? `${name} (copy)` : 'Untitled layout')?.trim();
+      if (!name) return;
+    }
+
+    try {
+      const existing = asNew || !this.libraryEntry ? null : await getLayout(this.libraryEntry.id);
+      const now = Date.now();
+      const record = {
+        name,
+        layout: this.document.toJSON(),
+        thumbnail: renderLayoutSVG(this.document, { scale: 1 }),
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now
+      };
+      if (existing) record.id = existing.id;
+
+      const id = await putLayout(record);
+      this.libraryEntry = { id, name };
+      this.document.dirty = false;
+      this.discardAutosave();
+      this.updateStatus(`Saved "${name}" to library`);
+      if (this.isLibraryOpen()) this.renderLibrary();
+    } catch (err) {
+      alert(`Error saving to library: ${err.message}\nUse Export > Download JSON instead.`);
+    }
+  }
+
+  isLibraryOpen() {
+    return document.getElementById('library-dialog').style.display === 'flex';
+  }
+
+  openLibrary() {
+    document.getElementById('library-search').value = '';
+    document.getElementById('library-dialog').style.display = 'flex';
+    this.renderLibrary();
+  }
+
+  closeLibrary() {
+    document.getElementById('library-dialog').style.display = 'none';
+  }
+
+  async renderLibrary() {
+    const list = document.getElementById('library-list');
+    const summary = document.getElementById('library-summary');
+    let records;
+    try {
+      records = await listLayouts();
+    } catch (err) {
+      list.innerHTML = '';
+      summary.textContent = 'Library unavailable in this browser';
+      return;
+    }
+
+    const query = document.getElementById('library-search').value.trim().toLowerCase();
+    const matches = records.filter(r => r.name.toLowerCase().includes(query));
+    summary.textContent = query
+      ? `${matches.length} of ${records.length} layouts`
+      : `${records.length} layout${records.length !== 1 ? 's' : ''}`;
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'library-empty';
+      empty.textContent = records.length === 0
+        ? 'No saved layouts yet. Use Save to add the current layout.'
+        : 'No layouts match your search.';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const record of matches) {
+      const card = document.createElement('div');
+      card.className = `library-card${record.id === this.libraryEntry?.id ? ' current' : ''}`;
+      card.dataset.id = record.id;
+
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'library-thumbnail';
+      thumbnail.alt = '';
+      thumbnail.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(record.thumbnail);
+
+      const name = document.createElement('div');
+      name.className = 'library-name';
+      name.textContent = record.name;
+      name.title = record.name;
+
+      const meta = document.createElement('div');
+      meta.className = 'library-meta';
+      const mat = record.layout.mat;
+      meta.textContent = `${mat.width_cm} × ${mat.length_cm} cm · ${new Date(record.updatedAt).toLocaleDateString()}`;
+
+      const actions = document.createElement('div');
+      actions.className = 'library-actions';
+      for (const [action, label] of [['open', 'Open'], ['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']]) {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.dataset.action = action;
+        button.textContent = label;
+        actions.appendChild(button);
+      }
+
+      card.append(thumbnail, name, meta, actions);
+      list.appendChild(card);
+    }
+  }
+
+  async openLibraryLayout(id) {
+    if (this.document.dirty && !confirm('Discard unsaved changes?')) return;
+    try {
+      const record = await getLayout(id);
+      if (!record) {
+        alert('This layout is no longer in the library.');
+        this.renderLibrary();
+        return;
+      }
+      this.closeLibrary();
+      this.loadLayout(record.layout, record.name, { id: record.id, name: record.name });
+    } catch (err) {
+      alert(`Error opening layout: ${err.message}`);
+    }
+  }
+
+  async renameLibraryLayout(id) {
+    try {
+      const record = await getLayout(id);
+      if (!record) return this.renderLibrary();
+      const name = prompt('Rename layout:', record.name)?.trim();
+      if (!name || name === record.name) return;
+      await putLayout({ ...record, name });
+      if (this.libraryEntry?.id === id) this.libraryEntry.name = name;
+      this.renderLibrary();
+    } catch (err) {
+      alert(`Error renaming layout: ${err.message}`);
+    }
+  }
+
+  async duplicateLibraryLayout(id) {
+    try {
+      const record = await getLayout(id);
+      if (!record) return this.renderLibrary();
+      const now = Date.now();
+      const copy = { ...record, name: `${record.name} (copy)`, createdAt: now, updatedAt: now };
+      // Without an id the store assigns a new one
+      delete copy.id;
+      await putLayout(copy);
+      this.renderLibrary();
+    } catch (err) {
+      alert(`Error duplicating layout: ${err.message}`);
+    }
+  }
+
+  async deleteLibraryLayout(id) {
+    try {
+      const record = await getLayout(id);
+      if (!record) return this.renderLibrary();
+      if (!confirm(`Delete "${record.name}" from the library?`)) return;
+      await deleteLayout(id);
+      // The open document stays; saving it again creates a new entry
+      if (this.libraryEntry?.id === id) this.libraryEntry = null;
+      this.renderLibrary();
+    } catch (err) {
+      alert(`Error deleting layout: ${err.message}`);
+    }
+  }
+
   exportSVG() {
-    // Clone the content for export
-    const exportSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    exportSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-    exportSvg.setAttribute('viewBox', `0 0 ${this.document.mat.width_cm} ${this.document.mat.length_cm}`);
-    exportSvg.setAttribute('width', this.document.mat.width_cm * 10);
-    exportSvg.setAttribute('height', this.document.mat.length_cm * 10);
-
-    // Clone content (without grid and handles)
-    const content = this.renderer.contentGroup.cloneNode(true);
-    exportSvg.appendChild(content);
-
-    const blob = new Blob([exportSvg.outerHTML], { type: 'image/svg+xml' });
+    // Built from the document rather than the canvas, so no grid, handles or selection styling
+    const svgData = renderLayoutSVG(this.document);
+
+    const blob = new Blob([svgData], { type: 'image/svg+xml' });
     const url = URL.createObjectURL(blob);
 
     const a = document.createElement('a');
@@ -2007,38 +4092,148 @@ class MatLayoutEditor {
     this.updateStatus('Exported as SVG');
   }
 
-  exportPNG() {
-    const canvas = document.createElement('canvas');
-    const scale = 10; // 10 pixels per cm
-    canvas.width = this.document.mat.width_cm * scale;
-    canvas.height = this.document.mat.length_cm * scale;
+  getPDFOptions() {
+    return {
+      paper: document.getElementById('pdf-paper').value,
+      orientation: document.getElementById('pdf-orientation').value,
+      rollWidth_mm: (parseFloat(document.getElementById('pdf-roll-width').value) || 91.4) * 10,
+      margin_mm: Math.max(0, parseFloat(document.getElementById('pdf-margin').value) || 0),
+      overlap_mm: Math.max(0, parseFloat(document.getElementById('pdf-overlap').value) || 0),
+      marks: document.getElementById('pdf-marks').checked,
+      labels: document.getElementById('pdf-labels').checked,
+      background: document.getElementById('pdf-background').checked
+    };
+  }
 
-    const ctx = canvas.getContext('2d');
+  openPDFDialog() {
+    this.updatePDFSummary();
+    document.getElementById('pdf-dialog').style.display = 'flex';
+  }
+
+  closePDFDialog() {
+    document.getElementById('pdf-dialog').style.display = 'none';
+  }
+
+  updatePDFSummary() {
+    const options = this.getPDFOptions();
+    const isRoll = options.paper === 'roll';
+    document.getElementById('pdf-orientation-field').style.display = isRoll ? 'none' : '';
+    document.getElementById('pdf-roll-field').style.display = isRoll ? '' : 'none';
+
+    const summary = document.getElementById('pdf-summary');
+    const exportBtn = document.getElementById('btn-pdf-export');
+    try {
+      const plan = planTiles(this.document.mat, options);
+      const pages = plan.tiles.length;
+      summary.textContent = `${pages} page${pages !== 1 ? 's' : ''} (${plan.rows} × ${plan.cols}), ` +
+        `${plan.pageWidth_mm.toFixed(0)} × ${plan.pageHeight_mm.toFixed(0)} mm`;
+      exportBtn.disabled = false;
+    } catch (err) {
+      summary.textContent = err.message;
+      exportBtn.disabled = true;
+    }
+  }
+
+  exportPDF() {
+    try {
+      const { bytes, plan, warnings } = renderLayoutPDF(this.document, this.getPDFOptions());
+      const blob = new Blob([bytes], { type: 'application/pdf' });
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'mat-layout.pdf';
+      a.click();
+
+      URL.revokeObjectURL(url);
+      this.closePDFDialog();
+      this.updateStatus(`Exported PDF at 1:1 scale (${plan.tiles.length} pages)` +
+        (warnings.length ? `; ${warnings.join('; ')}` : ''));
+    } catch (err) {
+      alert(`Error exporting PDF: ${err.message}`);
+    }
+  }
+
+  getImageOptions() {
+    const resolution = parseFloat(document.getElementById('image-resolution').value) || 0;
+    const unit = document.getElementById('image-resolution-unit').value;
+    return {
+      pxPerCm: unit === 'dpi' ? dpiToPxPerCm(resolution) : resolution,
+      format: document.getElementById('image-format').value,
+      background: document.getElementById('image-background').checked,
+      bleed_cm: Math.max(0, parseFloat(document.getElementById('image-bleed').value) || 0) / 10
+    };
+  }
+
+  openImageDialog() {
+    this.updateImageSummary();
+    document.getElementById('image-dialog').style.display = 'flex';
+  }
+
+  closeImageDialog() {
+    document.getElementById('image-dialog').style.display = 'none';
+  }
+
+  updateImageSummary() {
+    const options = this.getImageOptions();
+    const { width, height, fits } = rasterSize(this.document.mat, options);
+    const summary = document.getElementById('image-summary');
+
+    if (!(options.pxPerCm > 0)) {
+      summary.textContent = 'Enter a resolution';
+    } else if (!fits) {
+      summary.textContent = `${width} × ${height} px is larger than the browser can render; lower the resolution`;
+    } else {
+      const dpi = Math.round(pxPerCmToDpi(options.pxPerCm));
+      summary.textContent = `${width} × ${height} px at ${dpi} DPI` +
+        (RASTER_FORMATS[options.format].density ? '' : ' (no DPI metadata in WebP)');
+    }
+    document.getElementById('btn-image-export').disabled = !(options.pxPerCm > 0) || !fits;
+  }
 
-    // Create SVG for export
-    const exportSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
-    exportSvg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
-    exportSvg.setAttribute('viewBox', `0 0 ${this.document.mat.width_cm} ${this.document.mat.length_cm}`);
+  exportImage() {
+    const options = this.getImageOptions();
+    const format = RASTER_FORMATS[options.format];
+    const { width, height } = rasterSize(this.document.mat, options);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
 
-    const content = this.renderer.contentGroup.cloneNode(true);
-    exportSvg.appendChild(content);
+    const ctx = canvas.getContext('2d');
+    if (!format.alpha) {
+      // JPEG has no transparency; keep uncovered areas white instead of black
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+    }
 
-    const svgData = new XMLSerializer().serializeToString(exportSvg);
+    const svgData = renderLayoutSVG(this.document, {
+      scale: options.pxPerCm,
+      background: options.background,
+      bleed_cm: options.bleed_cm
+    });
     const img = new Image();
 
     img.onload = () => {
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, width, height);
 
-      canvas.toBlob((blob) => {
-        const url = URL.createObjectURL(blob);
+      canvas.toBlob(async (blob) => {
+        if (!blob) {
+          alert('Error exporting image: the browser could not encode an image this large');
+          return;
+        }
+        const bytes = setImageDensity(new Uint8Array(await blob.arrayBuffer()), options.format, options.pxPerCm);
+        const url = URL.createObjectURL(new Blob([bytes], { type: format.mimeType }));
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'mat-layout.png';
+        a.download = `mat-layout${format.extension}`;
         a.click();
         URL.revokeObjectURL(url);
-        this.updateStatus('Exported as PNG');
-      }, 'image/png');
+        this.closeImageDialog();
+        this.updateStatus(`Exported as ${format.label} (${width} × ${height} px)`);
+      }, format.mimeType, 0.92);
     };
+    img.onerror = () => alert('Error exporting image: could not render the layout');
 
     img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgData);
   }
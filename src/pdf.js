@@ -0,0 +1,588 @@
+/**
+ * Mat Layout Editor - Print-to-Scale PDF Export
+ *
+ * Draws the layout as vector PDF at exact 1:1 physical size, split into
+ * overlapping tiles for office paper or roll printers. Each tile carries
+ * crop marks on the trim line, registration crosshairs in the overlap and a
+ * page label so the printed sheets can be assembled.
+ *
+ * The PDF is written directly (no dependencies) using the standard
+ * Helvetica fonts, so this module also runs under Node.
+ */
+
+import { parseColor } from './color.js';
+import { polarPoint, sweepOf } from './geometry.js';
+import { curveSegments, dimensionParts, sortByZOrder } from './svg.js';
+
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width_mm: 210, height_mm: 297 },
+  letter: { label: 'Letter', width_mm: 215.9, height_mm: 279.4 },
+  a3: { label: 'A3', width_mm: 297, height_mm: 420 }
+};
+
+const PT_PER_MM = 72 / 25.4;
+const MM_PER_CM = 10;
+
+// =====================================================
+// Tiling
+// =====================================================
+
+// Split one axis of the mat into tiles of `printable` mm that overlap by `overlap` mm
+function splitAxis(length_mm, printable_mm, overlap_mm) {
+  if (length_mm <= printable_mm) {
+    return [{ start: 0, end: length_mm }];
+  }
+  const step = printable_mm - overlap_mm;
+  const count = Math.ceil((length_mm - printable_mm) / step) + 1;
+  const spans = [];
+  for (let i = 0; i < count; i++) {
+    const start = i * step;
+    spans.push({ start, end: Math.min(start + printable_mm, length_mm) });
+  }
+  return spans;
+}
+
+// Trim lines sit in the middle of each overlap so adjacent tiles butt together
+function trimLines(spans, overlap_mm, length_mm) {
+  return spans.map((span, i) => ({
+    start: i === 0 ? 0 : span.start + overlap_mm / 2,
+    end: i === spans.length - 1 ? length_mm : spans[i + 1].start + overlap_mm / 2
+  }));
+}
+
+function planForPage(matW_mm, matL_mm, pageW_mm, pageH_mm, margin_mm, overlap_mm) {
+  const printW = pageW_mm - margin_mm * 2;
+  const printH = pageH_mm - margin_mm * 2;
+  if (printW <= overlap_mm || printH <= overlap_mm) {
+    throw new Error('Margins and overlap leave no printable area on the page');
+  }
+  const cols = splitAxis(matW_mm, printW, overlap_mm);
+  const rows = splitAxis(matL_mm, printH, overlap_mm);
+  return { pageW_mm, pageH_mm, cols, rows };
+}
+
+// Spreadsheet-style row letters: A..Z, then AA, AB, ...
+function rowLetters(row) {
+  let letters = '';
+  for (let n = row + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Work out page size and tile grid for a mat.
+ *
+ * @param {object} mat Document mat ({ width_cm, length_cm })
+ * @param {object} options
+ * @param {string} options.paper 'a4' | 'letter' | 'a3' | 'roll'
+ * @param {string} [options.orientation] 'portrait' | 'landscape' | 'auto'
+ * @param {number} [options.rollWidth_mm] Roll width when paper is 'roll'
+ * @param {number} [options.margin_mm=10] Unprintable border on each edge
+ * @param {number} [options.overlap_mm=15] Overlap between neighbouring tiles
+ */
+export function planTiles(mat, options) {
+  const {
+    paper = 'a4',
+    orientation = 'auto',
+    rollWidth_mm = 914,
+    margin_mm = 10,
+    overlap_mm = 15
+  } = options;
+
+  const matW = mat.width_cm * MM_PER_CM;
+  const matL = mat.length_cm * MM_PER_CM;
+
+  let plan;
+  if (paper === 'roll') {
+    // One long sheet per column; page length follows the mat
+    plan = planForPage(matW, matL, rollWidth_mm, matL + margin_mm * 2, margin_mm, overlap_mm);
+  } else {
+    const size = PAPER_SIZES[paper];
+    if (!size) throw new Error(`Unknown paper size "${paper}"`);
+    const portrait = () => planForPage(matW, matL, size.width_mm, size.height_mm, margin_mm, overlap_mm);
+    const landscape = () => planForPage(matW, matL, size.height_mm, size.width_mm, margin_mm, overlap_mm);
+    if (orientation === 'portrait') {
+      plan = portrait();
+    } else if (orientation === 'landscape') {
+      plan = landscape();
+    } else {
+      const p = portrait();
+      const l = landscape();
+      plan = l.cols.length * l.rows.length < p.cols.length * p.rows.length ? l : p;
+    }
+  }
+
+  const colTrims = trimLines(plan.cols, overlap_mm, matW);
+  const rowTrims = trimLines(plan.rows, overlap_mm, matL);
+
+  const tiles = [];
+  plan.rows.forEach((rowSpan, row) => {
+    plan.cols.forEach((colSpan, col) => {
+      tiles.push({
+        row,
+        col,
+        name: `${rowLetters(row)}${col + 1}`,
+        // Printed region and trim rectangle, in mat mm
+        x0: colSpan.start, x1: colSpan.end,
+        y0: rowSpan.start, y1: rowSpan.end,
+        trim: { x0: colTrims[col].start, x1: colTrims[col].end, y0: rowTrims[row].start, y1: rowTrims[row].end }
+      });
+    });
+  });
+
+  return {
+    pageWidth_mm: plan.pageW_mm,
+    pageHeight_mm: plan.pageH_mm,
+    rows: plan.rows.length,
+    cols: plan.cols.length,
+    margin_mm,
+    overlap_mm,
+    tiles
+  };
+}
+
+// =====================================================
+// Drawing Helpers
+// =====================================================
+
+const fmt = (n) => {
+  const rounded = Math.round(n * 10000) / 10000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+// Cubic Bezier segments (<= 90 degrees each) approximating a circular arc
+function arcSegments(cx, cy, r, startDeg, sweepDeg) {
+  const segments = Math.max(1, Math.ceil(Math.abs(sweepDeg) / 90));
+  const step = (sweepDeg / segments) * Math.PI / 180;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const ops = [];
+  let a = startDeg * Math.PI / 180;
+  for (let i = 0; i < segments; i++) {
+    const b = a + step;
+    const x1 = cx + r * (Math.cos(a) - k * Math.sin(a));
+    const y1 = cy + r * (Math.sin(a) + k * Math.cos(a));
+    const x2 = cx + r * (Math.cos(b) + k * Math.sin(b));
+    const y2 = cy + r * (Math.sin(b) - k * Math.cos(b));
+    const x3 = cx + r * Math.cos(b);
+    const y3 = cy + r * Math.sin(b);
+    ops.push(`${fmt(x1)} ${fmt(y1)} ${fmt(x2)} ${fmt(y2)} ${fmt(x3)} ${fmt(y3)} c`);
+    a = b;
+  }
+  return ops;
+}
+
+const point = (p) => `${fmt(p.x)} ${fmt(p.y)}`;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32..126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+function textWidth(text, size) {
+  let units = 0;
+  for (const ch of text) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  return units / 1000 * size;
+}
+
+// PDF string literal using printable ASCII; Latin-1 symbols such as the
+// degree sign become octal escapes, which WinAnsiEncoding maps the same way
+function pdfString(text) {
+  const safe = [...text].map(ch => {
+    const code = ch.charCodeAt(0);
+    if (code >= 32 && code <= 126) return ch.replace(/[\\()]/, m => `\\${m}`);
+    return code >= 160 && code <= 255 ? `\\${code.toString(8)}` : '?';
+  }).join('');
+  return `(${safe})`;
+}
+
+function fontFor(fontStyle = 'normal') {
+  const bold = fontStyle.includes('bold');
+  const italic = fontStyle.includes('italic');
+  if (bold && italic) return '/F4';
+  if (bold) return '/F2';
+  if (italic) return '/F3';
+  return '/F1';
+}
+
+// =====================================================
+// Page Content
+// =====================================================
+
+class ContentStream {
+  constructor(resources) {
+    this.ops = [];
+    this.resources = resources;
+  }
+
+  push(...ops) {
+    this.ops.push(...ops);
+  }
+
+  // Unrecognised colours print black and are listed in the export's warnings
+  color(value) {
+    const c = parseColor(value);
+    if (c !== undefined) return c;
+    this.resources.unknownColors.add(value);
+    return { r: 0, g: 0, b: 0, a: 1 };
+  }
+
+  // Set fill/stroke colour; returns false when the paint is 'none'
+  fillColor(color) {
+    const c = this.color(color);
+    if (!c) return false;
+    this.push(`${fmt(c.r)} ${fmt(c.g)} ${fmt(c.b)} rg`, `${this.resources.alpha(c.a, 'ca')} gs`);
+    return true;
+  }
+
+  strokeColor(color) {
+    const c = this.color(color);
+    if (!c) return false;
+    this.push(`${fmt(c.r)} ${fmt(c.g)} ${fmt(c.b)} RG`, `${this.resources.alpha(c.a, 'CA')} gs`);
+    return true;
+  }
+
+  // Paint the current path with the given fill/stroke
+  paint(fill, stroke, strokeWidth) {
+    const hasFill = this.fillColor(fill);
+    const hasStroke = stroke && stroke !== 'none' && strokeWidth > 0 && this.strokeColor(stroke);
+    if (hasStroke) this.push(`${fmt(strokeWidth)} w`);
+    if (hasFill && hasStroke) this.push('B');
+    else if (hasFill) this.push('f');
+    else if (hasStroke) this.push('S');
+    else this.push('n');
+  }
+
+  toString() {
+    return this.ops.join('\n');
+  }
+}
+
+// Draw one element in mat-cm coordinates (y pointing down the mat)
+function drawElement(out, element) {
+  switch (element.type) {
+    case 'rect': {
+      const x = Math.min(element.x0_cm, element.x1_cm);
+      const y = Math.min(element.y0_cm, element.y1_cm);
+      const w = Math.abs(element.x1_cm - element.x0_cm);
+      const h = Math.abs(element.y1_cm - element.y0_cm);
+      out.push('q');
+      if (element.rotation) {
+        const pivot = element.pivot_cm ?? { x: x + w / 2, y: y + h / 2 };
+        const rot = element.rotation * Math.PI / 180;
+        const cos = Math.cos(rot);
+        const sin = Math.sin(rot);
+        // Rotate about the pivot: translate(p) * rotate * translate(-p)
+        out.push(`${fmt(cos)} ${fmt(sin)} ${fmt(-sin)} ${fmt(cos)} ` +
+          `${fmt(pivot.x - pivot.x * cos + pivot.y * sin)} ${fmt(pivot.y - pivot.x * sin - pivot.y * cos)} cm`);
+      }
+      out.push(`${fmt(x)} ${fmt(y)} ${fmt(w)} ${fmt(h)} re`);
+      out.paint(element.fill || 'rgba(74, 158, 255, 0.3)', element.stroke, element.strokeWidth || 1);
+      out.push('Q');
+      break;
+    }
+
+    case 'curve': {
+      const segments = curveSegments(element);
+      if (segments.length === 0) break;
+      out.push('q');
+      if (element.lineStyle === 'dashed') out.push('[10 5] 0 d');
+      else if (element.lineStyle === 'dotted') out.push('[2 4] 0 d');
+      out.push('1 J', `${point(segments[0][0])} m`,
+        ...segments.map(([, c1, c2, end]) => `${point(c1)} ${point(c2)} ${point(end)} c`));
+      out.paint('none', element.stroke || '#fff', element.strokeWidth || 1);
+      out.push('Q');
+      break;
+    }
+
+    case 'polygon':
+    case 'polyline': {
+      const [first, ...rest] = element.points_cm;
+      if (!first) break;
+      out.push('q', '1 j', `${point(first)} m`, ...rest.map(p => `${point(p)} l`));
+      if (element.type === 'polygon') {
+        out.push('h');
+        out.paint(element.fill || 'rgba(74, 158, 255, 0.3)', element.stroke, element.strokeWidth || 1);
+      } else {
+        out.paint('none', element.stroke, element.strokeWidth || 1);
+      }
+      out.push('Q');
+      break;
+    }
+
+    case 'circle':
+    case 'marker': {
+      const { x, y } = element.center_cm;
+      const r = element.radius_cm;
+      out.push('q', `${fmt(x + r)} ${fmt(y)} m`, ...arcSegments(x, y, r, 0, 360), 'h');
+      out.paint(element.fill || '#333', element.stroke || '#fff', element.strokeWidth || 0.5);
+      out.push('Q');
+      break;
+    }
+
+    case 'line': {
+      out.push('q');
+      if (element.lineStyle === 'dashed') out.push('[10 5] 0 d');
+      else if (element.lineStyle === 'dotted') out.push('[2 4] 0 d');
+      out.push(`${point(element.from_cm)} m`, `${point(element.to_cm)} l`);
+      out.paint('none', element.stroke || '#fff', element.strokeWidth || 1);
+      out.push('Q');
+      break;
+    }
+
+    case 'arc': {
+      const { x, y } = element.center_cm;
+      const r = element.radius_cm;
+      const start = element.startAngle || 0;
+      out.push('q', `${point(polarPoint(element.center_cm, r, start))} m`,
+        ...arcSegments(x, y, r, start, sweepOf(start, element.endAngle ?? 360)));
+      out.paint('none', element.stroke || '#fff', element.strokeWidth || 1);
+      out.push('Q');
+      break;
+    }
+
+    case 'sector': {
+      const { x, y } = element.center_cm;
+      const start = element.startAngle || 0;
+      const sweep = sweepOf(start, element.endAngle ?? 90);
+      const rOut = element.outerRadius_cm;
+      const rIn = element.innerRadius_cm;
+      out.push('q', `${point(polarPoint(element.center_cm, rOut, start))} m`,
+        ...arcSegments(x, y, rOut, start, sweep));
+      if (sweep === 360) {
+        // Full ring: separate outer and inner circles, so there is no seam
+        out.push('h');
+        if (rIn > 0) {
+          out.push(`${point(polarPoint(element.center_cm, rIn, start))} m`,
+            ...arcSegments(x, y, rIn, start, -sweep));
+        }
+      } else {
+        out.push(`${point(polarPoint(element.center_cm, rIn, start + sweep))} l`);
+        if (rIn > 0) out.push(...arcSegments(x, y, rIn, start + sweep, -sweep));
+      }
+      out.push('h');
+      out.paint(element.fill || 'rgba(255, 165, 0, 0.5)', element.stroke, element.strokeWidth || 1);
+      out.push('Q');
+      break;
+    }
+
+    case 'text': {
+      const text = element.text || 'Label';
+      const size = element.fontSize || 3;
+      const width = textWidth(text, size);
+      const anchorShift = element.textAnchor === 'end' ? -width : element.textAnchor === 'start' ? 0 : -width / 2;
+      const rot = (element.rotation || 0) * Math.PI / 180;
+      const cos = Math.cos(rot);
+      const sin = Math.sin(rot);
+      const { x, y } = element.position_cm;
+      if (parseColor(element.fill || '#ffffff') === null) break;
+
+      // Rotate about the anchor, then flip y back up so glyphs are upright.
+      // The baseline is shifted to approximate dominant-baseline: middle.
+      out.push('q', `${fmt(cos)} ${fmt(sin)} ${fmt(-sin)} ${fmt(cos)} ${fmt(x)} ${fmt(y)} cm`);
+      out.fillColor(element.fill || '#ffffff');
+      out.push('BT', `${fontFor(element.fontStyle)} ${fmt(size)} Tf`,
+        `1 0 0 -1 ${fmt(anchorShift)} ${fmt(size * 0.35)} Tm`, `${pdfString(text)} Tj`, 'ET', 'Q');
+      break;
+    }
+
+    case 'dimension':
+      for (const part of dimensionParts(element)) drawElement(out, part);
+      break;
+  }
+}
+
+// Registration crosshair with a circle, in page mm
+function registrationMark(out, x, y) {
+  const r = 3;
+  const arm = 5;
+  out.push(`${fmt(x - arm)} ${fmt(y)} m`, `${fmt(x + arm)} ${fmt(y)} l`,
+    `${fmt(x)} ${fmt(y - arm)} m`, `${fmt(x)} ${fmt(y + arm)} l`,
+    `${fmt(x + r)} ${fmt(y)} m`, ...arcSegments(x, y, r, 0, 360), 'S');
+}
+
+function drawTile(doc, plan, tile, options, resources) {
+  const out = new ContentStream(resources);
+  const { margin_mm } = plan;
+  const pageH_pt = plan.pageHeight_mm * PT_PER_MM;
+
+  // Page coordinates in mm with y down, origin at top-left of the sheet
+  out.push('q', `${fmt(PT_PER_MM)} 0 0 ${fmt(-PT_PER_MM)} 0 ${fmt(pageH_pt)} cm`);
+
+  // Layout content, clipped to this tile's printed region
+  out.push('q',
+    `${fmt(margin_mm)} ${fmt(margin_mm)} ${fmt(tile.x1 - tile.x0)} ${fmt(tile.y1 - tile.y0)} re W n`,
+    `${MM_PER_CM} 0 0 ${MM_PER_CM} ${fmt(margin_mm - tile.x0)} ${fmt(margin_mm - tile.y0)} cm`);
+  if (options.background !== false) {
+    out.push(`0 0 ${fmt(doc.mat.width_cm)} ${fmt(doc.mat.length_cm)} re`);
+    out.paint(doc.mat.color, 'none', 0);
+  }
+  for (const element of sortByZOrder(doc.getVisibleElements())) {
+    drawElement(out, element);
+  }
+  out.push('Q');
+
+  // Trim rectangle in page mm
+  const tx0 = margin_mm + tile.trim.x0 - tile.x0;
+  const tx1 = margin_mm + tile.trim.x1 - tile.x0;
+  const ty0 = margin_mm + tile.trim.y0 - tile.y0;
+  const ty1 = margin_mm + tile.trim.y1 - tile.y0;
+
+  out.push('0 0 0 RG', '0 0 0 rg', '/GS0 gs', `${fmt(0.25 / PT_PER_MM)} w`);
+
+  if (options.marks !== false) {
+    // Crop marks: short ticks in the margin in line with each trim edge
+    const len = Math.max(2, margin_mm - 2);
+    for (const x of [tx0, tx1]) {
+      out.push(`${fmt(x)} 0 m`, `${fmt(x)} ${fmt(len)} l`,
+        `${fmt(x)} ${fmt(plan.pageHeight_mm - len)} m`, `${fmt(x)} ${fmt(plan.pageHeight_mm)} l`);
+    }
+    for (const y of [ty0, ty1]) {
+      out.push(`0 ${fmt(y)} m`, `${fmt(len)} ${fmt(y)} l`,
+        `${fmt(plan.pageWidth_mm - len)} ${fmt(y)} m`, `${fmt(plan.pageWidth_mm)} ${fmt(y)} l`);
+    }
+    out.push('S');
+
+    // Registration marks on interior trim corners, which lie in the overlap
+    // and therefore appear on every neighbouring sheet at the same mat position
+    for (const x of [tx0, tx1]) {
+      for (const y of [ty0, ty1]) {
+        const interiorX = x > margin_mm + 0.01 && x < margin_mm + (tile.x1 - tile.x0) - 0.01;
+        const interiorY = y > margin_mm + 0.01 && y < margin_mm + (tile.y1 - tile.y0) - 0.01;
+        if (interiorX || interiorY) registrationMark(out, x, y);
+      }
+    }
+
+    // Dashed trim lines on interior edges
+    out.push('[2 2] 0 d');
+    if (tile.col > 0) out.push(`${fmt(tx0)} ${fmt(ty0)} m`, `${fmt(tx0)} ${fmt(ty1)} l`);
+    if (tile.col < plan.cols - 1) out.push(`${fmt(tx1)} ${fmt(ty0)} m`, `${fmt(tx1)} ${fmt(ty1)} l`);
+    if (tile.row > 0) out.push(`${fmt(tx0)} ${fmt(ty0)} m`, `${fmt(tx1)} ${fmt(ty0)} l`);
+    if (tile.row < plan.rows - 1) out.push(`${fmt(tx0)} ${fmt(ty1)} m`, `${fmt(tx1)} ${fmt(ty1)} l`);
+    out.push('S', '[] 0 d');
+  }
+
+  if (options.labels !== false && margin_mm >= 5) {
+    const size = Math.min(3, margin_mm * 0.35);
+    const baseline = plan.pageHeight_mm - margin_mm / 2 + size * 0.35;
+    const label = `Tile ${tile.name} (row ${tile.row + 1}/${plan.rows}, column ${tile.col + 1}/${plan.cols})  ` +
+      `mat ${doc.mat.width_cm} x ${doc.mat.length_cm} cm  print at 100% / actual size`;
+    out.push('BT', `/F1 ${fmt(size)} Tf`, `1 0 0 -1 ${fmt(margin_mm)} ${fmt(baseline)} Tm`, `${pdfString(label)} Tj`, 'ET');
+
+    // 50 mm scale bar to verify the printer did not rescale
+    const barX = plan.pageWidth_mm - margin_mm - 50;
+    const barY = margin_mm / 2;
+    out.push(`${fmt(barX)} ${fmt(barY)} m`, `${fmt(barX + 50)} ${fmt(barY)} l`,
+      `${fmt(barX)} ${fmt(barY - 1)} m`, `${fmt(barX)} ${fmt(barY + 1)} l`,
+      `${fmt(barX + 50)} ${fmt(barY - 1)} m`, `${fmt(barX + 50)} ${fmt(barY + 1)} l`, 'S');
+    out.push('BT', `/F1 ${fmt(size)} Tf`, `1 0 0 -1 ${fmt(barX - textWidth('50 mm ', size))} ${fmt(barY + size * 0.35)} Tm`,
+      `${pdfString('50 mm')} Tj`, 'ET');
+  }
+
+  out.push('Q');
+  return out.toString();
+}
+
+// =====================================================
+// PDF Writer
+// =====================================================
+
+// Shared ExtGState objects for fill (ca) and stroke (CA) opacity. Each state
+// sets only one of the two so fill and stroke alpha stay independent;
+// /GS0 resets both and is used for the printer's marks.
+class Resources {
+  constructor() {
+    this.states = new Map();
+    this.entries = [{ name: 'GS0', ca: 1, CA: 1 }];
+    this.unknownColors = new Set();
+  }
+
+  alpha(value, key) {
+    const a = Math.round(value * 1000) / 1000;
+    const id = `${key}:${a}`;
+    if (!this.states.has(id)) {
+      const name = `GS${this.entries.length}`;
+      this.entries.push({ name, [key]: a });
+      this.states.set(id, `/${name}`);
+    }
+    return this.states.get(id);
+  }
+
+  toString() {
+    const states = this.entries
+      .map(e => `/${e.name} << ${e.ca !== undefined ? `/ca ${e.ca} ` : ''}${e.CA !== undefined ? `/CA ${e.CA} ` : ''}>>`)
+      .join(' ');
+    const fonts = ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique']
+      .map((name, i) => `/F${i + 1} << /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`)
+      .join(' ');
+    return `<< /Font << ${fonts} >> /ExtGState << ${states} >> >>`;
+  }
+}
+
+function writePDF(pages, resources, pageW_pt, pageH_pt, title) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const resourcesId = add(resources.toString());
+  const infoId = add(`<< /Title ${pdfString(title)} /Producer (mat-layout-editor) >>`);
+
+  const pageIds = pages.map(content => {
+    const streamId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${fmt(pageW_pt)} ${fmt(pageH_pt)}] ` +
+      `/Resources ${resourcesId} 0 R /Contents ${streamId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Everything above is ASCII, so string length equals byte length
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(pdf.length);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return new TextEncoder().encode(pdf);
+}
+
+/**
+ * Render a document as a tiled, 1:1 scale PDF.
+ *
+ * Accepts the planTiles() options plus:
+ *   background  draw the mat colour (default true)
+ *   marks       crop and registration marks (default true)
+ *   labels      page label and scale bar (default true)
+ *
+ * `warnings` lists problems that did not stop the export, such as colours
+ * that could not be parsed and were printed black.
+ *
+ * @returns {{ bytes: Uint8Array, plan: object, warnings: string[] }}
+ */
+export function renderLayoutPDF(doc, options = {}) {
+  const plan = planTiles(doc.mat, options);
+  const resources = new Resources();
+  const pages = plan.tiles.map(tile => drawTile(doc, plan, tile, options, resources));
+  const bytes = writePDF(pages, resources, plan.pageWidth_mm * PT_PER_MM, plan.pageHeight_mm * PT_PER_MM,
+    options.title || 'Mat Layout');
+  const warnings = [...resources.unknownColors].map(color => `Unknown colour "${color}" printed as black`);
+  return { bytes, plan, warnings };
+}
@@ -0,0 +1,136 @@
+/**
+ * Mat Layout Editor - Raster Export Helpers
+ *
+ * Resolution arithmetic and image metadata patching shared by the editor's
+ * image export and the CLI. Browsers' canvas encoders never record a physical
+ * resolution, so the DPI is written into the encoded bytes afterwards.
+ */
+
+export const CM_PER_INCH = 2.54;
+
+export const RASTER_FORMATS = {
+  png: { label: 'PNG', mimeType: 'image/png', extension: '.png', alpha: true, density: true },
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: '.jpg', alpha: false, density: true },
+  webp: { label: 'WebP', mimeType: 'image/webp', extension: '.webp', alpha: true, density: false }
+};
+
+// Largest canvas the common browsers will allocate (Chrome/Firefox limits)
+export const MAX_CANVAS_DIMENSION = 32767;
+export const MAX_CANVAS_AREA = 268435456;
+
+export const dpiToPxPerCm = (dpi) => dpi / CM_PER_INCH;
+export const pxPerCmToDpi = (pxPerCm) => pxPerCm * CM_PER_INCH;
+
+/**
+ * Pixel size of a rendered mat, including bleed on every side.
+ * `fits` is false when a browser canvas cannot hold the image.
+ */
+export function rasterSize(mat, { pxPerCm, bleed_cm = 0 }) {
+  const width = Math.round((mat.width_cm + bleed_cm * 2) * pxPerCm);
+  const height = Math.round((mat.length_cm + bleed_cm * 2) * pxPerCm);
+  const fits = width > 0 && height > 0 &&
+    width <= MAX_CANVAS_DIMENSION && height <= MAX_CANVAS_DIMENSION &&
+    width * height <= MAX_CANVAS_AREA;
+  return { width, height, fits };
+}
+
+// =====================================================
+// PNG (pHYs chunk)
+// =====================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Return a copy of a PNG with a pHYs chunk (pixels per metre) directly after
+ * IHDR. Any existing pHYs chunk is replaced.
+ */
+export function setPNGDensity(bytes, pxPerCm) {
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') chunks.push({ type, data: bytes.subarray(offset, end) });
+    offset = end;
+  }
+
+  const ppm = Math.round(pxPerCm * 100);
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  physView.setUint32(8, ppm);
+  physView.setUint32(12, ppm);
+  phys[16] = 1; // unit: metre
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  const ihdrIndex = chunks.findIndex(c => c.type === 'IHDR');
+  chunks.splice(ihdrIndex + 1, 0, { type: 'pHYs', data: phys });
+
+  const out = new Uint8Array(8 + chunks.reduce((sum, c) => sum + c.data.length, 0));
+  out.set(PNG_SIGNATURE);
+  let pos = 8;
+  for (const chunk of chunks) {
+    out.set(chunk.data, pos);
+    pos += chunk.data.length;
+  }
+  return out;
+}
+
+// =====================================================
+// JPEG (JFIF APP0 density)
+// =====================================================
+
+/**
+ * Return a copy of a JFIF JPEG with its APP0 density set in dots per inch.
+ * Images without a JFIF header are returned unchanged.
+ */
+export function setJPEGDensity(bytes, pxPerCm) {
+  const isJFIF = bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff && bytes[3] === 0xe0 &&
+    String.fromCharCode(...bytes.subarray(6, 11)) === 'JFIF\0';
+  if (!isJFIF) return bytes;
+
+  const out = bytes.slice();
+  const view = new DataView(out.buffer);
+  const dpi = Math.min(65535, Math.round(pxPerCmToDpi(pxPerCm)));
+  out[13] = 1; // units: dots per inch
+  view.setUint16(14, dpi);
+  view.setUint16(16, dpi);
+  return out;
+}
+
+/**
+ * Record the physical resolution in an encoded image, for formats that
+ * support it. Other formats are returned unchanged.
+ */
+export function setImageDensity(bytes, format, pxPerCm) {
+  if (format === 'png') return setPNGDensity(bytes, pxPerCm);
+  if (format === 'jpeg') return setJPEGDensity(bytes, pxPerCm);
+  return bytes;
+}
@@ -0,0 +1,587 @@
+/**
+ * Mat Layout Editor - Layout Schema & Validation
+ *
+ * Declarative description of the layout.json format read by PuttAnalyzer,
+ * plus a validator that reports per-element problems and can produce a
+ * repaired copy of the layout.
+ */
+
+// =====================================================
+// Schema
+// =====================================================
+
+import { ZONE_ROLES } from './document.js';
+import { ANGLE_CONVENTIONS, DEFAULT_ANGLE_CONVENTION } from './geometry.js';
+import { CURVE_POINT_COUNTS } from './svg.js';
+
+const COLOR = { type: 'string' };
+const STROKE_WIDTH = { type: 'number', min: 0, fix: v => Math.abs(v) };
+const Z_ORDER = { type: 'number' };
+const ANGLE = { type: 'number' };
+
+// Layers panel state, ignored by PuttAnalyzer. `group` names an entry in `groups`.
+const LAYER_FIELDS = {
+  group: { type: 'string', severity: 'warning' },
+  hidden: { type: 'boolean', severity: 'warning' },
+  locked: { type: 'boolean', severity: 'warning' }
+};
+
+// Scoring metadata on zones (areas, sectors and markers)
+const SCORING = {
+  type: 'object',
+  severity: 'warning',
+  fields: {
+    role: { type: 'string', enum: ZONE_ROLES, default: 'target', severity: 'warning' },
+    score: { type: 'number', severity: 'warning' },
+    priority: { type: 'number', severity: 'warning' },
+    tags: { type: 'strings', severity: 'warning' }
+  }
+};
+
+const LINE_FIELDS = {
+  id: { type: 'string', required: true },
+  type: { type: 'string', enum: ['line_segment'], severity: 'warning' },
+  from_cm: { type: 'point', required: true },
+  to_cm: { type: 'point', required: true },
+  lineStyle: { type: 'string', enum: ['solid', 'dashed', 'dotted'], default: 'solid' },
+  fill: COLOR,
+  stroke: COLOR,
+  strokeWidth: STROKE_WIDTH,
+  zOrder: Z_ORDER,
+  ...LAYER_FIELDS
+};
+
+// Curves share the line collections, distinguished by type: 'curve'
+const CURVE_SPEC = {
+  fields: {
+    id: { type: 'string', required: true },
+    type: { type: 'string', enum: ['curve'] },
+    curveType: { type: 'string', enum: ['quadratic', 'cubic', 'spline'], default: 'cubic' },
+    points_cm: { type: 'points', required: true },
+    length_cm: { type: 'number', min: 0, severity: 'warning' },
+    lineStyle: { type: 'string', enum: ['solid', 'dashed', 'dotted'], default: 'solid' },
+    fill: COLOR,
+    stroke: COLOR,
+    strokeWidth: STROKE_WIDTH,
+    zOrder: Z_ORDER,
+    ...LAYER_FIELDS
+  },
+  rules: [
+    {
+      test: c => c.points_cm.length >= 2,
+      message: 'Curve needs at least 2 points',
+      drop: true
+    },
+    {
+      // The editor loads a curve without a curveType as cubic
+      test: c => {
+        const count = CURVE_POINT_COUNTS[c.curveType ?? 'cubic'];
+        return !count || c.points_cm.length === count;
+      },
+      message: 'Point count does not match curveType (quadratic: 3, cubic: 4)',
+      fixDescription: 'treat as spline through the points',
+      fix: c => {
+        c.curveType = 'spline';
+      }
+    }
+  ]
+};
+
+const LINE_COLLECTION = { fields: LINE_FIELDS, rules: [], variants: { curve: CURVE_SPEC } };
+
+/**
+ * Field specs support:
+ *   type      'number' | 'string' | 'boolean' | 'point' | 'points' | 'strings' | 'object'
+ *   fields    field map checked inside an 'object' value
+ *   required  element is unusable without it
+ *   enum      allowed values
+ *   min / exclusiveMin  numeric bounds
+ *   default   value used when repairing a missing or invalid field
+ *   fix       repair function for an out-of-range value
+ *   severity  'error' (default) or 'warning'
+ *
+ * `rules` are cross-field checks run after the individual fields are valid.
+ * A rule with `fix` repairs the element; one with `drop` removes it.
+ * `variants` maps an element's `type` to an alternative { fields, rules }
+ * spec, for collections that hold more than one shape.
+ */
+export const LAYOUT_SCHEMA = {
+  mat: {
+    fields: {
+      width_cm: { type: 'number', exclusiveMin: 0, required: true, default: 50, fix: v => Math.abs(v) || 50 },
+      length_cm: { type: 'number', exclusiveMin: 0, required: true, default: 400, fix: v => Math.abs(v) || 400 },
+      color: COLOR,
+      origin: { type: 'string', enum: ['top_left'], severity: 'warning' },
+      units: { type: 'string', enum: ['cm'], severity: 'warning' },
+      angle_convention: {
+        type: 'string', enum: Object.keys(ANGLE_CONVENTIONS), default: DEFAULT_ANGLE_CONVENTION, severity: 'warning'
+      }
+    }
+  },
+
+  collections: {
+    markers: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', enum: ['target', 'ball_marker'], severity: 'warning' },
+        center_cm: { type: 'point', required: true },
+        radius_cm: { type: 'number', exclusiveMin: 0, default: 1, fix: v => Math.abs(v) || 1 },
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS,
+        scoring: SCORING
+      }
+    },
+
+    areas: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', enum: ['rect'], severity: 'warning' },
+        x0_cm: { type: 'number', required: true },
+        y0_cm: { type: 'number', required: true },
+        x1_cm: { type: 'number', required: true },
+        y1_cm: { type: 'number', required: true },
+        rotation: ANGLE,
+        pivot_cm: { type: 'point' },
+        corners_cm: { type: 'points', severity: 'warning' },
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS,
+        scoring: SCORING
+      },
+      rules: [
+        {
+          severity: 'warning',
+          test: a => a.x0_cm !== a.x1_cm && a.y0_cm !== a.y1_cm,
+          message: 'Area has zero width or height'
+        }
+      ],
+      variants: {
+        polygon: {
+          fields: {
+            id: { type: 'string', required: true },
+            type: { type: 'string', enum: ['polygon'] },
+            closed: { type: 'boolean', default: true },
+            points_cm: { type: 'points', required: true },
+            fill: COLOR,
+            stroke: COLOR,
+            strokeWidth: STROKE_WIDTH,
+            zOrder: Z_ORDER,
+            ...LAYER_FIELDS,
+            scoring: SCORING
+          },
+          rules: [
+            {
+              test: a => a.points_cm.length >= 2,
+              message: 'Polygon needs at least 2 points'
+            },
+            {
+              test: a => a.closed === false || a.points_cm.length !== 2,
+              message: 'Closed polygon has only 2 points',
+              fixDescription: 'treat as open polyline',
+              fix: a => {
+                a.closed = false;
+              }
+            }
+          ]
+        }
+      }
+    },
+
+    arcs: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', enum: ['circular_arc'], severity: 'warning' },
+        center_cm: { type: 'point', required: true },
+        radius_cm: { type: 'number', exclusiveMin: 0, required: true, fix: v => Math.abs(v) || 1 },
+        startAngle: ANGLE,
+        endAngle: ANGLE,
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS
+      },
+      rules: [
+        {
+          severity: 'warning',
+          test: a => a.startAngle === undefined || a.endAngle === undefined || Math.abs(a.endAngle - a.startAngle) <= 360,
+          message: 'endAngle is more than 360° from startAngle; the arc wraps to a shorter sweep'
+        }
+      ]
+    },
+
+    sectors: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', enum: ['annulus_sector'], severity: 'warning' },
+        center_cm: { type: 'point', required: true },
+        innerRadius_cm: { type: 'number', min: 0, required: true, fix: v => Math.abs(v) },
+        outerRadius_cm: { type: 'number', exclusiveMin: 0, required: true, fix: v => Math.abs(v) || 1 },
+        startAngle: { type: 'number', required: true },
+        endAngle: { type: 'number', required: true },
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS,
+        scoring: SCORING
+      },
+      rules: [
+        {
+          test: s => s.innerRadius_cm <= s.outerRadius_cm,
+          message: 'innerRadius_cm is greater than outerRadius_cm',
+          fixDescription: 'swap inner and outer radius',
+          fix: s => {
+            [s.innerRadius_cm, s.outerRadius_cm] = [s.outerRadius_cm, s.innerRadius_cm];
+          }
+        },
+        {
+          severity: 'warning',
+          test: s => Math.abs(s.endAngle - s.startAngle) <= 360,
+          message: 'endAngle is more than 360° from startAngle; the sector wraps to a shorter sweep'
+        }
+      ]
+    },
+
+    lines: LINE_COLLECTION,
+    aiming_guides: LINE_COLLECTION,
+
+    texts: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: { type: 'string', enum: ['text'], severity: 'warning' },
+        position_cm: { type: 'point', required: true },
+        text: { type: 'string', default: 'Label' },
+        rotation: ANGLE,
+        direction: { type: 'string', enum: ['horizontal', 'vertical'], severity: 'warning' },
+        fontFamily: { type: 'string' },
+        fontSize: { type: 'number', exclusiveMin: 0, default: 3, fix: v => Math.abs(v) || 3 },
+        fontStyle: { type: 'string', enum: ['normal', 'bold', 'italic', 'bold-italic'], default: 'normal' },
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        textAnchor: { type: 'string', enum: ['start', 'middle', 'end'], default: 'middle' },
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS
+      }
+    },
+
+    // Measurement annotations; not needed by PuttAnalyzer and may be left out
+    dimensions: {
+      fields: {
+        id: { type: 'string', required: true },
+        type: {
+          type: 'string',
+          enum: ['linear_dimension', 'radial_dimension', 'angular_dimension'],
+          default: 'linear_dimension',
+          severity: 'warning'
+        },
+        center_cm: { type: 'point' },
+        from_cm: { type: 'point' },
+        to_cm: { type: 'point', required: true },
+        offset_cm: { type: 'number' },
+        length_cm: { type: 'number', min: 0, severity: 'warning' },
+        angle_deg: { type: 'number', min: 0, severity: 'warning' },
+        fontSize: { type: 'number', exclusiveMin: 0, default: 2.5, fix: v => Math.abs(v) || 2.5 },
+        fill: COLOR,
+        stroke: COLOR,
+        strokeWidth: STROKE_WIDTH,
+        zOrder: Z_ORDER,
+        ...LAYER_FIELDS
+      },
+      rules: [
+        {
+          test: d => d.type === 'linear_dimension' || Boolean(d.center_cm),
+          message: 'Radial and angular dimensions need center_cm'
+        },
+        {
+          test: d => d.type === 'radial_dimension' || Boolean(d.from_cm),
+          message: 'Linear and angular dimensions need from_cm'
+        }
+      ]
+    },
+
+    // Named layer groups from the editor; not needed by PuttAnalyzer
+    groups: {
+      fields: {
+        id: { type: 'string', required: true },
+        name: { type: 'string', severity: 'warning' },
+        hidden: { type: 'boolean', default: false, severity: 'warning' },
+        locked: { type: 'boolean', default: false, severity: 'warning' }
+      }
+    }
+  },
+
+  // Nested groups of line collections
+  groups: {
+    behind_hole_guides: ['v_lines', 'vertical_guides']
+  }
+};
+
+const KNOWN_TOP_LEVEL = new Set([
+  'metadata', 'mat',
+  ...Object.keys(LAYOUT_SCHEMA.collections),
+  ...Object.keys(LAYOUT_SCHEMA.groups)
+]);
+
+// =====================================================
+// Validation
+// =====================================================
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isPoint = v => v !== null && typeof v === 'object' && isNumber(v.x) && isNumber(v.y);
+
+function checkType(spec, value) {
+  switch (spec.type) {
+    case 'number': return isNumber(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'point': return isPoint(value);
+    case 'points': return Array.isArray(value) && value.every(isPoint);
+    case 'strings': return Array.isArray(value) && value.every(v => typeof v === 'string');
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+function describeType(spec) {
+  if (spec.type === 'point') return 'a point {x, y}';
+  if (spec.type === 'points') return 'an array of points {x, y}';
+  if (spec.type === 'strings') return 'an array of strings';
+  if (spec.type === 'object') return 'an object';
+  return `a ${spec.type}`;
+}
+
+/**
+ * Validate a single object against a field map. Problems are pushed to
+ * `report` and repairs are applied to `item` in place.
+ * Returns false when the object cannot be repaired and must be dropped.
+ */
+function validateFields(fields, item, path, id, report) {
+  let usable = true;
+
+  for (const [key, spec] of Object.entries(fields)) {
+    const value = item[key];
+    const severity = spec.severity || 'error';
+    const fieldPath = `${path}.${key}`;
+
+    if (value === undefined || value === null) {
+      if (!spec.required) continue;
+      if (spec.default !== undefined) {
+        report({ severity, path: fieldPath, id, message: `Missing required field "${key}"`, fix: `use default ${JSON.stringify(spec.default)}` });
+        item[key] = spec.default;
+      } else {
+        report({ severity: 'error', path: fieldPath, id, message: `Missing required field "${key}"`, fix: 'drop element' });
+        usable = false;
+      }
+      continue;
+    }
+
+    if (!checkType(spec, value)) {
+      if (spec.default !== undefined) {
+        report({ severity, path: fieldPath, id, message: `"${key}" must be ${describeType(spec)}`, fix: `use default ${JSON.stringify(spec.default)}` });
+        item[key] = spec.default;
+      } else if (spec.required) {
+        report({ severity: 'error', path: fieldPath, id, message: `"${key}" must be ${describeType(spec)}`, fix: 'drop element' });
+        usable = false;
+      } else {
+        report({ severity, path: fieldPath, id, message: `"${key}" must be ${describeType(spec)}`, fix: 'remove field' });
+        delete item[key];
+      }
+      continue;
+    }
+
+    if (spec.fields) {
+      validateFields(spec.fields, value, fieldPath, id, report);
+      continue;
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      const fix = spec.default !== undefined ? `use default ${JSON.stringify(spec.default)}` : null;
+      report({ severity, path: fieldPath, id, message: `"${key}" is "${value}", expected one of ${spec.enum.join(', ')}`, fix });
+      if (spec.default !== undefined) item[key] = spec.default;
+      continue;
+    }
+
+    const tooSmall = (spec.min !== undefined && value < spec.min) ||
+      (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin);
+    if (tooSmall) {
+      const bound = spec.min !== undefined ? `>= ${spec.min}` : `> ${spec.exclusiveMin}`;
+      const repaired = spec.fix ? spec.fix(value) : spec.default;
+      report({
+        severity,
+        path: fieldPath,
+        id,
+        message: `"${key}" is ${value}, must be ${bound}`,
+        fix: repaired !== undefined ? `set to ${repaired}` : 'drop element'
+      });
+      if (repaired !== undefined) {
+        item[key] = repaired;
+      } else {
+        usable = false;
+      }
+    }
+  }
+
+  for (const key of Object.keys(item)) {
+    if (!(key in fields)) {
+      report({ severity: 'warning', path: `${path}.${key}`, id, message: `Unknown field "${key}" is ignored by the editor`, fix: null });
+    }
+  }
+
+  return usable;
+}
+
+// Points of an element that should lie on the mat
+function elementPoints(item) {
+  const points = [];
+  if (item.center_cm) points.push(item.center_cm);
+  if (item.from_cm) points.push(item.from_cm);
+  if (item.to_cm) points.push(item.to_cm);
+  if (item.position_cm) points.push(item.position_cm);
+  if (item.points_cm) points.push(...item.points_cm);
+  if (item.corners_cm) {
+    points.push(...item.corners_cm);
+  } else if (item.x0_cm !== undefined) {
+    points.push({ x: item.x0_cm, y: item.y0_cm }, { x: item.x1_cm, y: item.y1_cm });
+  }
+  return points;
+}
+
+function validateCollection(name, spec, items, path, mat, seenIds, report) {
+  if (!Array.isArray(items)) {
+    report({ severity: 'error', path, id: null, message: `"${name}" must be an array`, fix: 'drop collection' });
+    return undefined;
+  }
+
+  const kept = [];
+  items.forEach((raw, index) => {
+    const shape = spec.variants?.[raw?.type] ?? spec;
+    const itemPath = `${path}[${index}]`;
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+      report({ severity: 'error', path: itemPath, id: null, message: 'Element must be an object', fix: 'drop element' });
+      return;
+    }
+
+    const item = JSON.parse(JSON.stringify(raw));
+    const id = typeof item.id === 'string' ? item.id : null;
+
+    if (!id) {
+      const generated = `${name}_${index + 1}`;
+      report({ severity: 'error', path: `${itemPath}.id`, id: null, message: 'Missing element id', fix: `use "${generated}"` });
+      item.id = generated;
+    }
+
+    if (!validateFields(shape.fields, item, itemPath, item.id, report)) return;
+
+    for (const rule of shape.rules || []) {
+      if (rule.test(item)) continue;
+      report({
+        severity: rule.severity || 'error',
+        path: itemPath,
+        id: item.id,
+        message: rule.message,
+        fix: rule.drop ? 'drop element' : (rule.fix ? rule.fixDescription : null)
+      });
+      if (rule.drop) return;
+      if (rule.fix) rule.fix(item);
+    }
+
+    if (mat && elementPoints(item).some(p => p.x < 0 || p.y < 0 || p.x > mat.width_cm || p.y > mat.length_cm)) {
+      report({ severity: 'warning', path: itemPath, id: item.id, message: 'Element extends outside the mat', fix: null });
+    }
+
+    if (seenIds.has(item.id)) {
+      let n = 2;
+      while (seenIds.has(`${item.id}_${n}`)) n++;
+      const renamed = `${item.id}_${n}`;
+      report({ severity: 'error', path: `${itemPath}.id`, id: item.id, message: `Duplicate id "${item.id}"`, fix: `rename to "${renamed}"` });
+      item.id = renamed;
+    }
+    seenIds.add(item.id);
+
+    kept.push(item);
+  });
+
+  return kept;
+}
+
+/**
+ * Validate a parsed layout.json object.
+ *
+ * Returns `{ errors, warnings, fixed }` where each diagnostic is
+ * `{ severity, path, id, message, fix }` and `fixed` is a repaired copy of
+ * the layout (or null if the input is not a layout object at all).
+ */
+export function validateLayout(json) {
+  const diagnostics = [];
+  const report = (d) => diagnostics.push(d);
+
+  if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+    report({ severity: 'error', path: '$', id: null, message: 'Layout must be a JSON object', fix: null });
+    return summarize(diagnostics, null);
+  }
+
+  const fixed = JSON.parse(JSON.stringify(json));
+
+  for (const key of Object.keys(fixed)) {
+    if (!KNOWN_TOP_LEVEL.has(key)) {
+      report({ severity: 'warning', path: `$.${key}`, id: null, message: `Unknown section "${key}" is ignored by the editor`, fix: null });
+    }
+  }
+
+  if (fixed.mat === undefined) {
+    report({ severity: 'warning', path: '$.mat', id: null, message: 'Missing "mat" section', fix: 'use default 50 x 400 cm mat' });
+    fixed.mat = { width_cm: 50, length_cm: 400, origin: 'top_left', units: 'cm' };
+  } else if (fixed.mat === null || typeof fixed.mat !== 'object') {
+    report({ severity: 'error', path: '$.mat', id: null, message: '"mat" must be an object', fix: 'use default 50 x 400 cm mat' });
+    fixed.mat = { width_cm: 50, length_cm: 400, origin: 'top_left', units: 'cm' };
+  } else {
+    validateFields(LAYOUT_SCHEMA.mat.fields, fixed.mat, '$.mat', null, report);
+  }
+
+  const seenIds = new Set();
+
+  for (const [name, spec] of Object.entries(LAYOUT_SCHEMA.collections)) {
+    if (fixed[name] === undefined) continue;
+    const kept = validateCollection(name, spec, fixed[name], `$.${name}`, fixed.mat, seenIds, report);
+    if (kept === undefined) {
+      delete fixed[name];
+    } else {
+      fixed[name] = kept;
+    }
+  }
+
+  for (const [group, members] of Object.entries(LAYOUT_SCHEMA.groups)) {
+    if (fixed[group] === undefined) continue;
+    if (fixed[group] === null || typeof fixed[group] !== 'object') {
+      report({ severity: 'error', path: `$.${group}`, id: null, message: `"${group}" must be an object`, fix: 'drop section' });
+      delete fixed[group];
+      continue;
+    }
+    for (const member of members) {
+      if (fixed[group][member] === undefined) continue;
+      const kept = validateCollection(member, LAYOUT_SCHEMA.collections.lines, fixed[group][member], `$.${group}.${member}`, fixed.mat, seenIds, report);
+      if (kept === undefined) {
+        delete fixed[group][member];
+      } else {
+        fixed[group][member] = kept;
+      }
+    }
+  }
+
+  return summarize(diagnostics, fixed);
+}
+
+function summarize(diagnostics, fixed) {
+  return {
+    errors: diagnostics.filter(d => d.severity === 'error'),
+    warnings: diagnostics.filter(d => d.severity === 'warning'),
+    fixed
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Mat Layout Editor - Snapping
+ *
+ * Smart guides: where a dragged selection or point should land given the
+ * grid, the other elements and the mat, together with the guides that show
+ * why. Tolerances are in cm (the editor converts them from screen pixels).
+ * Dimension annotations never attract snaps. No DOM dependencies.
+ *
+ * Guides are plain objects the renderer draws:
+ *   { kind: 'align', from, to }           - a shared edge, center or point
+ *   { kind: 'spacing', from, to, label }  - one of two or more equal gaps
+ *   { kind: 'point', at }                 - the key point or outline spot hit
+ *   { kind: 'ring', center, radius }      - a matched concentric radius
+ */
+
+import { distance, polarPoint, closestPointOnArc, closestPointOnSegment } from './geometry.js';
+
+// Snap kinds the editor can switch on and off, besides the grid
+export const SNAP_TYPES = {
+  points: 'Key points',
+  alignment: 'Alignment guides',
+  outlines: 'Circle, arc and sector outlines',
+  spacing: 'Equal spacing'
+};
+
+// Values closer than this share a guide
+const EPSILON = 1e-6;
+
+// Round to the nearest multiple of `step`; a step of 0 leaves the value alone
+export const snapToStep = (value, step) => step > 0 ? Math.round(value / step) * step : value;
+
+const AXES = {
+  x: { lo: 'minX', hi: 'maxX', crossLo: 'minY', crossHi: 'maxY' },
+  y: { lo: 'minY', hi: 'maxY', crossLo: 'minX', crossHi: 'maxX' }
+};
+
+const other = (axis) => axis === 'x' ? 'y' : 'x';
+
+// Elements that can attract a snap; hidden layers never do
+const snapSources = (doc, exclude) =>
+  doc.getVisibleElements().filter(element => !exclude.has(element.id) && element.type !== 'dimension');
+
+// =====================================================
+// Alignment
+// =====================================================
+
+/**
+ * Values a dragged edge, center or point can line up with on each axis,
+ * each with the span across the axis of whatever produced it: the bounding
+ * box edges and centers and the key points of other elements, plus the mat
+ * edges and centerlines.
+ */
+function alignmentTargets(doc, exclude) {
+  const { width_cm: width, length_cm: length } = doc.mat;
+  const targets = {
+    x: [0, width / 2, width].map(value => ({ value, min: 0, max: length })),
+    y: [0, length / 2, length].map(value => ({ value, min: 0, max: width }))
+  };
+
+  for (const element of snapSources(doc, exclude)) {
+    const bounds = doc.getElementBounds(element);
+    if (!bounds) continue;
+    for (const axis of ['x', 'y']) {
+      const { lo, hi, crossLo, crossHi } = AXES[axis];
+      for (const value of [bounds[lo], (bounds[lo] + bounds[hi]) / 2, bounds[hi]]) {
+        targets[axis].push({ value, min: bounds[crossLo], max: bounds[crossHi] });
+      }
+    }
+    for (const p of doc.getSnapPoints(element)) {
+      targets.x.push({ value: p.x, min: p.y, max: p.y });
+      targets.y.push({ value: p.y, min: p.x, max: p.x });
+    }
+  }
+  return targets;
+}
+
+// Smallest shift within `tolerance` that lands one of `values` on a target, or null
+function nearestAlignment(values, targets, tolerance) {
+  let best = null;
+  for (const value of values) {
+    for (const target of targets) {
+      const shift = target.value - value;
+      if (Math.abs(shift) <= tolerance && (best === null || Math.abs(shift) < Math.abs(best))) best = shift;
+    }
+  }
+  return best;
+}
+
+// One guide per target value that any of `values` now sits on, spanning both
+function alignmentGuides(axis, values, span, targets) {
+  const spans = new Map();
+  for (const target of targets) {
+    if (!values.some(value => Math.abs(target.value - value) < EPSILON)) continue;
+    const current = spans.get(target.value) ?? span;
+    spans.set(target.value, { min: Math.min(current.min, target.min), max: Math.max(current.max, target.max) });
+  }
+  return [...spans].map(([value, { min, max }]) => ({
+    kind: 'align',
+    from: { [axis]: value, [other(axis)]: min },
+    to: { [axis]: value, [other(axis)]: max }
+  }));
+}
+
+// =====================================================
+// Equal Spacing
+// =====================================================
+
+/**
+ * Shift along `axis` that evens out the gaps around `box`: centring it
+ * between its nearest neighbours, or repeating the gap between a neighbour
+ * and the next one out. Only boxes overlapping it across the axis count.
+ * Returns { shift, gaps } where each gap pairs two boxes (null standing for
+ * the moved box), or null when nothing is within tolerance.
+ */
+function nearestSpacing(axis, box, boxes, tolerance) {
+  const { lo, hi, crossLo, crossHi } = AXES[axis];
+  const row = boxes.filter(b => b[crossLo] <= box[crossHi] && b[crossHi] >= box[crossLo]);
+  const center = (box[lo] + box[hi]) / 2;
+  const size = box[hi] - box[lo];
+  const before = row.filter(b => b[hi] <= center).sort((a, b) => b[hi] - a[hi]);
+  const after = row.filter(b => b[lo] >= center).sort((a, b) => a[lo] - b[lo]);
+  const [previous] = before;
+  const [next] = after;
+
+  const options = [];
+  if (previous && next && next[lo] - previous[hi] >= size) {
+    options.push({ start: (previous[hi] + next[lo] - size) / 2, gaps: [[previous, null], [null, next]] });
+  }
+  const beyondPrevious = previous && before.find(b => b[hi] <= previous[lo]);
+  if (beyondPrevious) {
+    options.push({
+      start: previous[hi] + previous[lo] - beyondPrevious[hi],
+      gaps: [[beyondPrevious, previous], [previous, null]]
+    });
+  }
+  const beyondNext = next && after.find(b => b[lo] >= next[hi]);
+  if (beyondNext) {
+    options.push({
+      start: next[lo] - (beyondNext[lo] - next[hi]) - size,
+      gaps: [[null, next], [next, beyondNext]]
+    });
+  }
+
+  let best = null;
+  for (const { start, gaps } of options) {
+    const shift = start - box[lo];
+    if (Math.abs(shift) <= tolerance && (!best || Math.abs(shift) < Math.abs(best.shift))) best = { shift, gaps };
+  }
+  return best;
+}
+
+// Guides measuring each gap, drawn through the middle of the two boxes' overlap
+function spacingGuides(axis, gaps, box) {
+  const { lo, hi, crossLo, crossHi } = AXES[axis];
+  return gaps.map(([a, b]) => {
+    const first = a ?? box;
+    const second = b ?? box;
+    const cross = (Math.max(first[crossLo], second[crossLo]) + Math.min(first[crossHi], second[crossHi])) / 2;
+    return {
+      kind: 'spacing',
+      from: { [axis]: first[hi], [other(axis)]: cross },
+      to: { [axis]: second[lo], [other(axis)]: cross },
+      label: (second[lo] - first[hi]).toFixed(1)
+    };
+  });
+}
+
+// =====================================================
+// Snapping
+// =====================================================
+
+/*
+ * Every snap takes the same options:
+ *   grid       - grid step in cm, 0 when grid snapping is off
+ *   tolerance  - how far (cm) a value may be pulled onto a guide
+ *   points, alignment, outlines, spacing - which SNAP_TYPES are active
+ *   exclude    - ids that never attract (the elements being dragged)
+ */
+
+/**
+ * Where a selection dragged by (dx, dy) should land. `selection` has the
+ * bounds and key points of the dragged elements before the drag and the
+ * anchor that falls back to the grid. Each axis tries alignment, then equal
+ * spacing, then the grid. Returns the adjusted { dx, dy } and the guides.
+ */
+export function snapMove(doc, { bounds, points, anchor }, dx, dy, options) {
+  const exclude = new Set(options.exclude ?? []);
+  const targets = options.alignment ? alignmentTargets(doc, exclude) : null;
+  const boxes = options.spacing
+    ? snapSources(doc, exclude).map(element => doc.getElementBounds(element)).filter(Boolean)
+    : [];
+  const offset = { x: dx, y: dy };
+  const moved = () => ({
+    minX: bounds.minX + offset.x, maxX: bounds.maxX + offset.x,
+    minY: bounds.minY + offset.y, maxY: bounds.maxY + offset.y
+  });
+  const valuesOn = (axis, box) => {
+    const { lo, hi } = AXES[axis];
+    return [box[lo], (box[lo] + box[hi]) / 2, box[hi], ...points.map(p => p[axis] + offset[axis])];
+  };
+
+  const spacing = {};
+  for (const axis of ['x', 'y']) {
+    let shift = targets ? nearestAlignment(valuesOn(axis, moved()), targets[axis], options.tolerance) : null;
+    if (shift === null && options.spacing) {
+      spacing[axis] = nearestSpacing(axis, moved(), boxes, options.tolerance);
+      shift = spacing[axis]?.shift ?? null;
+    }
+    if (shift === null) shift = snapToStep(anchor[axis] + offset[axis], options.grid) - anchor[axis] - offset[axis];
+    offset[axis] += shift;
+  }
+
+  const box = moved();
+  const guides = [];
+  for (const axis of ['x', 'y']) {
+    const { crossLo, crossHi } = AXES[axis];
+    if (targets) guides.push(...alignmentGuides(axis, valuesOn(axis, box), { min: box[crossLo], max: box[crossHi] }, targets[axis]));
+    if (spacing[axis]) guides.push(...spacingGuides(axis, spacing[axis].gaps, box));
+  }
+  return { dx: offset.x, dy: offset.y, guides };
+}
+
+// Nearest spot on the curved outlines and radial edges of a circle, arc or sector
+function closestOnOutline(element, point) {
+  const c = element.center_cm;
+  switch (element.type) {
+    case 'circle':
+    case 'marker':
+      return closestPointOnArc(point, c, element.radius_cm, 0, 360);
+    case 'arc':
+      return closestPointOnArc(point, c, element.radius_cm, element.startAngle || 0, element.endAngle);
+    case 'sector': {
+      const { innerRadius_cm: rIn, outerRadius_cm: rOut } = element;
+      const start = element.startAngle || 0;
+      const candidates = [
+        closestPointOnArc(point, c, rOut, start, element.endAngle),
+        ...[start, element.endAngle].map(a => closestPointOnSegment(point, polarPoint(c, rIn, a), polarPoint(c, rOut, a)))
+      ];
+      if (rIn > 0) candidates.push(closestPointOnArc(point, c, rIn, start, element.endAngle));
+      return candidates.reduce((best, p) => distance(p, point) < distance(best, point) ? p : best);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Where a dragged or clicked point should land: the nearest key point, else
+ * the nearest spot on a circle, arc or sector outline, else alignment with
+ * other elements and the mat on each axis, with the grid filling in any axis
+ * left over. Returns { x, y, guides }, plus `role` and `element` when the
+ * point landed on an element.
+ */
+export function snapPoint(doc, point, options) {
+  const sources = snapSources(doc, new Set(options.exclude ?? []));
+  const { tolerance } = options;
+
+  if (options.points) {
+    let best = null;
+    let bestDistance = tolerance;
+    for (const element of sources) {
+      for (const key of doc.getSnapPoints(element)) {
+        const d = distance(key, point);
+        if (d <= bestDistance) {
+          best = { ...key, element };
+          bestDistance = d;
+        }
+      }
+    }
+    if (best) return { ...best, guides: [{ kind: 'point', at: { x: best.x, y: best.y } }] };
+  }
+
+  if (options.outlines) {
+    let best = null;
+    let bestDistance = tolerance;
+    for (const element of sources) {
+      const spot = closestOnOutline(element, point);
+      if (spot && distance(spot, point) <= bestDistance) {
+        best = { ...spot, role: 'outline', element };
+        bestDistance = distance(spot, point);
+      }
+    }
+    if (best) return { ...best, guides: [{ kind: 'point', at: { x: best.x, y: best.y } }] };
+  }
+
+  const targets = options.alignment ? alignmentTargets(doc, new Set(options.exclude ?? [])) : null;
+  const snapped = { x: point.x, y: point.y };
+  for (const axis of ['x', 'y']) {
+    const shift = targets ? nearestAlignment([point[axis]], targets[axis], tolerance) : null;
+    snapped[axis] = shift === null ? snapToStep(point[axis], options.grid) : point[axis] + shift;
+  }
+  const guides = targets
+    ? ['x', 'y'].flatMap(axis => {
+      const cross = snapped[other(axis)];
+      return alignmentGuides(axis, [snapped[axis]], { min: cross, max: cross }, targets[axis]);
+    })
+    : [];
+  return { ...snapped, guides };
+}
+
+/**
+ * A radius of another circle, arc or sector ring sharing `element`'s center
+ * within tolerance of `radius`, as { radius, guides }, or null.
+ */
+export function snapRadius(doc, element, radius, options) {
+  if (!options.outlines || !element.center_cm) return null;
+  let best = null;
+  for (const source of snapSources(doc, new Set([element.id]))) {
+    if (!source.center_cm || distance(source.center_cm, element.center_cm) > 0.1) continue;
+    for (const r of [source.radius_cm, source.innerRadius_cm, source.outerRadius_cm]) {
+      if (!(r > 0) || Math.abs(r - radius) > options.tolerance) continue;
+      if (best === null || Math.abs(r - radius) < Math.abs(best - radius)) best = r;
+    }
+  }
+  return best === null ? null : { radius: best, guides: [{ kind: 'ring', center: { ...element.center_cm }, radius: best }] };
+}
@@ -0,0 +1,110 @@
+/**
+ * Mat Layout Editor - Browser Storage
+ *
+ * Promise wrappers around the IndexedDB database that holds the auto-saved
+ * editing session and the layout library. Every function rejects when
+ * IndexedDB is unavailable (private browsing, file:// in some browsers), so
+ * callers can degrade to download-only saving.
+ */
+
+const DB_NAME = 'mat-layout-editor';
+const DB_VERSION = 2;
+const SESSION_STORE = 'sessions';
+const LAYOUT_STORE = 'layouts';
+const AUTOSAVE_KEY = 'autosave';
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+      db.createObjectStore(SESSION_STORE);
+    }
+    if (!db.objectStoreNames.contains(LAYOUT_STORE)) {
+      db.createObjectStore(LAYOUT_STORE, { keyPath: 'id', autoIncrement: true });
+    }
+  };
+  dbPromise = requestToPromise(request).catch(err => {
+    dbPromise = null; // Allow a later retry
+    throw err;
+  });
+  return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+  const db = await openDatabase();
+  const tx = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await requestToPromise(fn(tx.objectStore(name)));
+  await done;
+  return result;
+}
+
+// =====================================================
+// Auto-saved session
+// =====================================================
+
+/**
+ * Store the current layout as the recoverable session.
+ * `layout` is the document's JSON; `savedAt` is a millisecond timestamp.
+ */
+export function saveSession(layout, savedAt = Date.now()) {
+  return withStore(SESSION_STORE, 'readwrite', store => store.put({ layout, savedAt }, AUTOSAVE_KEY));
+}
+
+// Resolves to { layout, savedAt } or null when there is nothing to recover
+export async function loadSession() {
+  const record = await withStore(SESSION_STORE, 'readonly', store => store.get(AUTOSAVE_KEY));
+  return record?.layout ? record : null;
+}
+
+export function clearSession() {
+  return withStore(SESSION_STORE, 'readwrite', store => store.delete(AUTOSAVE_KEY));
+}
+
+// =====================================================
+// Layout library
+// =====================================================
+
+/*
+ * Library records look like
+ *   { id, name, layout, thumbnail, createdAt, updatedAt }
+ * where `layout` is the document's JSON and `thumbnail` an SVG string.
+ */
+
+// All saved layouts, most recently updated first
+export async function listLayouts() {
+  const records = await withStore(LAYOUT_STORE, 'readonly', store => store.getAll());
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export function getLayout(id) {
+  return withStore(LAYOUT_STORE, 'readonly', store => store.get(id));
+}
+
+// Insert (no `id`) or replace a record; resolves to its id
+export function putLayout(record) {
+  return withStore(LAYOUT_STORE, 'readwrite', store => store.put(record));
+}
+
+export function deleteLayout(id) {
+  return withStore(LAYOUT_STORE, 'readwrite', store => store.delete(id));
+}
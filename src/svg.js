@@ -0,0 +1,464 @@
+/**
+ * Mat Layout Editor - SVG Builder
+ *
+ * Turns document elements into SVG node descriptions ({ tag, attrs, text },
+ * or { tag, attrs, children } for groups). The interactive CanvasRenderer
+ * materializes them as DOM nodes; the export functions and the CLI serialize
+ * them to markup without needing a browser.
+ */
+
+import { angleBetween, angleTo, distance, midpoint, normalizeAngle, polarPoint, sweepOf } from './geometry.js';
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// =====================================================
+// Path Geometry
+// =====================================================
+
+/*
+ * Angles follow the mat's screen coordinates: 0° points along +x (across the
+ * mat to the right) and angles grow clockwise, so 90° points down the mat
+ * towards the player. Arcs and sectors sweep clockwise from startAngle to
+ * endAngle, wrapping past 360° (340° to 20° is a 40° wedge); equal angles or
+ * a 360° difference give a full circle or ring. Layouts saved in another
+ * angle convention are converted on load (see ANGLE_CONVENTIONS).
+ */
+
+// SVG arc commands continuing from the point at `startDeg`, split into
+// halves when needed because a single arc command cannot draw a full turn
+function arcCommands(center, r, startDeg, sweep) {
+  const steps = Math.abs(sweep) > 180 ? 2 : 1;
+  const commands = [];
+  for (let i = 1; i <= steps; i++) {
+    const p = polarPoint(center, r, startDeg + sweep * i / steps);
+    commands.push(`A ${r} ${r} 0 0 ${sweep > 0 ? 1 : 0} ${p.x} ${p.y}`);
+  }
+  return commands.join(' ');
+}
+
+export function createArcPath(element) {
+  const r = element.radius_cm;
+  const startAngle = element.startAngle || 0;
+  const sweep = sweepOf(startAngle, element.endAngle ?? 360);
+  const start = polarPoint(element.center_cm, r, startAngle);
+
+  return `M ${start.x} ${start.y} ${arcCommands(element.center_cm, r, startAngle, sweep)}`;
+}
+
+export function createSectorPath(element) {
+  const c = element.center_cm;
+  const rIn = element.innerRadius_cm;
+  const rOut = element.outerRadius_cm;
+  const startAngle = element.startAngle || 0;
+  const sweep = sweepOf(startAngle, element.endAngle ?? 90);
+  const endAngle = startAngle + sweep;
+
+  const outerStart = polarPoint(c, rOut, startAngle);
+  const outer = `M ${outerStart.x} ${outerStart.y} ${arcCommands(c, rOut, startAngle, sweep)}`;
+
+  // A full ring is two closed circles, the inner one wound the other way to
+  // cut the hole, so no seam is drawn along the start angle
+  if (sweep === 360) {
+    if (rIn <= 0) return `${outer} Z`;
+    const innerStart = polarPoint(c, rIn, startAngle);
+    return `${outer} Z M ${innerStart.x} ${innerStart.y} ${arcCommands(c, rIn, startAngle, -sweep)} Z`;
+  }
+
+  // Outer arc forwards, across to the inner arc, inner arc back to the start
+  const innerEnd = polarPoint(c, rIn, endAngle);
+  return `${outer} L ${innerEnd.x} ${innerEnd.y} ${arcCommands(c, rIn, endAngle, -sweep)} Z`;
+}
+
+// Points a Bezier curve is defined by; splines take any number
+export const CURVE_POINT_COUNTS = { quadratic: 3, cubic: 4 };
+
+/**
+ * Cubic Bezier segments [p0, c1, c2, p3] of a curve element. Quadratic
+ * curves are degree-elevated; splines pass through every point
+ * (Catmull-Rom, with the end points repeated). A Bezier curve with the
+ * wrong number of points is treated as a spline through them.
+ */
+export function curveSegments(element) {
+  const p = element.points_cm;
+  const curveType = p.length === CURVE_POINT_COUNTS[element.curveType] ? element.curveType : 'spline';
+  switch (curveType) {
+    case 'quadratic': {
+      const [p0, q, p2] = p;
+      return [[
+        p0,
+        { x: p0.x + (q.x - p0.x) * 2 / 3, y: p0.y + (q.y - p0.y) * 2 / 3 },
+        { x: p2.x + (q.x - p2.x) * 2 / 3, y: p2.y + (q.y - p2.y) * 2 / 3 },
+        p2
+      ]];
+    }
+    case 'cubic':
+      return [[p[0], p[1], p[2], p[3]]];
+    default: {
+      const segments = [];
+      for (let i = 0; i < p.length - 1; i++) {
+        const p0 = p[Math.max(0, i - 1)];
+        const p1 = p[i];
+        const p2 = p[i + 1];
+        const p3 = p[Math.min(p.length - 1, i + 2)];
+        segments.push([
+          p1,
+          { x: p1.x + (p2.x - p0.x) / 6, y: p1.y + (p2.y - p0.y) / 6 },
+          { x: p2.x - (p3.x - p1.x) / 6, y: p2.y - (p3.y - p1.y) / 6 },
+          p2
+        ]);
+      }
+      return segments;
+    }
+  }
+}
+
+export function createCurvePath(element) {
+  const segments = curveSegments(element);
+  if (segments.length === 0) return '';
+  const [start] = segments[0];
+  return `M ${start.x} ${start.y} ` + segments
+    .map(([, c1, c2, end]) => `C ${c1.x} ${c1.y} ${c2.x} ${c2.y} ${end.x} ${end.y}`)
+    .join(' ');
+}
+
+/**
+ * Points along a curve, `steps` per segment, for bounds and length.
+ */
+export function sampleCurve(element, steps = 32) {
+  const points = [];
+  for (const [p0, c1, c2, p3] of curveSegments(element)) {
+    for (let i = points.length === 0 ? 0 : 1; i <= steps; i++) {
+      const t = i / steps;
+      const u = 1 - t;
+      const a = u * u * u;
+      const b = 3 * u * u * t;
+      const c = 3 * u * t * t;
+      const d = t * t * t;
+      points.push({
+        x: a * p0.x + b * c1.x + c * c2.x + d * p3.x,
+        y: a * p0.y + b * c1.y + c * c2.y + d * p3.y
+      });
+    }
+  }
+  return points;
+}
+
+export function curveLength(element) {
+  const points = sampleCurve(element, 64);
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += distance(points[i - 1], points[i]);
+  }
+  return length;
+}
+
+// =====================================================
+// Dimensions
+// =====================================================
+
+const DIMENSION_STROKE = '#ffd33d';
+
+// Rotation that keeps text running along a direction upright
+function readableRotation(degrees) {
+  const angle = normalizeAngle(degrees);
+  if (angle > 270) return angle - 360;
+  return angle > 90 ? angle - 180 : angle;
+}
+
+/**
+ * What a dimension measures: cm between from and to (linear), cm from the
+ * center to to (radial), or the degrees of the smaller angle at the center
+ * between the legs to from and to (angular).
+ */
+export function dimensionValue(element) {
+  switch (element.kind) {
+    case 'radial':
+      return distance(element.center_cm, element.to_cm);
+    case 'angular':
+      return angleBetween(element.center_cm, element.from_cm, element.to_cm);
+    default:
+      return distance(element.from_cm, element.to_cm);
+  }
+}
+
+export function dimensionLabel(element) {
+  const value = dimensionValue(element).toFixed(1);
+  if (element.kind === 'angular') return `${value}°`;
+  return element.kind === 'radial' ? `R ${value} cm` : `${value} cm`;
+}
+
+/**
+ * A dimension annotation as the plain line, arc and text elements that draw
+ * it, so the SVG and PDF builders reuse their own drawing for each part.
+ * Linear dimensions sit `offset_cm` to the left of from -> to (negative for
+ * the right) with extension lines back to the measured points; angular ones
+ * draw their arc at radius `offset_cm`, or halfway along the shorter leg.
+ */
+export function dimensionParts(element) {
+  const stroke = element.stroke && element.stroke !== 'none' ? element.stroke : DIMENSION_STROKE;
+  const strokeWidth = element.strokeWidth || 0.3;
+  const fontSize = element.fontSize || 2.5;
+  const line = (from, to) => ({ type: 'line', from_cm: from, to_cm: to, stroke, strokeWidth });
+  const label = (position, rotation) => ({
+    type: 'text', position_cm: position, text: dimensionLabel(element), rotation, fontSize, fill: stroke
+  });
+  // Short 45° slash marking where a dimension line ends
+  const tick = (p, angle) => line(polarPoint(p, fontSize * 0.4, angle - 45), polarPoint(p, -fontSize * 0.4, angle - 45));
+
+  switch (element.kind) {
+    case 'radial': {
+      const { center_cm: c, to_cm: to } = element;
+      const angle = angleTo(c, to);
+      return [line(c, to), tick(to, angle), label(polarPoint(midpoint(c, to), fontSize * 0.8, angle - 90), readableRotation(angle))];
+    }
+
+    case 'angular': {
+      const { center_cm: c, from_cm: from, to_cm: to } = element;
+      const turn = normalizeAngle(angleTo(c, to) - angleTo(c, from));
+      // Arc over the smaller angle, clockwise from whichever leg starts it
+      const start = turn > 180 ? angleTo(c, to) : angleTo(c, from);
+      const sweep = turn > 180 ? 360 - turn : turn;
+      const radius = element.offset_cm || Math.min(distance(c, from), distance(c, to)) / 2 || fontSize * 2;
+      const parts = [line(c, from), line(c, to)];
+      if (sweep > 0) {
+        parts.push({ type: 'arc', center_cm: c, radius_cm: radius, startAngle: start, endAngle: start + sweep, stroke, strokeWidth });
+      }
+      parts.push(label(polarPoint(c, radius + fontSize, start + sweep / 2), 0));
+      return parts;
+    }
+
+    default: {
+      const { from_cm: from, to_cm: to } = element;
+      const angle = angleTo(from, to);
+      const offset = element.offset_cm || 0;
+      const side = offset < 0 ? -1 : 1;
+      const shift = (p, d) => polarPoint(p, d, angle - 90);
+      const start = shift(from, offset);
+      const end = shift(to, offset);
+      const parts = [line(start, end), tick(start, angle), tick(end, angle)];
+      if (offset !== 0) {
+        const overshoot = side * fontSize * 0.4;
+        parts.push(line(from, shift(from, offset + overshoot)), line(to, shift(to, offset + overshoot)));
+      }
+      parts.push(label(shift(midpoint(start, end), side * fontSize * 0.8), readableRotation(angle)));
+      return parts;
+    }
+  }
+}
+
+// =====================================================
+// Node Descriptions
+// =====================================================
+
+const DASH_ARRAYS = { dashed: '10, 5', dotted: '2, 4' };
+
+export function describeMat(mat) {
+  return {
+    tag: 'rect',
+    attrs: {
+      x: 0,
+      y: 0,
+      width: mat.width_cm,
+      height: mat.length_cm,
+      fill: mat.color,
+      class: 'mat-background'
+    }
+  };
+}
+
+/**
+ * Describe how an element is drawn. Returns null for unknown types.
+ */
+export function describeElement(element) {
+  const attrs = {};
+  let tag;
+  let text;
+  let children;
+
+  switch (element.type) {
+    case 'rect':
+      tag = 'rect';
+      attrs.x = Math.min(element.x0_cm, element.x1_cm);
+      attrs.y = Math.min(element.y0_cm, element.y1_cm);
+      attrs.width = Math.abs(element.x1_cm - element.x0_cm);
+      attrs.height = Math.abs(element.y1_cm - element.y0_cm);
+      attrs.fill = element.fill || 'rgba(74, 158, 255, 0.3)';
+      if (element.stroke && element.stroke !== 'none') {
+        attrs.stroke = element.stroke;
+        attrs['stroke-width'] = element.strokeWidth || 1;
+      }
+      if (element.rotation) {
+        const pivot = element.pivot_cm ?? { x: attrs.x + attrs.width / 2, y: attrs.y + attrs.height / 2 };
+        attrs.transform = `rotate(${element.rotation}, ${pivot.x}, ${pivot.y})`;
+      }
+      break;
+
+    case 'polygon':
+    case 'polyline':
+      tag = element.type;
+      attrs.points = element.points_cm.map(p => `${p.x},${p.y}`).join(' ');
+      attrs.fill = element.type === 'polygon' ? (element.fill || 'rgba(74, 158, 255, 0.3)') : 'none';
+      if (element.stroke && element.stroke !== 'none') {
+        attrs.stroke = element.stroke;
+        attrs['stroke-width'] = element.strokeWidth || 1;
+        attrs['stroke-linejoin'] = 'round';
+      }
+      break;
+
+    case 'circle':
+    case 'marker':
+      tag = 'circle';
+      attrs.cx = element.center_cm.x;
+      attrs.cy = element.center_cm.y;
+      attrs.r = element.radius_cm;
+      attrs.fill = element.fill || '#333';
+      attrs.stroke = element.stroke || '#fff';
+      attrs['stroke-width'] = element.strokeWidth || 0.5;
+      break;
+
+    case 'line':
+      tag = 'line';
+      attrs.x1 = element.from_cm.x;
+      attrs.y1 = element.from_cm.y;
+      attrs.x2 = element.to_cm.x;
+      attrs.y2 = element.to_cm.y;
+
+      // Line Style
+      if (DASH_ARRAYS[element.lineStyle]) {
+        attrs['stroke-dasharray'] = DASH_ARRAYS[element.lineStyle];
+      }
+      attrs.stroke = element.stroke || '#fff';
+      attrs['stroke-width'] = element.strokeWidth || 1;
+      break;
+
+    case 'curve':
+      tag = 'path';
+      attrs.d = createCurvePath(element);
+      attrs.fill = 'none';
+      if (DASH_ARRAYS[element.lineStyle]) {
+        attrs['stroke-dasharray'] = DASH_ARRAYS[element.lineStyle];
+      }
+      attrs.stroke = element.stroke || '#fff';
+      attrs['stroke-width'] = element.strokeWidth || 1;
+      attrs['stroke-linecap'] = 'round';
+      break;
+
+    case 'arc':
+      tag = 'path';
+      attrs.d = createArcPath(element);
+      attrs.fill = 'none';
+      attrs.stroke = element.stroke || '#fff';
+      attrs['stroke-width'] = element.strokeWidth || 1;
+      break;
+
+    case 'text':
+      tag = 'text';
+      attrs.x = element.position_cm.x;
+      attrs.y = element.position_cm.y;
+      text = element.text || 'Label';
+
+      // Font styling
+      attrs['font-family'] = element.fontFamily || 'Inter, sans-serif';
+      attrs['font-size'] = `${element.fontSize || 3}px`;
+      attrs['text-anchor'] = element.textAnchor || 'middle';
+      attrs['dominant-baseline'] = 'middle'; // Vertical centering
+
+      // Font Style logic
+      if (element.fontStyle && element.fontStyle.includes('bold')) {
+        attrs['font-weight'] = 'bold';
+      }
+      if (element.fontStyle && element.fontStyle.includes('italic')) {
+        attrs['font-style'] = 'italic';
+      }
+
+      // Rotation
+      if (element.rotation) {
+        attrs.transform = `rotate(${element.rotation}, ${element.position_cm.x}, ${element.position_cm.y})`;
+      }
+
+      attrs.fill = element.fill || '#ffffff';
+      // Text usually doesn't have a stroke unless specified for outline effect, ignoring general element.stroke for now unless we add text outline prop
+      break;
+
+    case 'sector':
+      tag = 'path';
+      attrs.d = createSectorPath(element);
+      attrs.fill = element.fill || 'rgba(255, 165, 0, 0.5)';
+      if (element.stroke && element.stroke !== 'none') {
+        attrs.stroke = element.stroke;
+        attrs['stroke-width'] = element.strokeWidth || 1;
+      }
+      break;
+
+    case 'dimension':
+      tag = 'g';
+      children = dimensionParts(element).map(describeElement);
+      break;
+
+    default:
+      return null;
+  }
+
+  return children ? { tag, attrs, children } : { tag, attrs, text };
+}
+
+export function sortByZOrder(elements) {
+  return [...elements].sort((a, b) => (a.zOrder || 0) - (b.zOrder || 0));
+}
+
+// =====================================================
+// Serialization
+// =====================================================
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export function serializeNode({ tag, attrs, text, children }) {
+  const attrText = Object.entries(attrs)
+    .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+    .join('');
+  if (children) {
+    return `<${tag}${attrText}>${children.map(serializeNode).join('')}</${tag}>`;
+  }
+  if (text === undefined) {
+    return `<${tag}${attrText}/>`;
+  }
+  return `<${tag}${attrText}>${escapeXML(text)}</${tag}>`;
+}
+
+/**
+ * Standalone SVG markup for a document: mat background plus all visible
+ * elements in z-order, without grid, handles or selection styling.
+ *
+ * @param {MatDocument} doc
+ * @param {object} [options]
+ * @param {number} [options.scale=10] Pixels per cm for the width/height attributes
+ * @param {boolean} [options.background=true] Draw the mat background
+ * @param {number} [options.bleed_cm=0] Extra margin around the mat; the
+ *   background is extended into it so trimming leaves no unprinted edge
+ */
+export function renderLayoutSVG(doc, { scale = 10, background = true, bleed_cm = 0 } = {}) {
+  const width_cm = doc.mat.width_cm + bleed_cm * 2;
+  const length_cm = doc.mat.length_cm + bleed_cm * 2;
+  const nodes = [];
+
+  if (background) {
+    const mat = describeMat(doc.mat);
+    Object.assign(mat.attrs, { x: -bleed_cm, y: -bleed_cm, width: width_cm, height: length_cm });
+    nodes.push(serializeNode(mat));
+  }
+  for (const element of sortByZOrder(doc.getVisibleElements())) {
+    const node = describeElement(element);
+    if (node) {
+      node.attrs['data-id'] = element.id;
+      nodes.push(serializeNode(node));
+    }
+  }
+
+  return `<svg xmlns="${SVG_NS}" viewBox="${-bleed_cm} ${-bleed_cm} ${width_cm} ${length_cm}" ` +
+    `width="${width_cm * scale}" height="${length_cm * scale}">` +
+    `<g>${nodes.join('')}</g></svg>`;
+}
@@ -0,0 +1,309 @@
+/**
+ * Mat Layout Editor - Drill Templates
+ *
+ * Parametric generators for common putting drills. Each template declares
+ * its parameters (with defaults that may depend on the mat size) and a
+ * `generate(mat, params)` function returning element specs of the form
+ * `{ type, ...props }`, ready for MatDocument.createElement. Templates do not
+ * touch the DOM, so the CLI can use them too.
+ *
+ * Coordinates follow the document: origin at the top-left corner of the mat,
+ * y increasing towards the player. The hole sits near the top by default.
+ *
+ * The sector fan generator builds dartboard-style scoring targets from
+ * explicit radii and angular divisions.
+ */
+
+import { parseColor } from './color.js';
+import { normalizeAngle, polarPoint, sweepOf } from './geometry.js';
+
+const CUP_RADIUS_CM = 5.4; // Regulation cup is 108 mm across
+const EDGE_MARGIN_CM = 2;
+
+const HOLE_PARAMS = [
+  { key: 'holeX_cm', label: 'Hole X', unit: 'cm', min: 0, step: 0.5, default: mat => mat.width_cm / 2 },
+  { key: 'holeY_cm', label: 'Hole Y', unit: 'cm', min: 0, step: 0.5, default: mat => Math.min(30, mat.length_cm / 4) }
+];
+
+function hole(params) {
+  return {
+    type: 'circle',
+    center_cm: { x: params.holeX_cm, y: params.holeY_cm },
+    radius_cm: CUP_RADIUS_CM,
+    fill: '#333333',
+    stroke: '#ffffff',
+    strokeWidth: 1
+  };
+}
+
+function label(text, x, y, fontSize = 3) {
+  return { type: 'text', text, position_cm: { x, y }, fontSize, fontStyle: 'bold' };
+}
+
+function insideMat(mat, p, margin = EDGE_MARGIN_CM) {
+  return p.x >= margin && p.x <= mat.width_cm - margin && p.y >= margin && p.y <= mat.length_cm - margin;
+}
+
+// =====================================================
+// Templates
+// =====================================================
+
+export const TEMPLATES = [
+  {
+    id: 'ladder',
+    name: 'Ladder Drill',
+    description: 'Rungs across the mat at increasing distances from the hole. Putt from each rung in turn.',
+    params: [
+      ...HOLE_PARAMS,
+      { key: 'first_cm', label: 'First Rung', unit: 'cm', min: 10, step: 5, default: 60 },
+      { key: 'spacing_cm', label: 'Rung Spacing', unit: 'cm', min: 5, step: 5, default: 30 },
+      { key: 'rungs', label: 'Rungs', min: 1, max: 20, step: 1, default: 6 }
+    ],
+    generate(mat, params) {
+      const elements = [hole(params)];
+      for (let i = 0; i < params.rungs; i++) {
+        const y = params.holeY_cm + params.first_cm + i * params.spacing_cm;
+        if (y > mat.length_cm - EDGE_MARGIN_CM) break;
+        elements.push({
+          type: 'line',
+          from_cm: { x: EDGE_MARGIN_CM, y },
+          to_cm: { x: mat.width_cm - EDGE_MARGIN_CM, y },
+          lineStyle: i % 2 === 0 ? 'solid' : 'dashed'
+        });
+        elements.push(label(`${Math.round(y - params.holeY_cm)}`, EDGE_MARGIN_CM + 4, y - 1.5));
+      }
+      return elements;
+    }
+  },
+
+  {
+    id: 'clock',
+    name: 'Clock Drill',
+    description: 'Ball positions evenly spaced around the hole on one or more rings. Positions off the mat are left out.',
+    params: [
+      ...HOLE_PARAMS,
+      { key: 'radius_cm', label: 'First Ring Radius', unit: 'cm', min: 10, step: 5, default: mat => Math.max(10, Math.min(30, mat.width_cm / 2 - 5)) },
+      { key: 'ringSpacing_cm', label: 'Ring Spacing', unit: 'cm', min: 5, step: 5, default: 30 },
+      { key: 'rings', label: 'Rings', min: 1, max: 10, step: 1, default: 3 },
+      { key: 'positions', label: 'Positions per Ring', min: 2, max: 24, step: 1, default: 12 }
+    ],
+    generate(mat, params) {
+      const elements = [hole(params)];
+      const holeCenter = { x: params.holeX_cm, y: params.holeY_cm };
+      for (let ring = 0; ring < params.rings; ring++) {
+        const r = params.radius_cm + ring * params.ringSpacing_cm;
+        for (let i = 0; i < params.positions; i++) {
+          // Start straight down the mat (towards the player), like 6 o'clock
+          const center = polarPoint(holeCenter, r, 90 + i * 360 / params.positions);
+          if (insideMat(mat, center)) elements.push({ type: 'marker', center_cm: center });
+        }
+      }
+      return elements;
+    }
+  },
+
+  {
+    id: 'gate',
+    name: 'Gate Drill',
+    description: 'A ball position with pairs of tees to putt through on the way to the hole.',
+    params: [
+      ...HOLE_PARAMS,
+      { key: 'distance_cm', label: 'Putt Length', unit: 'cm', min: 30, step: 10, default: 150 },
+      { key: 'gateWidth_cm', label: 'Gate Width', unit: 'cm', min: 4.5, step: 0.5, default: 8 },
+      { key: 'gates', label: 'Gates', min: 1, max: 5, step: 1, default: 2 },
+      { key: 'firstGate_cm', label: 'First Gate from Ball', unit: 'cm', min: 5, step: 5, default: 20 }
+    ],
+    generate(mat, params) {
+      const { holeX_cm: x, holeY_cm } = params;
+      const ballY = Math.min(holeY_cm + params.distance_cm, mat.length_cm - EDGE_MARGIN_CM);
+      const elements = [
+        hole(params),
+        { type: 'marker', center_cm: { x, y: ballY }, radius_cm: 2.1 }, // Golf ball
+        { type: 'line', from_cm: { x, y: ballY - 3 }, to_cm: { x, y: holeY_cm + CUP_RADIUS_CM + 1 }, lineStyle: 'dotted' }
+      ];
+
+      // Later gates are spread evenly between the first gate and the hole
+      const available = ballY - holeY_cm - params.firstGate_cm - CUP_RADIUS_CM * 2;
+      const spacing = params.gates > 1 ? available / (params.gates - 1) : 0;
+      for (let i = 0; i < params.gates; i++) {
+        const y = ballY - params.firstGate_cm - i * spacing;
+        for (const side of [-1, 1]) {
+          elements.push({
+            type: 'marker',
+            center_cm: { x: x + side * params.gateWidth_cm / 2, y },
+            fill: '#ffcc00'
+          });
+        }
+      }
+      return elements;
+    }
+  },
+
+  {
+    id: 'lag-zones',
+    name: 'Lag Distance Zones',
+    description: 'Nested bands around the hole for lag putting. Count a make for every putt finishing in the inner band.',
+    params: [
+      ...HOLE_PARAMS,
+      { key: 'zoneDepth_cm', label: 'Zone Depth', unit: 'cm', min: 10, step: 5, default: 45 },
+      { key: 'zones', label: 'Zones', min: 1, max: 6, step: 1, default: 3 },
+      { key: 'start_cm', label: 'Start Line from Hole', unit: 'cm', min: 50, step: 10, default: mat => mat.length_cm * 0.8 }
+    ],
+    generate(mat, params) {
+      const { holeY_cm } = params;
+      const colors = ['rgba(63, 185, 80, 0.35)', 'rgba(210, 153, 34, 0.3)', 'rgba(248, 81, 73, 0.25)'];
+      const elements = [];
+
+      // Outermost first, so inner zones stack on top
+      for (let i = params.zones; i >= 1; i--) {
+        const reach = i * params.zoneDepth_cm;
+        elements.push({
+          type: 'rect',
+          x0_cm: 0,
+          y0_cm: Math.max(0, holeY_cm - reach),
+          x1_cm: mat.width_cm,
+          y1_cm: Math.min(mat.length_cm, holeY_cm + reach),
+          fill: colors[Math.min(i - 1, colors.length - 1)]
+        });
+        if (holeY_cm + reach < mat.length_cm) {
+          elements.push(label(`±${Math.round(reach)}`, mat.width_cm - EDGE_MARGIN_CM - 4, holeY_cm + reach - 1.5));
+        }
+      }
+      elements.push(hole(params));
+
+      const startY = holeY_cm + params.start_cm;
+      if (startY <= mat.length_cm - EDGE_MARGIN_CM) {
+        elements.push({
+          type: 'line',
+          from_cm: { x: EDGE_MARGIN_CM, y: startY },
+          to_cm: { x: mat.width_cm - EDGE_MARGIN_CM, y: startY },
+          strokeWidth: 2
+        });
+        elements.push(label('START', mat.width_cm / 2, startY + 5));
+      }
+      return elements;
+    }
+  }
+];
+
+export function getTemplate(id) {
+  return TEMPLATES.find(t => t.id === id) ?? null;
+}
+
+/**
+ * Parameter values for a template on the given mat: defaults for anything
+ * missing, everything clamped to the declared range (and the hole to the mat).
+ */
+export function resolveParams(template, mat, values = {}) {
+  const params = {};
+  for (const param of template.params) {
+    const fallback = typeof param.default === 'function' ? param.default(mat) : param.default;
+    let value = Number(values[param.key]);
+    if (!Number.isFinite(value)) value = fallback;
+    if (param.min !== undefined) value = Math.max(param.min, value);
+    if (param.max !== undefined) value = Math.min(param.max, value);
+    if (param.step === 1) value = Math.round(value);
+    params[param.key] = value;
+  }
+  if ('holeX_cm' in params) params.holeX_cm = Math.min(params.holeX_cm, mat.width_cm);
+  if ('holeY_cm' in params) params.holeY_cm = Math.min(params.holeY_cm, mat.length_cm);
+  return params;
+}
+
+// Element specs for a template with the given (unresolved) parameter values
+export function generateTemplate(template, mat, values = {}) {
+  return template.generate(mat, resolveParams(template, mat, values));
+}
+
+// =====================================================
+// Sector Fans
+// =====================================================
+
+// Numbers from a comma or space separated list, ignoring anything unparseable
+export function parseNumberList(text) {
+  return String(text ?? '')
+    .split(/[\s,;]+/)
+    .map(parseFloat)
+    .filter(Number.isFinite);
+}
+
+function mixColor(from, to, t, opacity) {
+  const a = parseColor(from) ?? { r: 0, g: 0, b: 0 };
+  const b = parseColor(to) ?? a;
+  const channel = (c) => Math.round((a[c] + (b[c] - a[c]) * t) * 255);
+  return `rgba(${channel('r')}, ${channel('g')}, ${channel('b')}, ${opacity})`;
+}
+
+/**
+ * Element specs for a grid of annulus sectors around `center_cm`.
+ *
+ * `radii` are the ring boundaries (a single radius gives one ring from the
+ * center). The span from `startAngle` to `endAngle` (degrees, clockwise on
+ * screen, wrapping past 360° like a sector's) is split into `segments` equal
+ * sectors. Sectors get ids like `ring2_seg5` (1-based, ring 1 innermost)
+ * and are filled either checkerboard-style with the two colors or with a
+ * per-ring gradient from the first color (inside) to the second. With
+ * `labels`, each sector gets a text element showing its ring's score;
+ * `scores` lists them inner to outer and defaults to 10 points per ring
+ * counted from the outside. Explicit scores are also stored as the sectors'
+ * scoring metadata.
+ */
+export function generateSectorFan({
+  center_cm,
+  radii,
+  startAngle = 0,
+  endAngle = 360,
+  segments = 8,
+  fillMode = 'alternate',
+  colors = ['#ff6b6b', '#ffffff'],
+  opacity = 0.5,
+  prefix = 'ring',
+  labels = false,
+  scores = []
+}) {
+  const bounds = [...new Set(radii.filter(r => r >= 0))].sort((a, b) => a - b);
+  if (bounds.length === 1) bounds.unshift(0);
+  const rings = bounds.length - 1;
+  const step = sweepOf(startAngle, endAngle) / segments;
+  const elements = [];
+
+  for (let ring = 0; ring < rings; ring++) {
+    const inner = bounds[ring];
+    const outer = bounds[ring + 1];
+    const score = scores[ring] ?? (rings - ring) * 10;
+
+    for (let seg = 0; seg < segments; seg++) {
+      const id = `${prefix}${ring + 1}_seg${seg + 1}`;
+      const fill = fillMode === 'gradient'
+        ? mixColor(colors[0], colors[1], rings > 1 ? ring / (rings - 1) : 0, opacity)
+        : mixColor(colors[(ring + seg) % 2], colors[(ring + seg) % 2], 0, opacity);
+      const start = normalizeAngle(startAngle + seg * step);
+      elements.push({
+        type: 'sector',
+        id,
+        center_cm: { ...center_cm },
+        innerRadius_cm: inner,
+        outerRadius_cm: outer,
+        startAngle: start,
+        endAngle: start + step,
+        fill,
+        stroke: '#ffffff',
+        strokeWidth: 0.5,
+        scoring: scores.length > 0 ? { role: 'target', score } : null
+      });
+
+      if (labels) {
+        const r = (inner + outer) / 2;
+        elements.push({
+          type: 'text',
+          id: `${id}_label`,
+          text: String(score),
+          position_cm: polarPoint(center_cm, r, start + step / 2),
+          fontSize: Math.max(1, Math.min(4, (outer - inner) * 0.4)),
+          fontStyle: 'bold'
+        });
+      }
+    }
+  }
+  return elements;
+}
@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  ANGLE_CONVENTIONS, angleInSweep, arcExtremes, boundsOf, closestPointOnArc, distanceToArc,
+  fromConventionAngle, fromConventionRotation, normalizeAngle, pointInPolygon, pointInSector,
+  sweepFromConvention, sweepOf, sweepToConvention, toConventionAngle, toConventionRotation
+} from '../src/geometry.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message ?? `${actual} != ${expected}`);
+const closePoint = (actual, expected) => {
+  close(actual.x, expected.x, `x: ${actual.x} != ${expected.x}`);
+  close(actual.y, expected.y, `y: ${actual.y} != ${expected.y}`);
+};
+
+const origin = { x: 0, y: 0 };
+
+describe('normalizeAngle', () => {
+  it('wraps into [0, 360)', () => {
+    assert.equal(normalizeAngle(0), 0);
+    assert.equal(normalizeAngle(360), 0);
+    assert.equal(normalizeAngle(720), 0);
+    assert.equal(normalizeAngle(-30), 330);
+    assert.equal(normalizeAngle(-390), 330);
+    assert.equal(normalizeAngle(450), 90);
+  });
+});
+
+describe('sweepOf / angleInSweep', () => {
+  it('measures sweeps clockwise across the 0/360 wrap', () => {
+    assert.equal(sweepOf(340, 20), 40);
+    assert.equal(sweepOf(20, 340), 320);
+    assert.equal(sweepOf(-20, 20), 40);
+  });
+
+  it('treats equal angles, or angles 360 apart, as a full turn', () => {
+    assert.equal(sweepOf(30, 30), 360);
+    assert.equal(sweepOf(0, 360), 360);
+    assert.ok(angleInSweep(200, 30, 30));
+  });
+
+  it('includes angles on a sweep that crosses 0', () => {
+    assert.ok(angleInSweep(0, 340, 20));
+    assert.ok(angleInSweep(350, 340, 20));
+    assert.ok(angleInSweep(10, 340, 20));
+    assert.ok(angleInSweep(-10, 340, 20));
+    assert.ok(!angleInSweep(90, 340, 20));
+    assert.ok(!angleInSweep(330, 340, 20));
+  });
+
+  it('includes both ends', () => {
+    assert.ok(angleInSweep(340, 340, 20));
+    assert.ok(angleInSweep(20, 340, 20));
+  });
+});
+
+describe('pointInSector', () => {
+  // The band between radius 10 and 20 pointing up the mat (screen 270°)
+  const inSector = (point) => pointInSector(point, origin, 10, 20, 225, 315);
+
+  it('accepts points inside the band and sweep', () => {
+    assert.ok(inSector({ x: 0, y: -15 }));
+    assert.ok(inSector({ x: 0, y: -10 }));
+    assert.ok(inSector({ x: 0, y: -20 }));
+  });
+
+  it('rejects points inside the inner radius, beyond the outer one or outside the sweep', () => {
+    assert.ok(!inSector({ x: 0, y: -5 }));
+    assert.ok(!inSector({ x: 0, y: -25 }));
+    assert.ok(!inSector({ x: 15, y: 0 }));
+    assert.ok(!inSector({ x: 0, y: 15 }));
+  });
+
+  it('handles sweeps across 0°', () => {
+    assert.ok(pointInSector({ x: 15, y: 0 }, origin, 10, 20, 340, 20));
+    assert.ok(!pointInSector({ x: -15, y: 0 }, origin, 10, 20, 340, 20));
+  });
+
+  it('counts the center of a full disc as inside', () => {
+    assert.ok(pointInSector(origin, origin, 0, 5, 0, 0));
+  });
+});
+
+describe('pointInPolygon', () => {
+  const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+  it('tests convex outlines', () => {
+    assert.ok(pointInPolygon({ x: 5, y: 5 }, square));
+    assert.ok(!pointInPolygon({ x: 15, y: 5 }, square));
+    assert.ok(!pointInPolygon({ x: 5, y: -1 }, square));
+  });
+
+  it('tests concave outlines', () => {
+    const notch = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 5, y: 5 }, { x: 0, y: 10 }];
+    assert.ok(pointInPolygon({ x: 2, y: 5 }, notch));
+    assert.ok(!pointInPolygon({ x: 5, y: 8 }, notch));
+  });
+
+  it('does not depend on winding', () => {
+    assert.ok(pointInPolygon({ x: 5, y: 5 }, [...square].reverse()));
+  });
+});
+
+describe('arcExtremes / boundsOf', () => {
+  it('bounds a sweep across 0° by its ends and the 0° extreme', () => {
+    const bounds = boundsOf(arcExtremes(origin, 10, 340, 20));
+    close(bounds.maxX, 10);
+    close(bounds.minX, 10 * Math.cos(20 * Math.PI / 180));
+    close(bounds.minY, -10 * Math.sin(20 * Math.PI / 180));
+    close(bounds.maxY, 10 * Math.sin(20 * Math.PI / 180));
+  });
+
+  it('bounds a full circle by its four extremes', () => {
+    const bounds = boundsOf(arcExtremes({ x: 5, y: 5 }, 2, 0, 360));
+    close(bounds.minX, 3);
+    close(bounds.maxX, 7);
+    close(bounds.minY, 3);
+    close(bounds.maxY, 7);
+  });
+
+  it('gives no bounds for no points', () => {
+    assert.equal(boundsOf([]), null);
+  });
+});
+
+describe('closestPointOnArc / distanceToArc', () => {
+  it('projects onto the arc when the direction lies in the sweep', () => {
+    closePoint(closestPointOnArc({ x: 20, y: 0 }, origin, 10, 340, 20), { x: 10, y: 0 });
+    close(distanceToArc({ x: 20, y: 0 }, origin, 10, 340, 20), 10);
+    close(distanceToArc({ x: 3, y: 0 }, origin, 10, 340, 20), 7);
+  });
+
+  it('falls back to the nearer end outside the sweep', () => {
+    const end = { x: 10 * Math.cos(20 * Math.PI / 180), y: 10 * Math.sin(20 * Math.PI / 180) };
+    closePoint(closestPointOnArc({ x: 0, y: 20 }, origin, 10, 340, 20), end);
+    close(distanceToArc({ x: 0, y: 20 }, origin, 10, 340, 20), Math.hypot(end.x, end.y - 20));
+  });
+});
+
+describe('angle conventions', () => {
+  const angles = [0, 15, 90, 179.5, 270, 359];
+
+  for (const name of Object.keys(ANGLE_CONVENTIONS)) {
+    it(`${name}: angles and rotations round-trip`, () => {
+      for (const angle of angles) {
+        close(normalizeAngle(fromConventionAngle(toConventionAngle(angle, name), name)), angle);
+        close(fromConventionRotation(toConventionRotation(angle, name), name), angle);
+      }
+    });
+
+    it(`${name}: sweeps round-trip, including full turns and sweeps across 0°`, () => {
+      for (const [start, end] of [[340, 20], [225, 315], [30, 30], [0, 360]]) {
+        const converted = sweepToConvention(start, end, name);
+        const back = sweepFromConvention(converted.start, converted.end, name);
+        close(normalizeAngle(back.start), normalizeAngle(start));
+        close(sweepOf(back.start, back.end), sweepOf(start, end));
+      }
+    });
+  }
+
+  it('reads screen directions in each convention', () => {
+    assert.equal(toConventionAngle(270, 'compass_hole'), 0);
+    assert.equal(toConventionAngle(90, 'compass_player'), 0);
+    assert.equal(toConventionAngle(90, 'math'), 270);
+    assert.equal(toConventionAngle(123, 'screen'), 123);
+  });
+
+  it('swaps the ends of a sweep for counter-clockwise conventions', () => {
+    assert.deepEqual(sweepToConvention(340, 20, 'math'), { start: 340, end: 20 });
+    assert.deepEqual(sweepToConvention(0, 90, 'math'), { start: 270, end: 0 });
+  });
+});
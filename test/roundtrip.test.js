@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+
+import { MatDocument } from '../src/document.js';
+import { ANGLE_CONVENTIONS } from '../src/geometry.js';
+
+const example = JSON.parse(readFileSync(new URL('../public/example_layout.json', import.meta.url), 'utf8'));
+
+// One element of every type, with the optional fields each one can carry set
+// away from their defaults
+const ELEMENTS = [
+  ['rect', {
+    id: 'area', x0_cm: 5, y0_cm: 10, x1_cm: 20, y1_cm: 30, rotation: 30, pivot_cm: { x: 6, y: 12 },
+    fill: '#112233', stroke: '#445566', strokeWidth: 0.5,
+    scoring: { role: 'penalty', score: -2, priority: 3, tags: ['water'] }
+  }],
+  ['rect', { id: 'tee', x0_cm: 20, y0_cm: 350, x1_cm: 30, y1_cm: 360, pivot_cm: { x: 20, y: 350 } }],
+  ['polygon', {
+    id: 'break', points_cm: [{ x: 1, y: 1 }, { x: 9, y: 2 }, { x: 5, y: 8 }], fill: 'rgba(1, 2, 3, 0.4)',
+    scoring: { role: 'bonus', score: 5, priority: 0, tags: [] }
+  }],
+  ['polyline', { id: 'fringe', points_cm: [{ x: 1, y: 40 }, { x: 9, y: 42 }, { x: 12, y: 50 }], stroke: 'orange' }],
+  ['circle', { id: 'cup', center_cm: { x: 25, y: 30 }, radius_cm: 5.4, scoring: { role: 'target', score: 10 } }],
+  ['marker', { id: 'ball', center_cm: { x: 25, y: 300 }, radius_cm: 2.1, fill: '#eeeeee' }],
+  ['line', { id: 'aim', from_cm: { x: 25, y: 300 }, to_cm: { x: 25, y: 30 }, lineStyle: 'dashed', stroke: 'yellow' }],
+  ['curve', {
+    id: 'break_line', curveType: 'cubic', lineStyle: 'dotted',
+    points_cm: [{ x: 10, y: 300 }, { x: 5, y: 200 }, { x: 30, y: 100 }, { x: 25, y: 30 }]
+  }],
+  ['curve', { id: 'spline', curveType: 'spline', points_cm: [{ x: 10, y: 60 }, { x: 20, y: 70 }, { x: 15, y: 90 }] }],
+  ['arc', { id: 'ring', center_cm: { x: 25, y: 30 }, radius_cm: 40, startAngle: 340, endAngle: 20, stroke: '#abcdef' }],
+  ['text', {
+    id: 'label', position_cm: { x: 3, y: 200 }, text: '1 m', rotation: 90, fontFamily: 'Arial',
+    fontSize: 4, fontStyle: 'bold-italic', fill: '#ffffff', textAnchor: 'start'
+  }],
+  ['sector', {
+    id: 'wedge', center_cm: { x: 25, y: 30 }, innerRadius_cm: 20, outerRadius_cm: 60, startAngle: 200, endAngle: 250,
+    fill: 'rgba(255, 165, 0, 0.5)', stroke: 'orange', strokeWidth: 0.5
+  }],
+  ['dimension', { id: 'dim_linear', kind: 'linear', from_cm: { x: 0, y: 5 }, to_cm: { x: 50, y: 5 }, offset_cm: 3, fill: '#123456' }],
+  ['dimension', { id: 'dim_radial', kind: 'radial', center_cm: { x: 25, y: 30 }, to_cm: { x: 65, y: 30 }, fontSize: 3 }],
+  ['dimension', {
+    id: 'dim_angular', kind: 'angular', center_cm: { x: 25, y: 30 }, from_cm: { x: 0, y: 90 }, to_cm: { x: 50, y: 90 },
+    offset_cm: 12, stroke: '#00ff00', strokeWidth: 0.2
+  }]
+];
+
+function buildDocument(convention) {
+  const doc = new MatDocument();
+  doc.fromJSON(example);
+  doc.mat.angleConvention = convention;
+  for (const [type, props] of ELEMENTS) doc.createElement(type, props);
+
+  // Layers panel state
+  doc.groupElements([doc.getElementById('wedge'), doc.getElementById('ring')], 'fan');
+  doc.updateGroup(doc.groups[0].id, { locked: true });
+  doc.updateElement('ball', { hidden: true });
+  doc.updateElement('aim', { locked: true });
+  return doc;
+}
+
+// toJSON output with the save time, which changes on every call, left out
+function serialize(doc) {
+  const { metadata: { savedAt, ...metadata }, ...json } = doc.toJSON();
+  return { metadata, ...json };
+}
+
+describe('layout.json round trip', () => {
+  for (const convention of Object.keys(ANGLE_CONVENTIONS)) {
+    it(`keeps the example and every element type (${convention} angles)`, () => {
+      const first = serialize(buildDocument(convention));
+
+      const reloaded = new MatDocument();
+      reloaded.fromJSON(JSON.parse(JSON.stringify(first)));
+      assert.deepEqual(serialize(reloaded), first);
+    });
+  }
+
+  it('writes every element of the example and every added type', () => {
+    const doc = buildDocument('screen');
+    const json = serialize(doc);
+    const ids = Object.values(json)
+      .filter(Array.isArray)
+      .flat()
+      .map(item => item.id);
+    for (const element of doc.elements) assert.ok(ids.includes(element.id), `${element.id} is missing`);
+    for (const { id } of example.markers ?? []) assert.ok(ids.includes(id), `${id} is missing`);
+  });
+
+  // Comparing JSON with JSON cannot see a field toJSON never writes, so also
+  // compare the loaded elements with the ones they were saved from. Other
+  // conventions may write an equivalent sweep with different numbers.
+  it('loads back the same elements and groups it saved', () => {
+    const doc = buildDocument('screen');
+    const reloaded = new MatDocument();
+    reloaded.fromJSON(JSON.parse(JSON.stringify(doc.toJSON())));
+
+    const byId = (elements) => Object.fromEntries(elements.map(e => [e.id, JSON.parse(JSON.stringify(e))]));
+    assert.deepEqual(byId(reloaded.elements), byId(doc.elements));
+    assert.deepEqual(reloaded.groups, doc.groups);
+  });
+});
+
+describe('loading layouts as-is', () => {
+  it('loads a dimension with a non-string type as linear', () => {
+    const doc = new MatDocument();
+    doc.fromJSON({
+      mat: { width_cm: 50, length_cm: 400 },
+      dimensions: [{ id: 'odd', type: 5, from_cm: { x: 0, y: 0 }, to_cm: { x: 10, y: 0 } }]
+    });
+    assert.equal(doc.getElementById('odd').kind, 'linear');
+  });
+});
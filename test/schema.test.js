@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MatDocument } from '../src/document.js';
+import { validateLayout } from '../src/schema.js';
+import { renderLayoutSVG } from '../src/svg.js';
+
+const layoutWith = (...lines) => ({ mat: { width_cm: 50, length_cm: 400 }, lines });
+
+function load(json) {
+  const doc = new MatDocument();
+  doc.fromJSON(json);
+  return doc;
+}
+
+describe('curves without a curveType', () => {
+  const twoPoints = { id: 'bend', type: 'curve', points_cm: [{ x: 5, y: 10 }, { x: 45, y: 300 }] };
+
+  it('are validated as cubic, like the editor loads them', () => {
+    const { errors, fixed } = validateLayout(layoutWith(twoPoints));
+    assert.deepEqual(errors.map(e => e.message), ['Point count does not match curveType (quadratic: 3, cubic: 4)']);
+    assert.equal(fixed.lines[0].curveType, 'spline');
+    assert.ok(renderLayoutSVG(load(fixed)).includes('<path'));
+  });
+
+  it('render as a spline when loaded as-is', () => {
+    const doc = load(layoutWith(twoPoints));
+    assert.equal(doc.getElementById('bend').curveType, 'cubic');
+    assert.ok(renderLayoutSVG(doc).includes('<path'));
+    assert.ok(doc.getElementBounds(doc.getElementById('bend')));
+  });
+
+  it('are dropped by the fixes when they have fewer than 2 points', () => {
+    const { errors, fixed } = validateLayout(layoutWith({ id: 'dot', type: 'curve', points_cm: [{ x: 5, y: 10 }] }));
+    assert.deepEqual(errors.map(e => [e.message, e.fix]), [['Curve needs at least 2 points', 'drop element']]);
+    assert.deepEqual(fixed.lines, []);
+    renderLayoutSVG(load(fixed));
+  });
+});
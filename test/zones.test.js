@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { MatDocument } from '../src/document.js';
+
+function buildDocument() {
+  const doc = new MatDocument();
+  doc.fromJSON({ mat: { width_cm: 50, length_cm: 100 } });
+  doc.createElement('circle', { id: 'cup', center_cm: { x: 25, y: 20 }, radius_cm: 5, scoring: { role: 'target', score: 10 } });
+  doc.createElement('rect', {
+    id: 'fairway', x0_cm: 0, y0_cm: 0, x1_cm: 50, y1_cm: 100, scoring: { role: 'bonus', score: 1 }
+  });
+  return doc;
+}
+
+const hits = (doc, point) => doc.hitTest(point).map(zone => zone.id);
+
+describe('hit testing', () => {
+  it('ranks zones by priority, then topmost', () => {
+    const doc = buildDocument();
+    assert.deepEqual(hits(doc, { x: 25, y: 20 }), ['fairway', 'cup']);
+    doc.updateElement('cup', { scoring: { role: 'target', score: 10, priority: 1 } });
+    assert.deepEqual(hits(doc, { x: 25, y: 20 }), ['cup', 'fairway']);
+  });
+
+  it('leaves out hidden elements and elements in hidden groups', () => {
+    const doc = buildDocument();
+    doc.updateElement('cup', { hidden: true });
+    assert.deepEqual(hits(doc, { x: 25, y: 20 }), ['fairway']);
+
+    doc.updateElement('cup', { hidden: false });
+    doc.groupElements([doc.getElementById('fairway')], 'course');
+    doc.updateGroup(doc.groups[0].id, { hidden: true });
+    assert.deepEqual(hits(doc, { x: 25, y: 20 }), ['cup']);
+    assert.deepEqual(doc.getZones().map(zone => zone.id), ['cup']);
+  });
+
+  it('does not count hidden zones in coverage', () => {
+    const hidden = buildDocument();
+    hidden.updateElement('fairway', { hidden: true });
+    const removed = buildDocument();
+    removed.deleteElement('fairway');
+    assert.deepEqual(hidden.getCoverage(10).counts, removed.getCoverage(10).counts);
+  });
+});